@@ -1,26 +1,34 @@
 import { eventBus, Events } from '../core/EventBus.js';
 import { gameState } from '../core/GameState.js';
+import { profile } from '../core/Profile.js';
+import { inputMap, Action } from '../core/InputMap.js';
 import { audioManager } from './AudioManager.js';
-import { gameplayBGM, gameOverTheme } from './music.js';
-import { scoreSfx, deathSfx, slowdownSfx, clickSfx, accelWarnSfx } from './sfx.js';
+import { menuTheme, gameplayBGM, gameOverTheme, bossTheme } from './music.js';
+import {
+  scoreSfx, deathSfx, slowdownSfx, clickSfx, accelWarnSfx, dashSfx, bossWarnSfx, bossHitSfx, bossDefeatSfx,
+  powerUpSfx, empSfx, shieldBreakSfx, grazeSfx, achievementSfx,
+} from './sfx.js';
 
 let audioInitiated = false;
 
+// Track that should be playing right now (the game boots into the menu).
+// Music events update it even while muted so unmuting resumes the right one.
+let currentTheme = menuTheme;
+
+function playTheme(theme) {
+  currentTheme = theme;
+  if (!gameState.isMuted) audioManager.playMusic(theme);
+}
+
 function initOnInteraction() {
   if (audioInitiated) return;
   audioInitiated = true;
 
-  // Restore mute preference from localStorage
-  const savedMute = localStorage.getItem('meltdown-muted');
-  if (savedMute === 'true') {
-    gameState.isMuted = true;
-  }
-
   audioManager.init();
 
-  // Start gameplay BGM immediately (game boots into gameplay)
+  // Start whichever track the current screen asked for
   if (!gameState.isMuted) {
-    audioManager.playMusic(gameplayBGM);
+    audioManager.playMusic(currentTheme);
   }
 
   // Remove init listeners
@@ -28,24 +36,53 @@ function initOnInteraction() {
   window.removeEventListener('keydown', initOnInteraction);
 }
 
+/**
+ * Mute/unmute all audio and remember the choice in the profile. Used by the M key and the
+ * settings screen.
+ */
+export function setMuted(muted) {
+  gameState.isMuted = muted;
+  profile.setSetting('muted', muted);
+  if (gameState.isMuted) {
+    audioManager.stopMusic();
+  } else if (audioInitiated) {
+    audioManager.playMusic(currentTheme);
+  }
+}
+
 export function initAudioBridge() {
   // Init audio on first user interaction (browser autoplay policy)
   window.addEventListener('pointerdown', initOnInteraction, { once: false });
   window.addEventListener('keydown', initOnInteraction, { once: false });
 
   // BGM transitions
-  eventBus.on(Events.MUSIC_GAMEPLAY, () => {
-    if (!gameState.isMuted) audioManager.playMusic(gameplayBGM);
-  });
-  eventBus.on(Events.MUSIC_GAMEOVER, () => {
-    if (!gameState.isMuted) audioManager.playMusic(gameOverTheme);
-  });
+  eventBus.on(Events.MUSIC_MENU, () => playTheme(menuTheme));
+  eventBus.on(Events.MUSIC_GAMEPLAY, () => playTheme(gameplayBGM));
+  eventBus.on(Events.MUSIC_GAMEOVER, () => playTheme(gameOverTheme));
+  eventBus.on(Events.MUSIC_BOSS, () => playTheme(bossTheme));
   eventBus.on(Events.MUSIC_STOP, () => audioManager.stopMusic());
 
   // SFX
   eventBus.on(Events.FRAGMENT_COLLECTED, () => scoreSfx());
   eventBus.on(Events.PLAYER_DIED, () => deathSfx());
   eventBus.on(Events.SLOWDOWN_START, () => slowdownSfx());
+  eventBus.on(Events.PLAYER_DASH, () => dashSfx());
+  eventBus.on(Events.PLAYER_GRAZE, () => grazeSfx());
+  eventBus.on(Events.ACHIEVEMENT_UNLOCKED, () => achievementSfx());
+  eventBus.on(Events.POWERUP_COLLECTED, () => powerUpSfx());
+  eventBus.on(Events.POWERUP_EMP, () => empSfx());
+  eventBus.on(Events.POWERUP_SHIELD_HIT, () => shieldBreakSfx());
+
+  // Boss encounters — klaxon, boss track while it is on screen, then back
+  // to the gameplay track whether it was destroyed or retreated
+  eventBus.on(Events.BOSS_WARNING, () => bossWarnSfx());
+  eventBus.on(Events.BOSS_SPAWNED, () => eventBus.emit(Events.MUSIC_BOSS));
+  eventBus.on(Events.BOSS_DAMAGED, () => bossHitSfx());
+  eventBus.on(Events.BOSS_DEFEATED, () => {
+    bossDefeatSfx();
+    eventBus.emit(Events.MUSIC_GAMEPLAY);
+  });
+  eventBus.on(Events.BOSS_RETREATED, () => eventBus.emit(Events.MUSIC_GAMEPLAY));
 
   // Game lifecycle
   eventBus.on(Events.GAME_OVER, () => {
@@ -54,11 +91,18 @@ export function initAudioBridge() {
     setTimeout(() => eventBus.emit(Events.MUSIC_GAMEOVER), 500);
   });
 
-  eventBus.on(Events.GAME_RESTART, () => {
+  // Pause freezes the Strudel track; resuming restarts the current theme
+  eventBus.on(Events.GAME_PAUSED, () => audioManager.stopMusic());
+  eventBus.on(Events.GAME_RESUMED, () => playTheme(currentTheme));
+
+  // Leaving the menu or restarting from game over both start gameplay BGM
+  const startGameplayMusic = () => {
     eventBus.emit(Events.MUSIC_STOP);
     // Start gameplay BGM after transition
     setTimeout(() => eventBus.emit(Events.MUSIC_GAMEPLAY), 400);
-  });
+  };
+  eventBus.on(Events.GAME_START, startGameplayMusic);
+  eventBus.on(Events.GAME_RESTART, startGameplayMusic);
 
   // Acceleration milestones — play warning SFX
   const warnedMilestones = new Set();
@@ -74,21 +118,15 @@ export function initAudioBridge() {
     }
   });
 
-  // Mute toggle — M key
+  // Mute toggle — the MUTE action (M by default), in every scene
   window.addEventListener('keydown', (e) => {
-    if (e.key === 'm' || e.key === 'M') {
-      gameState.isMuted = !gameState.isMuted;
-      localStorage.setItem('meltdown-muted', gameState.isMuted);
-      if (gameState.isMuted) {
-        audioManager.stopMusic();
-      } else if (audioInitiated && !gameState.gameOver) {
-        audioManager.playMusic(gameplayBGM);
-      } else if (audioInitiated && gameState.gameOver) {
-        audioManager.playMusic(gameOverTheme);
-      }
+    if (e.repeat || inputMap.suspended) return;
+    if (inputMap.matches(Action.MUTE, e)) {
+      setMuted(!gameState.isMuted);
     }
   });
 
-  // Reset milestone warnings on restart
+  // Reset milestone warnings on every new run
+  eventBus.on(Events.GAME_START, () => warnedMilestones.clear());
   eventBus.on(Events.GAME_RESTART, () => warnedMilestones.clear());
 }
@@ -1,5 +1,41 @@
 import { stack, note } from '@strudel/web';
 
+// Menu BGM — slow, hovering synth loop before the run starts
+// Same key as gameplay so the transition into a run feels continuous
+export function menuTheme() {
+  return stack(
+    // Lead — sparse square motif, long delay tail
+    note('e4 ~ ~ g4 ~ ~ a4 ~ ~ ~ g4 ~ e4 ~ ~ ~')
+      .s('square')
+      .gain(0.08)
+      .lpf(1400)
+      .decay(0.2)
+      .sustain(0.1)
+      .release(0.6)
+      .room(0.5)
+      .delay(0.3)
+      .delaytime(0.5)
+      .delayfeedback(0.4),
+    // Pad — minor chords, slow swell
+    note('<e3,g3,b3> <c3,e3,g3> <d3,f3,a3> <e3,g3,bb3>')
+      .s('sine')
+      .attack(0.8)
+      .release(1.6)
+      .gain(0.1)
+      .room(0.6)
+      .roomsize(4)
+      .lpf(1200)
+      .slow(2),
+    // Bass — soft heartbeat
+    note('e2 ~ ~ ~ e2 ~ ~ ~ c2 ~ ~ ~ d2 ~ ~ ~')
+      .s('sine')
+      .gain(0.14)
+      .decay(0.3)
+      .sustain(0.2)
+      .lpf(300)
+  ).cpm(90).play();
+}
+
 // Gameplay BGM — dark, driving cyberpunk chiptune
 // Minor key, pulsing bass, tension arps, restrained drums
 export function gameplayBGM() {
@@ -58,6 +94,43 @@ export function gameplayBGM() {
   ).cpm(120).play();
 }
 
+// Boss BGM — faster, heavier variant of the gameplay theme
+// Same minor key, alarm-like lead and a relentless octave bass
+export function bossTheme() {
+  return stack(
+    // Lead — stabbing alarm figure
+    note('e5 ~ e5 bb4 ~ e5 ~ bb4 d5 ~ d5 a4 ~ d5 ~ a4')
+      .s('square')
+      .gain(0.12)
+      .lpf(2400)
+      .decay(0.1)
+      .sustain(0.15)
+      .release(0.2)
+      .room(0.2),
+    // Pad — tense diminished wash
+    note('<e3,g3,bb3> <e3,g3,bb3> <d3,f3,ab3> <c3,eb3,gb3>')
+      .s('sawtooth')
+      .attack(0.2)
+      .release(0.8)
+      .gain(0.06)
+      .lpf(900),
+    // Bass — octave-jumping sawtooth drive
+    note('e2 e3 e2 e3 e2 e3 e2 e3 d2 d3 d2 d3 c2 c3 d2 d3')
+      .s('sawtooth')
+      .gain(0.18)
+      .lpf(500)
+      .decay(0.12)
+      .sustain(0.2),
+    // Percussion — four-on-the-floor kick with offbeat ticks
+    note('c1 g1 c1 g1')
+      .s('sine')
+      .gain(0.22)
+      .decay(0.07)
+      .sustain(0)
+      .lpf(220)
+  ).cpm(145).play();
+}
+
 // Game Over BGM — somber, slow, melancholic
 // The singularity consumed everything. Nothing human remains.
 export function gameOverTheme() {
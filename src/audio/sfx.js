@@ -118,6 +118,57 @@ export function accelWarnSfx() {
   playNotes([174.61, 220], 'sawtooth', 0.15, 0.12, 0.2, 1200);
 }
 
+// Dash — short rising noise swoosh with a pitched blip
+export function dashSfx() {
+  playNoise(0.1, 0.15, 6000, 2000);
+  playTone(880, 'triangle', 0.08, 0.12, 6000);
+}
+
+// Graze — faint high scrape
+export function grazeSfx() {
+  playNoise(0.06, 0.08, 9000, 5000);
+  playTone(1567.98, 'triangle', 0.05, 0.06, 8000);
+}
+
+// Boss warning — repeating klaxon (core breach incoming)
+export function bossWarnSfx() {
+  playNotes([220, 174.61, 220, 174.61, 220, 174.61], 'sawtooth', 0.22, 0.25, 0.18, 1400);
+}
+
+// Boss hit — metallic crack as the core is exposed
+export function bossHitSfx() {
+  playNoise(0.12, 0.2, 6000, 1500);
+  playTone(110, 'square', 0.25, 0.2, 900);
+}
+
+// Boss defeated — rumbling collapse into a bright resolve
+export function bossDefeatSfx() {
+  playNoise(0.8, 0.25, 1200, 0);
+  playNotes([261.63, 329.63, 392, 523.25, 659.25, 783.99], 'square', 0.16, 0.08, 0.22, 5000);
+}
+
+// Power-up collected — quick rising triad
+export function powerUpSfx() {
+  playNotes([523.25, 659.25, 783.99, 1046.5], 'triangle', 0.09, 0.045, 0.25, 6000);
+}
+
+// EMP — deep thump under a falling noise burst
+export function empSfx() {
+  playNoise(0.4, 0.25, 3000, 200);
+  playTone(80, 'sine', 0.35, 0.3, 800);
+}
+
+// Shield absorbs a hit — glassy crack
+export function shieldBreakSfx() {
+  playNoise(0.15, 0.2, 8000, 3000);
+  playNotes([1318.51, 987.77], 'square', 0.08, 0.05, 0.15, 6000);
+}
+
+// Achievement unlocked — bright fanfare
+export function achievementSfx() {
+  playNotes([783.99, 987.77, 1174.66, 1567.98], 'square', 0.1, 0.07, 0.22, 6000);
+}
+
 // Whoosh — noise sweep (enemy spawn hint)
 export function whooshSfx() {
   playNoise(0.15, 0.1, 4000, 800);
@@ -0,0 +1,207 @@
+import { eventBus, Events } from './EventBus.js';
+import { gameState } from './GameState.js';
+import { profile } from './Profile.js';
+import ACHIEVEMENTS from '../data/achievements.json';
+
+// Achievement engine. Achievements are data (src/data/achievements.json); this
+// module subscribes to the EventBus events their rules name, counts matches
+// per run and unlocks them in the profile.
+//
+// Achievement:
+//   {
+//     "id": "survive-60",             unique key, stored in profile.unlocks
+//     "title": "Uptime",
+//     "description": "Survive for 60 seconds",
+//     "hidden": false,                shown as ??? until unlocked (optional)
+//     "rule": {
+//       "on": "ACCELERATION_TICK",    Events key to listen to
+//       "where": {                    conditions, all must hold (optional)
+//         "survivalTime": { "gte": 60 }
+//       },
+//       "count": 1,                   matching events needed in one run (optional)
+//       "resetOn": ["SLOWDOWN_END"]   Events keys that zero the count (optional)
+//     }
+//   }
+//
+// Condition paths read the event payload ("survivalTime"), gameState
+// ("state.bossesDefeated") or the saved profile ("profile.totals.runs").
+// A condition is a plain value (must be equal) or an object of
+// eq / ne / gt / gte / lt / lte comparisons. Replays never unlock anything.
+
+const COMPARE = {
+  eq: (a, b) => a === b,
+  ne: (a, b) => a !== b,
+  gt: (a, b) => a > b,
+  gte: (a, b) => a >= b,
+  lt: (a, b) => a < b,
+  lte: (a, b) => a <= b,
+};
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+/**
+ * Check an achievement definition. Throws an Error describing the first problem.
+ * @param {object} def
+ * @returns {object} normalized achievement
+ */
+export function validateAchievement(def) {
+  if (!isPlainObject(def)) throw new Error('Achievement is not an object');
+  const { id, rule } = def;
+  if (typeof id !== 'string' || !id) throw new Error('Achievement has no id');
+  if (!isPlainObject(rule)) throw new Error(`Achievement "${id}" has no rule`);
+  if (!Events[rule.on]) throw new Error(`Achievement "${id}": unknown event "${rule.on}"`);
+
+  const resetOn = rule.resetOn ?? [];
+  for (const name of resetOn) {
+    if (!Events[name]) throw new Error(`Achievement "${id}": unknown reset event "${name}"`);
+  }
+  const count = rule.count ?? 1;
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`Achievement "${id}": count must be a whole number >= 1`);
+  }
+  const where = rule.where ?? {};
+  for (const [path, cond] of Object.entries(where)) {
+    if (isPlainObject(cond)) {
+      const bad = Object.keys(cond).find(op => !COMPARE[op]);
+      if (bad) throw new Error(`Achievement "${id}": unknown comparison "${bad}" on ${path}`);
+    }
+  }
+
+  return {
+    id,
+    title: def.title || id,
+    description: def.description || '',
+    hidden: def.hidden === true,
+    rule: { on: rule.on, where, count, resetOn },
+  };
+}
+
+function readPath(path, payload) {
+  const parts = path.split('.');
+  let value;
+  if (parts[0] === 'state') {
+    value = gameState;
+    parts.shift();
+  } else if (parts[0] === 'profile') {
+    value = profile.data;
+    parts.shift();
+  } else {
+    value = payload;
+  }
+  for (const part of parts) {
+    if (value == null) return undefined;
+    value = value[part];
+  }
+  return value;
+}
+
+function matches(where, payload) {
+  for (const [path, cond] of Object.entries(where)) {
+    const value = readPath(path, payload);
+    if (isPlainObject(cond)) {
+      for (const [op, expected] of Object.entries(cond)) {
+        if (!COMPARE[op](value, expected)) return false;
+      }
+    } else if (value !== cond) {
+      return false;
+    }
+  }
+  return true;
+}
+
+class Achievements {
+  constructor() {
+    /** @type {object[]} */
+    this.defs = [];
+    /** id -> matching events counted this run */
+    this._counts = {};
+    this._handlers = [];
+  }
+
+  /**
+   * Load the definitions and subscribe to the events they use. Invalid
+   * definitions are skipped with a console warning.
+   * @param {object[]} [defs]
+   */
+  init(defs = ACHIEVEMENTS) {
+    this.destroy();
+
+    this.defs = [];
+    for (const raw of defs) {
+      try {
+        this.defs.push(validateAchievement(raw));
+      } catch (err) {
+        console.warn('[Achievements] Skipping invalid achievement:', err.message);
+      }
+    }
+
+    const names = new Set(['GAME_START', 'GAME_RESTART']);
+    for (const def of this.defs) {
+      names.add(def.rule.on);
+      def.rule.resetOn.forEach(name => names.add(name));
+    }
+    for (const name of names) {
+      const handler = (payload) => this._handle(name, payload);
+      eventBus.on(Events[name], handler);
+      this._handlers.push([Events[name], handler]);
+    }
+  }
+
+  /**
+   * Progress toward an achievement's count in the current run.
+   */
+  progress(id) {
+    return this._counts[id] || 0;
+  }
+
+  isUnlocked(id) {
+    return profile.isUnlocked(id);
+  }
+
+  /**
+   * Date the achievement was unlocked (ISO string), or null.
+   */
+  unlockedAt(id) {
+    return profile.data.unlocks[id] || null;
+  }
+
+  _handle(name, payload) {
+    // A new run starts every count from zero
+    if (name === 'GAME_START' || name === 'GAME_RESTART') {
+      this._counts = {};
+    }
+    if (gameState.replaying) return;
+
+    // Resets first, so an event that both resets and counts starts a new count
+    for (const def of this.defs) {
+      if (def.rule.resetOn.includes(name)) this._counts[def.id] = 0;
+    }
+
+    for (const def of this.defs) {
+      if (def.rule.on !== name || profile.isUnlocked(def.id)) continue;
+      if (!matches(def.rule.where, payload)) continue;
+
+      this._counts[def.id] = (this._counts[def.id] || 0) + 1;
+      if (this._counts[def.id] >= def.rule.count) this._unlock(def);
+    }
+  }
+
+  _unlock(def) {
+    if (!profile.unlock(def.id)) return;
+    eventBus.emit(Events.ACHIEVEMENT_UNLOCKED, {
+      id: def.id,
+      title: def.title,
+      description: def.description,
+    });
+  }
+
+  destroy() {
+    for (const [event, handler] of this._handlers) eventBus.off(event, handler);
+    this._handlers = [];
+    this._counts = {};
+  }
+}
+
+export const achievements = new Achievements();
@@ -6,45 +6,72 @@ export const DPR = Math.min(window.devicePixelRatio || 1, 2);
 // Pixel art scale factor (matches PX so sprites size correctly on all displays)
 // Defined early; PX is assigned below after canvas dimensions are calculated.
 
-// Orientation: landscape on desktop, portrait on mobile
-const _isPortrait = window.innerHeight > window.innerWidth;
-
-// Design dimensions (logical game units at 1x scale)
-const _designW = _isPortrait ? 540 : 960;
-const _designH = _isPortrait ? 960 : 540;
-const _designAspect = _designW / _designH;
-
-// Canvas dimensions = device pixel area, maintaining design aspect ratio.
-// This ensures the canvas has enough resolution for the user's actual display
-// so FIT mode never CSS-upscales (which causes blurriness on retina).
-const _deviceW = window.innerWidth * DPR;
-const _deviceH = window.innerHeight * DPR;
-
-let _canvasW, _canvasH;
-if (_deviceW / _deviceH > _designAspect) {
-  // Viewport wider than design -> width-limited by FIT -> match device width
-  _canvasW = _deviceW;
-  _canvasH = Math.round(_deviceW / _designAspect);
-} else {
-  // Viewport taller than design -> width-limited by FIT -> match device width
-  _canvasW = Math.round(_deviceH * _designAspect);
-  _canvasH = _deviceH;
+/**
+ * Canvas size for a viewport. Orientation: landscape on desktop, portrait on
+ * mobile. The canvas covers the device pixel area at the design aspect ratio,
+ * so it has enough resolution for the actual display and FIT mode never
+ * CSS-upscales (which causes blurriness on retina). Also used by the layout
+ * service (Layout.js) when the window is resized or rotated.
+ * @param {number} viewW - CSS px
+ * @param {number} viewH - CSS px
+ * @param {number} dpr
+ * @returns {{ isPortrait: boolean, designW: number, designH: number,
+ *   canvasW: number, canvasH: number }}
+ */
+export function computeViewport(viewW, viewH, dpr) {
+  const isPortrait = viewH > viewW;
+
+  // Design dimensions (logical game units at 1x scale)
+  const designW = isPortrait ? 540 : 960;
+  const designH = isPortrait ? 960 : 540;
+  const designAspect = designW / designH;
+
+  const deviceW = viewW * dpr;
+  const deviceH = viewH * dpr;
+
+  let canvasW, canvasH;
+  if (deviceW / deviceH > designAspect) {
+    // Viewport wider than design -> width-limited by FIT -> match device width
+    canvasW = deviceW;
+    canvasH = Math.round(deviceW / designAspect);
+  } else {
+    // Viewport taller than design -> width-limited by FIT -> match device width
+    canvasW = Math.round(deviceH * designAspect);
+    canvasH = deviceH;
+  }
+  return { isPortrait, designW, designH, canvasW, canvasH };
 }
 
+const _viewport = computeViewport(window.innerWidth, window.innerHeight, DPR);
+const _isPortrait = _viewport.isPortrait;
+const _designW = _viewport.designW;
+const _canvasW = _viewport.canvasW;
+const _canvasH = _viewport.canvasH;
+
 // PX = canvas pixels per design pixel. Scales all absolute values (sizes, speeds, etc.)
 // from design space to canvas space. Gameplay proportions stay identical across all displays.
+// PX and SPRITE_SCALE are fixed at boot (world units); a later resize changes
+// the world size (GAME) and the camera zoom instead, see Layout.js.
 export const PX = _canvasW / _designW;
 
 // SPRITE_SCALE: how many canvas pixels per sprite pixel.
 // Math.ceil(PX) ensures sprites never render sub-pixel on any display.
 export const SPRITE_SCALE = Math.ceil(PX);
 
+// World size in canvas pixels at boot. Updated in place by the layout service
+// when the orientation changes, so read it when laying out, don't cache it.
 export const GAME = {
   WIDTH: _canvasW,
   HEIGHT: _canvasH,
   IS_PORTRAIT: _isPortrait,
 };
 
+// --- Layout (window resize / rotation, see Layout.js) ---
+
+export const LAYOUT = {
+  DEBOUNCE: 150,                    // ms after the last resize event before re-laying out
+};
+
 // --- Player ---
 
 export const PLAYER = {
@@ -53,6 +80,52 @@ export const PLAYER = {
   SIZE: 16 * PX,                    // radius of the player orb
   SPEED: 220 * PX,                  // movement speed in all directions
   COLOR: 0x00ffff,                  // neon cyan
+
+  DASH: {
+    DISTANCE: 140 * PX,             // px covered by one dash
+    DURATION: 120,                  // ms the burst lasts
+    INVULNERABLE: 250,              // ms of invulnerability from the start of a dash
+    COOLDOWN: 1200,                 // ms from the start of a dash until the next one
+    DOUBLE_TAP_WINDOW: 300,         // ms between taps that count as a double-tap
+    DOUBLE_TAP_SLOP: 40 * PX,       // max px between the two taps
+    TRAIL_LENGTH: 10,               // afterimages while dashing
+    TRAIL_ALPHA_START: 0.6,
+    INDICATOR_GAP: 4 * PX,          // cooldown ring distance outside the player sprite
+    INDICATOR_WIDTH: 2 * PX,
+    INDICATOR_COLOR: 0x00ffff,
+  },
+};
+
+// --- Gamepad (standard mapping) ---
+
+export const GAMEPAD = {
+  DEAD_ZONE: 0.15,                  // default inner stick dead zone (Settings can change it)
+  DEAD_ZONE_MIN: 0,
+  DEAD_ZONE_MAX: 0.4,
+  DEAD_ZONE_STEP: 0.05,
+  OUTER_DEAD_ZONE: 0.05,            // stick travel at the rim that already counts as full tilt
+  MENU_THRESHOLD: 0.5,              // stick tilt that counts as a menu direction
+  REPEAT_DELAY: 350,                // ms before a held menu direction starts repeating
+  REPEAT_RATE: 120,                 // ms between repeats
+};
+
+// --- Touch controls (mobile) ---
+
+export const TOUCH = {
+  SCHEME: 'follow',                 // default scheme (see TouchControls; Settings can change it)
+  HAND: 'right',                    // default layout: steer with the right thumb
+  SENSITIVITY: 1,                   // default multiplier
+  SENSITIVITY_MIN: 0.5,
+  SENSITIVITY_MAX: 2,
+  SENSITIVITY_STEP: 0.25,
+  JOYSTICK_RADIUS: 56 * PX,         // thumb travel for full speed at sensitivity 1
+  JOYSTICK_DEAD_ZONE: 0.12,         // fraction of the radius that reads as centred
+  JOYSTICK_ALPHA_IDLE: 0.18,        // resting ring before the thumb lands
+  JOYSTICK_ALPHA_ACTIVE: 0.45,
+  DRAG_MAX_LAG: 120 * PX,           // finger travel the orb may still owe in drag mode
+  FOLLOW_DEAD_ZONE: PLAYER.SIZE * 2,  // follow mode: stop this close to the finger
+  DASH_BUTTON_SIZE: 64 * PX,
+  DASH_BUTTON_Y: 0.7,               // fraction of GAME.HEIGHT, above the corner HUDs
 };
 
 // --- Enemies ---
@@ -69,24 +142,83 @@ export const ENEMY = {
     WIDTH: 60 * PX,
     HEIGHT: 8 * PX,
     SPEED_MULT: 1.6,                // faster than base
+    SPAWN_WEIGHT: 60,               // relative to other unlocked types
     COLOR: 0xff3333,                // red
   },
 
   CODE_BLOCK: {
     SIZE: 28 * PX,
     SPEED_MULT: 0.7,                // slower, bulkier
+    SPAWN_WEIGHT: 40,
     COLOR: 0xff6600,                // orange
   },
 
   SINGULARITY_NODE: {
     SIZE: 10 * PX,
     SPEED_MULT: 1.2,
-    HOMING_STRENGTH: 0.03,          // lerp factor toward player per frame
+    HOMING_STRENGTH: 0.03,          // lerp factor toward player per tick
     MIN_SPAWN_TIME: 15000,          // only spawn after 15s of gameplay
+    SPAWN_WEIGHT: 15,
     COLOR: 0xff00ff,                // magenta
   },
 };
 
+// --- Broadphase (SpatialGrid, owned by SpawnSystem) ---
+
+export const GRID = {
+  CELL_SIZE: 64 * PX,               // about the largest enemy hitbox
+};
+
+// --- Broadphase benchmark (BenchmarkScene, ?bench=<count>) ---
+
+export const BENCH = {
+  DEFAULT_COUNT: 300,               // enemies kept on screen
+  MIN_COUNT: 100,
+  MAX_COUNT: 2000,
+  COUNT_STEP: 100,                  // Up/Down
+  SPEED_MULTIPLIER: 2,              // enemies cross (and recycle) faster than at run start
+  PROBES: 20,                       // proximity queries per frame
+  PROBE_RADIUS: 60 * PX,
+  SAMPLE_FRAMES: 60,                // timings are averaged over this many frames
+  SEED: 1,
+};
+
+// --- Scripted spawn patterns (src/patterns/*.json) ---
+
+export const PATTERN = {
+  FIRST_AT: 20000,                  // ms of gameplay before the first pattern
+  INTERVAL_START: 14000,            // ms between patterns early on
+  INTERVAL_MIN: 6000,               // ms between patterns at the cap
+  INTERVAL_DECAY: 60,               // ms to subtract from the interval per second
+  RANDOM_SPAWN_SCALE: 0.35,         // random spawn rate while a pattern plays
+  EDGE_MARGIN: 50,                  // px outside the screen formations spawn at
+};
+
+// --- Boss encounters (definitions in entities/bossDefinitions.js) ---
+
+export const BOSS = {
+  SCHEDULE: [                       // ms of gameplay when each encounter starts
+    { at: 90000, boss: 'coreMeltdown' },
+    { at: 200000, boss: 'coreMeltdown' },   // speed multiplier caps around here
+  ],
+  REPEAT_INTERVAL: 100000,          // ms between encounters once the schedule runs out
+  MIN_GAP: 30000,                   // ms of regular play guaranteed between encounters
+  WARNING_DURATION: 2500,           // ms of warning before the boss enters
+  ENTER_DURATION: 1500,             // ms to glide in from above the screen
+  TIME_LIMIT: 45000,                // ms before an undefeated boss retreats
+  TELEGRAPH: 500,                   // ms the core flashes before each attack
+  EXPOSURE_RADIUS: 170 * PX,        // fragments collected this close damage the boss
+  FRAGMENT_INTERVAL: 1600,          // ms between fragments spawned near the boss
+  FRAGMENT_RING_MIN: 90 * PX,       // distance from the core for those fragments
+  FRAGMENT_RING_MAX: 150 * PX,
+  MAX_NEAR_FRAGMENTS: 2,            // cap on fragments waiting inside the exposure radius
+  RANDOM_SPAWN_SCALE: 0.25,         // random spawn rate during an encounter
+  HEALTH_PER_ENCOUNTER: 1,          // extra health on each repeat encounter
+  SCORE_BONUS: 25,                  // points for a defeat
+  HUD_COLOR: 0xff00ff,
+  HUD_BG_COLOR: 0x000000,
+};
+
 // --- Humanity Fragments (collectibles) ---
 
 export const FRAGMENT = {
@@ -95,6 +227,7 @@ export const FRAGMENT = {
   SLOW_DURATION: 2000,              // ms duration of slowdown effect
   SLOW_FACTOR: 0.7,                 // multiply enemy speed by this during slowdown
   MAX_ON_SCREEN: 5,                 // max fragments at once
+  FIRST_SPAWN_DELAY: 500,           // ms before the first fragment appears
   COLOR: 0xffd700,                  // gold
   GLOW_COLOR: 0xffffff,            // white glow
   BOB_AMPLITUDE: 4 * PX,           // vertical bob distance
@@ -102,6 +235,79 @@ export const FRAGMENT = {
   EDGE_MARGIN: 60 * PX,            // minimum distance from edges when spawning
 };
 
+// --- Combo chain (ScoreSystem) ---
+
+export const COMBO = {
+  WINDOW: 2500,                     // ms after a fragment before the chain starts to decay
+  DECAY_INTERVAL: 800,              // ms per multiplier level lost once decaying
+  FRAGMENTS_PER_LEVEL: 3,           // chained fragments per +1 multiplier
+  MAX_MULTIPLIER: 5,
+  GRAZE_EXTEND: 600,                // ms a graze adds to the window (capped at WINDOW)
+  HUD_COLOR: 0xffd700,
+  HUD_WIDTH: 70 * PX,
+  HUD_MARGIN: 12 * PX,
+};
+
+// --- Grazing (GrazeSystem) ---
+
+export const GRAZE = {
+  DISTANCE: 18 * PX,                // max gap between player and enemy hitboxes that counts
+  CLOSE_DISTANCE: 6 * PX,           // a graze this close pays CLOSE_POINTS
+  POINTS: 1,
+  CLOSE_POINTS: 2,
+};
+
+// --- Power-ups (definitions in entities/powerUpDefinitions.js) ---
+
+export const POWERUP = {
+  SPAWN_INTERVAL: 8000,             // ms between spawn rolls
+  SPAWN_CHANCE_START: 0.3,          // chance per roll at speed x1
+  SPAWN_CHANCE_MAX: 0.75,           // chance per roll at ENEMY.MAX_SPEED_MULTIPLIER
+  FIRST_ROLL: 10000,                // ms of gameplay before the first roll
+  MAX_ON_SCREEN: 1,
+  LIFETIME: 9000,                   // ms before an uncollected pickup vanishes
+  BLINK_TIME: 2500,                 // blinks during its last ms
+  EDGE_MARGIN: 80 * PX,
+  MIN_PLAYER_DISTANCE: 120 * PX,    // never spawn right on top of the player
+
+  SHIELD: {
+    MAX_CHARGES: 2,                 // each pickup adds a charge up to this
+    HIT_INVULNERABLE: 800,          // ms of i-frames after a charge absorbs a hit
+    WEIGHT: 3,                      // spawn weight at speed x1
+    WEIGHT_AT_MAX: 4,               // spawn weight at max speed (lerped between)
+  },
+  EMP: {
+    RADIUS: 200 * PX,               // enemies inside are destroyed
+    WEIGHT: 1,
+    WEIGHT_AT_MAX: 4,
+    UNLOCK_TIME: 20000,             // ms of gameplay before it can appear
+  },
+  MAGNET: {
+    DURATION: 8000,                 // ms; extra pickups add time up to MAX_DURATION
+    MAX_DURATION: 16000,
+    RADIUS: 260 * PX,               // fragments inside are pulled in
+    PULL_SPEED: 280 * PX,           // px per second
+    WEIGHT: 3,
+    WEIGHT_AT_MAX: 2,
+  },
+  PHASE: {
+    DURATION: 6000,                 // ms; extra pickups restart the timer
+    WEIGHT: 2,
+    WEIGHT_AT_MAX: 3,
+    UNLOCK_TIME: 15000,
+  },
+  DOUBLER: {
+    DURATION: 10000,                // ms; extra pickups restart the timer
+    MULTIPLIER: 2,
+    WEIGHT: 2,
+    WEIGHT_AT_MAX: 2,
+    UNLOCK_TIME: 30000,
+  },
+
+  HUD_ICON_SIZE: 22 * PX,
+  HUD_MARGIN: 12 * PX,
+};
+
 // --- Colors ---
 
 export const COLORS = {
@@ -195,6 +401,59 @@ export const EFFECTS = {
     COLORS: [0x00ffff, 0xffffff],     // cyan / white
   },
 
+  // Dash burst (sparks kicked out behind the player)
+  GRAZE_SPARK: {
+    COUNT: 6,
+    SPEED: 90 * PX,
+    LIFETIME: 220,                    // ms
+    SIZE: 2 * PX,
+    COLORS: [0xffffff, 0x00ffff, 0xffd700],
+  },
+  DASH_BURST: {
+    COUNT: 8,
+    SPEED: 140 * PX,
+    LIFETIME: 250,                    // ms
+    SIZE: 2 * PX,
+    SPREAD: 0.6,                      // radians either side of straight back
+    COLORS: [0x00ffff, 0xffffff],
+  },
+
+  // Power-up pickup / effects
+  POWERUP_COLLECT: {
+    COUNT: 12,
+    SPEED: 130 * PX,
+    LIFETIME: 400,                    // ms
+    SIZE_MIN: 2 * PX,
+    SIZE_MAX: 4 * PX,
+  },
+  EMP_WAVE: {
+    DURATION: 350,                    // ms for the shockwave to reach full radius
+    COLOR: 0x88ccff,
+    COUNT: 24,
+    LIFETIME: 500,
+    SIZE: 3 * PX,
+  },
+
+  // Boss exposed by a nearby fragment
+  BOSS_HIT: {
+    COUNT: 14,
+    SPEED: 160 * PX,
+    LIFETIME: 450,                    // ms
+    SIZE_MIN: 2 * PX,
+    SIZE_MAX: 5 * PX,
+    COLORS: [0xff00ff, 0xffd700, 0xffffff],  // magenta / gold / white
+  },
+
+  // Boss destroyed
+  BOSS_DEATH: {
+    COUNT: 40,
+    SPEED: 260 * PX,
+    LIFETIME: 900,                    // ms
+    SIZE_MIN: 3 * PX,
+    SIZE_MAX: 7 * PX,
+    COLORS: [0xff00ff, 0xff3344, 0xffd700, 0xffffff],
+  },
+
   // Screen effects
   SCREEN_SHAKE_DURATION: 300,
   SCREEN_SHAKE_INTENSITY: 0.015,
@@ -282,6 +541,54 @@ export const EFFECTS = {
   },
 };
 
+// --- Simulation ---
+
+export const SIM = {
+  TICK_RATE: 60,                    // fixed simulation ticks per second
+  TICK_MS: 1000 / 60,               // ms per tick
+  MAX_TICKS_PER_FRAME: 8,           // catch-up cap; extra time is dropped
+};
+
+// --- Object pools (Pool.js) ---
+
+export const POOL = {
+  ENEMY_PREWARM: 24,                // enemies built before the first spawn
+  FRAGMENT_PREWARM: 5,              // FRAGMENT.MAX_ON_SCREEN
+  PARTICLE_PREWARM: 120,            // effect rectangles (a death burst plus sparks)
+  SCORE_POP_PREWARM: 4,
+};
+
+// --- Time limit countdown (TimerHud) ---
+
+export const TIMER_HUD = {
+  TOP_RATIO: 0.09,                  // y as a fraction of GAME.HEIGHT (below the score widget)
+  WARNING_TIME: 10000,              // ms left when the countdown turns red and pulses
+  WARNING_COLOR: '#ff3344',
+};
+
+// --- Debug overlay (DebugOverlay, ` key or ?debug) ---
+
+export const DEBUG = {
+  TOGGLE_KEY: 'Backquote',          // KeyboardEvent.code
+  URL_PARAM: 'debug',               // ?debug starts runs with the overlay on
+  PANEL_REFRESH: 250,               // ms between stats panel updates
+  SPAWN_MARKER_TIME: 1500,          // ms a spawn stays marked on the edge
+  SPAWN_MARKER_SIZE: 8 * PX,
+  SPAWN_COLOR: 0xff00ff,
+  HOMING_COLOR: 0xffaa00,
+};
+
+// --- Toasts (ToastScene) ---
+
+export const TOAST = {
+  DURATION: 2800,                   // ms a toast stays fully visible
+  SLIDE: 250,                       // ms to slide in / out
+  WIDTH_RATIO: 0.42,                // of GAME.WIDTH
+  TOP_RATIO: 0.13,                  // resting y as a fraction of GAME.HEIGHT (below the score widget)
+  BG_COLOR: 0x0a0a1a,
+  BORDER_COLOR: 0xffd700,
+};
+
 // --- Transitions ---
 
 export const TRANSITION = {
@@ -0,0 +1,59 @@
+// Daily challenge: one seed per UTC calendar day, so every player gets the
+// identical spawn sequence (all gameplay randomness is drawn from rng streams
+// derived from the run seed, see Random.js).
+
+import { normalizeSeed } from './Random.js';
+
+const SEED_PREFIX = 'meltdown-daily-';
+
+// Share text: one square per SHARE_SEGMENT seconds survived
+const SHARE_SEGMENTS = 10;
+const SHARE_SEGMENT = 15;
+
+/**
+ * UTC calendar day as 'YYYY-MM-DD'.
+ * @param {Date} [date]
+ */
+export function dailyKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Day before a daily key (used for streaks).
+ * @param {string} key
+ */
+export function previousDailyKey(key) {
+  const date = new Date(`${key}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - 1);
+  return dailyKey(date);
+}
+
+/**
+ * Run seed for a day. The same key gives the same seed on every device.
+ * @param {string} key
+ */
+export function dailySeed(key) {
+  return normalizeSeed(SEED_PREFIX + key);
+}
+
+/**
+ * Spoiler-free result for sharing, e.g.
+ *
+ *   MELTDOWN Daily 2026-10-19
+ *   Score 412 · 97s · streak 3
+ *   🟩🟩🟩🟩🟩🟩🟥⬛⬛⬛
+ *
+ * @param {{ date: string, score: number, survivalTime: number, streak: number }} result
+ */
+export function dailyShareText({ date, score, survivalTime, streak }) {
+  const full = Math.min(Math.floor(survivalTime / SHARE_SEGMENT), SHARE_SEGMENTS);
+  let bar = '🟩'.repeat(full);
+  if (full < SHARE_SEGMENTS) {
+    bar += '🟥' + '⬛'.repeat(SHARE_SEGMENTS - full - 1);
+  }
+  return [
+    `MELTDOWN Daily ${date}`,
+    `Score ${score} · ${Math.floor(survivalTime)}s · streak ${streak}`,
+    bar,
+  ].join('\n');
+}
@@ -3,19 +3,48 @@ export const Events = {
   GAME_START: 'game:start',
   GAME_OVER: 'game:over',
   GAME_RESTART: 'game:restart',
+  GAME_PAUSED: 'game:paused',
+  GAME_RESUMED: 'game:resumed',
 
   // Player
   PLAYER_MOVE: 'player:move',
   PLAYER_DIED: 'player:died',
+  PLAYER_DASH: 'player:dash',
+  PLAYER_GRAZE: 'player:graze',
 
   // Score
   SCORE_CHANGED: 'score:changed',
+  COMBO_CHANGED: 'combo:changed',
+  COMBO_ENDED: 'combo:ended',
 
   // Fragments
   FRAGMENT_COLLECTED: 'fragment:collected',
 
   // Enemies
   ENEMY_SPAWNED: 'enemy:spawned',
+  PATTERN_STARTED: 'pattern:started',
+  PATTERN_ENDED: 'pattern:ended',
+
+  // Bosses
+  BOSS_WARNING: 'boss:warning',
+  BOSS_SPAWNED: 'boss:spawned',
+  BOSS_PHASE: 'boss:phase',
+  BOSS_DAMAGED: 'boss:damaged',
+  BOSS_DEFEATED: 'boss:defeated',
+  BOSS_RETREATED: 'boss:retreated',
+
+  // Power-ups
+  POWERUP_SPAWNED: 'powerup:spawned',
+  POWERUP_COLLECTED: 'powerup:collected',
+  POWERUP_EXPIRED: 'powerup:expired',
+  POWERUP_EMP: 'powerup:emp',
+  POWERUP_SHIELD_HIT: 'powerup:shieldHit',
+
+  // Achievements
+  ACHIEVEMENT_UNLOCKED: 'achievement:unlocked',
+
+  // Profile (localStorage full or unavailable, see Profile.save)
+  PROFILE_SAVE_FAILED: 'profile:saveFailed',
 
   // Slowdown mechanic
   SLOWDOWN_START: 'slowdown:start',
@@ -27,11 +56,15 @@ export const Events = {
   // Particles
   PARTICLES_EMIT: 'particles:emit',
 
+  // Display (window resized or rotated, see Layout.js)
+  LAYOUT_CHANGED: 'layout:changed',
+
   // Audio (used by /add-audio)
   AUDIO_INIT: 'audio:init',
   MUSIC_MENU: 'music:menu',
   MUSIC_GAMEPLAY: 'music:gameplay',
   MUSIC_GAMEOVER: 'music:gameover',
+  MUSIC_BOSS: 'music:boss',
   MUSIC_STOP: 'music:stop',
 };
 
@@ -0,0 +1,91 @@
+// Browser file helpers for exporting/importing JSON (replays, profiles) and
+// copying text to the clipboard.
+
+/**
+ * Trigger a download of `data` as a compact JSON file.
+ * @param {string} filename
+ * @param {any} data
+ */
+export function downloadJSON(filename, data) {
+  const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  // Revoke after the click has been handled
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Open a file picker and parse the chosen file as JSON.
+ * Resolves null if the picker is dismissed; rejects on unreadable/invalid JSON.
+ * @returns {Promise<any|null>}
+ */
+export function pickJSONFile() {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.style.display = 'none';
+
+    input.addEventListener('change', () => {
+      const file = input.files && input.files[0];
+      input.remove();
+      if (!file) return resolve(null);
+
+      const reader = new FileReader();
+      reader.onload = () => {
+        try {
+          resolve(JSON.parse(reader.result));
+        } catch (err) {
+          reject(new Error('File is not valid JSON'));
+        }
+      };
+      reader.onerror = () => reject(new Error('Could not read file'));
+      reader.readAsText(file);
+    });
+    input.addEventListener('cancel', () => {
+      input.remove();
+      resolve(null);
+    });
+
+    document.body.appendChild(input);
+    input.click();
+  });
+}
+
+/**
+ * Copy text to the clipboard. Falls back to a hidden textarea where the
+ * async Clipboard API is unavailable (insecure origins, older browsers).
+ * @param {string} text
+ * @returns {Promise<boolean>} whether the copy succeeded
+ */
+export async function copyText(text) {
+  if (navigator.clipboard && window.isSecureContext) {
+    try {
+      await navigator.clipboard.writeText(text);
+      return true;
+    } catch (err) {
+      // permission denied: try the fallback
+    }
+  }
+
+  const area = document.createElement('textarea');
+  area.value = text;
+  area.setAttribute('readonly', '');
+  area.style.position = 'fixed';
+  area.style.opacity = '0';
+  document.body.appendChild(area);
+  area.select();
+  let ok = false;
+  try {
+    ok = document.execCommand('copy');
+  } catch (err) {
+    ok = false;
+  }
+  area.remove();
+  return ok;
+}
@@ -1,8 +1,18 @@
 import Phaser from 'phaser';
-import { GAME, COLORS, DPR } from './Constants.js';
+import { GAME, COLORS, DPR, SIM } from './Constants.js';
 import { BootScene } from '../scenes/BootScene.js';
+import { MenuScene } from '../scenes/MenuScene.js';
+import { SettingsScene } from '../scenes/SettingsScene.js';
+import { ControlsScene } from '../scenes/ControlsScene.js';
+import { StatsScene } from '../scenes/StatsScene.js';
+import { AchievementsScene } from '../scenes/AchievementsScene.js';
+import { LeaderboardScene } from '../scenes/LeaderboardScene.js';
+import { CreditsScene } from '../scenes/CreditsScene.js';
 import { GameScene } from '../scenes/GameScene.js';
 import { GameOverScene } from '../scenes/GameOverScene.js';
+import { PauseScene } from '../scenes/PauseScene.js';
+import { ToastScene } from '../scenes/ToastScene.js';
+import { BenchmarkScene } from '../scenes/BenchmarkScene.js';
 
 export const GameConfig = {
   type: Phaser.AUTO,
@@ -20,12 +30,19 @@ export const GameConfig = {
     autoCenter: Phaser.Scale.CENTER_BOTH,
     zoom: 1 / DPR,
   },
+  input: {
+    gamepad: true,
+  },
   physics: {
     default: 'arcade',
     arcade: {
       gravity: { y: 0 },
-      debug: false,
+      fps: SIM.TICK_RATE,           // GameScene steps the world manually, one step per tick
+      debug: false,                 // DebugOverlay turns the body view on per run
     },
   },
-  scene: [BootScene, GameScene, GameOverScene],
+  scene: [
+    BootScene, MenuScene, SettingsScene, ControlsScene, StatsScene, AchievementsScene, LeaderboardScene, CreditsScene,
+    GameScene, GameOverScene, PauseScene, ToastScene, BenchmarkScene,
+  ],
 };
@@ -0,0 +1,103 @@
+import { ENEMY, FRAGMENT } from './Constants.js';
+
+// Game modes selectable from the menu. The chosen mode is stored in
+// gameState.mode and read by GameScene at run start, which resolves the
+// mode's rules (getRules) and hands them to the systems.
+//
+// Mode fields:
+//   key, label, description
+//   daily        the run seed comes from the UTC date instead of a fresh random one
+//   finishTitle  game over title when the run ends by the rules (time limit,
+//                ending a session) instead of a hit
+//   finishText   subtitle under finishTitle
+//   rules        overrides merged over DEFAULT_RULES
+
+export const DEFAULT_RULES = {
+  // Spawning and the acceleration curve (see SpawnSystem.accelerate)
+  enemies: true,                                   // random spawns and scripted patterns
+  spawnIntervalStart: ENEMY.SPAWN_INTERVAL_START,
+  spawnIntervalMin: ENEMY.SPAWN_INTERVAL_MIN,
+  spawnAcceleration: ENEMY.SPAWN_ACCELERATION,
+  accelerationRate: ENEMY.ACCELERATION_RATE,
+  maxSpeedMultiplier: ENEMY.MAX_SPEED_MULTIPLIER,
+  unlockTimes: {},                                 // enemy type -> ms, replaces the type's unlockTime
+  fragmentInterval: FRAGMENT.SPAWN_INTERVAL,
+  bosses: true,
+  powerUps: true,
+
+  // Fragments slow enemies down
+  slowdown: true,
+
+  // Win/lose: a time limit (ms, 0 = none) ends the run as a finish; an
+  // endable run can be finished from the pause menu
+  timeLimit: 0,
+  endable: false,
+
+  // Scoring: grazes are worth points (they always extend the combo)
+  grazeScore: true,
+};
+
+export const GAME_MODES = [
+  {
+    key: 'endless',
+    label: 'ENDLESS',
+    description: 'Survive the meltdown as long as you can.',
+  },
+  {
+    key: 'daily',
+    label: 'DAILY',
+    description: 'Same run for everyone today. First attempt counts.',
+    daily: true,
+  },
+  {
+    key: 'timeAttack',
+    label: 'TIME ATTACK',
+    description: 'Grab as many fragments as you can in 90 seconds.',
+    finishTitle: 'TIME UP',
+    finishText: 'The clock ran out before you did.',
+    rules: {
+      timeLimit: 90000,
+      fragmentInterval: 1500,
+      bosses: false,
+      grazeScore: false,
+    },
+  },
+  {
+    key: 'zen',
+    label: 'ZEN',
+    description: 'No threats. Just fragments and music. End from the pause menu.',
+    finishTitle: 'AT PEACE',
+    finishText: 'Session complete.',
+    rules: {
+      enemies: false,
+      accelerationRate: 0,
+      spawnAcceleration: 0,
+      bosses: false,
+      powerUps: false,
+      endable: true,
+    },
+  },
+  {
+    key: 'hardcore',
+    label: 'HARDCORE',
+    description: 'Singularity nodes from the start. Fragments do not slow time.',
+    rules: {
+      unlockTimes: { singularityNode: 0 },
+      slowdown: false,
+    },
+  },
+];
+
+export const DEFAULT_MODE = GAME_MODES[0].key;
+
+export function getMode(key) {
+  return GAME_MODES.find(m => m.key === key) || GAME_MODES[0];
+}
+
+/**
+ * Full rule set for a mode: its overrides on top of DEFAULT_RULES.
+ * @param {string} key
+ */
+export function getRules(key) {
+  return { ...DEFAULT_RULES, ...getMode(key).rules };
+}
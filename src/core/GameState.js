@@ -1,6 +1,12 @@
+import { DEFAULT_MODE } from './GameModes.js';
+
 class GameState {
   constructor() {
-    this.bestScore = 0;
+    this.bestScore = 0;       // best in the current mode
+    this.mode = DEFAULT_MODE; // selected in MenuScene (survives reset)
+    this.isMuted = false;     // user preference (survives reset)
+    this.seed = 0;
+    this.lastReplay = null;   // replay of the most recent run (survives reset)
     this.reset();
   }
 
@@ -9,17 +15,40 @@ class GameState {
     this.bestScore = this.bestScore || 0;
     this.started = false;
     this.gameOver = false;
+    this.paused = false;
     this.survivalTime = 0;
     this.fragmentsCollected = 0;
+    this.combo = 0;              // fragments in the current chain
+    this.comboMultiplier = 1;
+    this.bestCombo = 0;          // longest chain this run
+    this.grazes = 0;
+    this.deathCause = null;      // enemy/boss type that ended the run
     this.currentSpeedMultiplier = 1.0;
     this.isSlowed = false;
-    this.isMuted = false;
+    this.bossesDefeated = 0;
+    this.replaying = false;
+    this.patternsForced = false; // a pattern was started by hand (window.playPattern)
+    this.newBestScore = false;   // set at game over from the saved profile
+    this.newBestTime = false;
+    this.leaderboardRank = 0;    // set at game over when the run makes the table
+    this.dailyDate = null;       // UTC day key while playing the Daily challenge
+    this.dailyResult = null;     // set at game over (see profile.recordDaily)
+    this.finished = false;       // run ended by the mode's rules, not a hit
+  }
+
+  /**
+   * Pull persisted values (bests, settings) from the player profile.
+   * @param {object} data - profile.data
+   */
+  applyProfile(data) {
+    const best = data.bests[this.mode];
+    this.bestScore = best ? best.score : 0;
+    this.isMuted = data.settings.muted;
   }
 
   addScore(points = 1) {
     this.score += points;
-    this.fragmentsCollected += points;
-    if (this.score > this.bestScore) {
+    if (!this.replaying && this.score > this.bestScore) {
       this.bestScore = this.score;
     }
   }
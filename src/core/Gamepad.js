@@ -0,0 +1,156 @@
+import { GAMEPAD } from './Constants.js';
+
+// Gamepad reading shared by gameplay (analog movement, dash, pause) and the
+// menus. Uses Phaser's gamepad plugin with the browser's standard mapping.
+// The buttons behind each gameplay action live in the input map (InputMap.js).
+
+// Standard-mapping button indices
+export const PadButton = {
+  A: 0,
+  B: 1,
+  X: 2,
+  Y: 3,
+  LB: 4,
+  RB: 5,
+  SELECT: 8,
+  START: 9,
+  UP: 12,
+  DOWN: 13,
+  LEFT: 14,
+  RIGHT: 15,
+};
+
+/**
+ * Radial dead zone: tilt inside `inner` reads as centred, tilt past
+ * 1 - `outer` as full, and the range in between is rescaled so speed grows
+ * smoothly from zero instead of jumping at the edge of the dead zone.
+ * @param {number} x - raw axis, -1..1
+ * @param {number} y - raw axis, -1..1
+ * @param {number} inner
+ * @param {number} [outer]
+ * @returns {{ x: number, y: number }} length 0..1
+ */
+export function applyDeadZone(x, y, inner, outer = GAMEPAD.OUTER_DEAD_ZONE) {
+  const mag = Math.sqrt(x * x + y * y);
+  if (mag <= inner || mag === 0) return { x: 0, y: 0 };
+  const scaled = Math.min((mag - inner) / Math.max(1 - outer - inner, 1e-6), 1);
+  return { x: (x / mag) * scaled, y: (y / mag) * scaled };
+}
+
+/**
+ * Connected pads of a scene's gamepad plugin.
+ * @param {Phaser.Scene} scene
+ * @returns {Phaser.Input.Gamepad.Gamepad[]}
+ */
+export function connectedPads(scene) {
+  const plugin = scene.input.gamepad;
+  if (!plugin || plugin.total === 0) return [];
+  return plugin.getAll().filter(pad => pad && pad.connected);
+}
+
+/**
+ * Combined state of every connected pad: the strongest stick tilt (dead
+ * zone applied), the D-pad and the held buttons.
+ * @param {Phaser.Scene} scene
+ * @param {number} deadZone
+ * @returns {{ x: number, y: number, dpadX: number, dpadY: number,
+ *   buttons: Set<number> }} buttons = indices held on any pad
+ */
+export function readPads(scene, deadZone) {
+  let x = 0;
+  let y = 0;
+  let dpadX = 0;
+  let dpadY = 0;
+  const buttons = new Set();
+
+  for (const pad of connectedPads(scene)) {
+    const axes = pad.axes;
+    const stick = axes.length >= 2
+      ? applyDeadZone(axes[0].value, axes[1].value, deadZone)
+      : { x: 0, y: 0 };
+    if (stick.x * stick.x + stick.y * stick.y > x * x + y * y) {
+      x = stick.x;
+      y = stick.y;
+    }
+
+    pad.buttons.forEach((button, i) => {
+      if (button.pressed) buttons.add(i);
+    });
+  }
+
+  if (buttons.has(PadButton.LEFT)) dpadX -= 1;
+  if (buttons.has(PadButton.RIGHT)) dpadX += 1;
+  if (buttons.has(PadButton.UP)) dpadY -= 1;
+  if (buttons.has(PadButton.DOWN)) dpadY += 1;
+
+  return { x, y, dpadX, dpadY, buttons };
+}
+
+/**
+ * Edge detection for gamepad buttons polled once per frame. The first poll
+ * only records what is held, so a button still down from the previous
+ * screen does not fire.
+ */
+export class PadEdges {
+  constructor() {
+    this._prev = null;
+  }
+
+  /**
+   * @param {Set<number>} buttons - currently held
+   * @returns {(binding: number[]) => boolean} whether any button of a
+   *   binding went down since the last poll
+   */
+  update(buttons) {
+    const prev = this._prev;
+    this._prev = buttons;
+    return (binding) => prev !== null && binding.some(b => buttons.has(b) && !prev.has(b));
+  }
+
+  /** Treat everything currently held as already handled */
+  reset() {
+    this._prev = null;
+  }
+}
+
+/**
+ * Menu direction from a readPads() state: D-pad or a firm stick tilt.
+ * @returns {'up'|'down'|'left'|'right'|null}
+ */
+export function menuDirection(state) {
+  const t = GAMEPAD.MENU_THRESHOLD;
+  if (state.dpadY < 0 || state.y < -t) return 'up';
+  if (state.dpadY > 0 || state.y > t) return 'down';
+  if (state.dpadX < 0 || state.x < -t) return 'left';
+  if (state.dpadX > 0 || state.x > t) return 'right';
+  return null;
+}
+
+/**
+ * Key-repeat for a held menu direction: fires on the press, then after
+ * REPEAT_DELAY every REPEAT_RATE while held.
+ */
+export class DirectionRepeat {
+  constructor() {
+    this._held = null;
+    this._next = 0;
+  }
+
+  /**
+   * @param {string|null} dir - direction held this frame
+   * @param {number} time - scene time in ms
+   * @returns {string|null} direction to apply this frame
+   */
+  update(dir, time) {
+    if (dir !== this._held) {
+      this._held = dir;
+      this._next = time + GAMEPAD.REPEAT_DELAY;
+      return dir;
+    }
+    if (dir && time >= this._next) {
+      this._next = time + GAMEPAD.REPEAT_RATE;
+      return dir;
+    }
+    return null;
+  }
+}
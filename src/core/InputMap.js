@@ -0,0 +1,248 @@
+import { profile } from './Profile.js';
+import { PadButton } from './Gamepad.js';
+
+// Input-action map: the keys and gamepad buttons behind each gameplay action.
+// Gameplay, the pause overlay, the game over screen and the audio bridge ask
+// the map instead of checking keys directly, so rebinding in ControlsScene
+// applies everywhere. Keys are KeyboardEvent.code values (physical keys, so
+// WASD stays in place on other layouts).
+//
+// Only changes from the defaults are saved (profile.data.bindings).
+//
+// Fixed, never bindable:
+//   Escape             menu back / cancel, and always pauses
+//   Backspace, Delete  clear a key slot while rebinding
+//   D-pad, left stick  movement on the gamepad
+
+export const Action = {
+  MOVE_UP: 'moveUp',
+  MOVE_DOWN: 'moveDown',
+  MOVE_LEFT: 'moveLeft',
+  MOVE_RIGHT: 'moveRight',
+  DASH: 'dash',
+  PAUSE: 'pause',
+  MUTE: 'mute',
+  RESTART: 'restart',
+};
+
+// Key slots per action
+export const KEY_SLOTS = 2;
+
+// In display order. pad = null: not bindable on the gamepad.
+export const ACTIONS = [
+  { key: Action.MOVE_UP, label: 'MOVE UP', keys: ['ArrowUp', 'KeyW'], pad: null },
+  { key: Action.MOVE_DOWN, label: 'MOVE DOWN', keys: ['ArrowDown', 'KeyS'], pad: null },
+  { key: Action.MOVE_LEFT, label: 'MOVE LEFT', keys: ['ArrowLeft', 'KeyA'], pad: null },
+  { key: Action.MOVE_RIGHT, label: 'MOVE RIGHT', keys: ['ArrowRight', 'KeyD'], pad: null },
+  { key: Action.DASH, label: 'DASH', keys: ['ShiftLeft', 'Space'], pad: [PadButton.A, PadButton.X, PadButton.RB] },
+  { key: Action.PAUSE, label: 'PAUSE', keys: ['KeyP', null], pad: [PadButton.START, PadButton.SELECT] },
+  { key: Action.MUTE, label: 'MUTE', keys: ['KeyM', null], pad: null },
+  { key: Action.RESTART, label: 'RESTART', keys: ['KeyR', null], pad: [PadButton.Y] },
+];
+
+export const RESERVED_KEYS = ['Escape', 'Backspace', 'Delete'];
+export const RESERVED_BUTTONS = [PadButton.UP, PadButton.DOWN, PadButton.LEFT, PadButton.RIGHT];
+
+const PAD_NAMES = {
+  0: 'A', 1: 'B', 2: 'X', 3: 'Y', 4: 'LB', 5: 'RB', 6: 'LT', 7: 'RT',
+  8: 'SELECT', 9: 'START', 10: 'L3', 11: 'R3', 16: 'HOME',
+};
+
+function getActionDef(action) {
+  const def = ACTIONS.find(a => a.key === action);
+  if (!def) throw new Error(`Unknown input action: ${action}`);
+  return def;
+}
+
+/**
+ * Short on-screen name for a key code, e.g. 'KeyW' -> 'W', 'ShiftLeft' -> 'L-SHIFT'.
+ * @param {string|null} code
+ */
+export function keyLabel(code) {
+  if (!code) return '—';
+  if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+  if (/^Digit\d$/.test(code)) return code.slice(5);
+  if (code.startsWith('Arrow')) return code.slice(5).toUpperCase();
+  if (code.startsWith('Numpad')) return `NUM ${code.slice(6).toUpperCase()}`;
+  const side = code.match(/^(.+)(Left|Right)$/);
+  if (side) return `${side[2][0]}-${side[1].toUpperCase()}`;
+  return code.toUpperCase();
+}
+
+/**
+ * On-screen name for a standard-mapping button index.
+ * @param {number} button
+ */
+export function padLabel(button) {
+  return PAD_NAMES[button] || `B${button}`;
+}
+
+class InputMap {
+  constructor() {
+    this.bindings = {};
+    /** Set while something else owns the keyboard (typing initials, capturing a rebind) */
+    this.suspended = false;
+    this.resetDefaults(false);
+  }
+
+  /**
+   * Apply the saved overrides from the profile. Entries that do not fit the
+   * current actions are ignored.
+   */
+  load() {
+    this.resetDefaults(false);
+    const saved = profile.data.bindings;
+    for (const def of ACTIONS) {
+      const entry = saved[def.key];
+      if (!entry || typeof entry !== 'object') continue;
+      const binding = this.bindings[def.key];
+      if (Array.isArray(entry.keys) && entry.keys.length === KEY_SLOTS &&
+          entry.keys.every(k => k === null || (typeof k === 'string' && !RESERVED_KEYS.includes(k)))) {
+        binding.keys = [...entry.keys];
+      }
+      if (def.pad && Array.isArray(entry.pad) &&
+          entry.pad.every(b => Number.isInteger(b) && b >= 0 && !RESERVED_BUTTONS.includes(b))) {
+        binding.pad = [...entry.pad];
+      }
+    }
+  }
+
+  /**
+   * @param {boolean} [save]
+   */
+  resetDefaults(save = true) {
+    this.bindings = {};
+    for (const def of ACTIONS) {
+      this.bindings[def.key] = { keys: [...def.keys], pad: def.pad ? [...def.pad] : [] };
+    }
+    if (save) this._save();
+  }
+
+  /** Bound key codes of an action (empty slots skipped) */
+  keys(action) {
+    return this.bindings[action].keys.filter(Boolean);
+  }
+
+  /** Key slots of an action, null where empty */
+  keySlots(action) {
+    return this.bindings[action].keys;
+  }
+
+  /** Gamepad buttons of an action */
+  pad(action) {
+    return this.bindings[action].pad;
+  }
+
+  /**
+   * Whether a keyboard event is one of the action's keys.
+   * @param {string} action
+   * @param {KeyboardEvent} event
+   */
+  matches(action, event) {
+    return this.bindings[action].keys.includes(event.code);
+  }
+
+  /** Action with neither a key nor (where it applies) a button */
+  isUnbound(action) {
+    const def = getActionDef(action);
+    return this.keys(action).length === 0 && (!def.pad || this.pad(action).length === 0);
+  }
+
+  /**
+   * Put a key into one of an action's slots. A key already used elsewhere
+   * is swapped: the other slot gets this slot's previous key (or is left
+   * empty).
+   * @returns {{ action: string, code: string|null }|null} the other action
+   *   and the key it received, if there was a conflict
+   */
+  bindKey(action, slot, code) {
+    if (RESERVED_KEYS.includes(code)) return null;
+    const keys = this.bindings[action].keys;
+    const previous = keys[slot];
+    let conflict = null;
+
+    for (const def of ACTIONS) {
+      const other = this.bindings[def.key].keys;
+      const i = other.indexOf(code);
+      if (i === -1 || (def.key === action && i === slot)) continue;
+      other[i] = previous;
+      if (def.key !== action) conflict = { action: def.key, code: previous };
+    }
+
+    keys[slot] = code;
+    this._save();
+    return conflict;
+  }
+
+  clearKey(action, slot) {
+    this.bindings[action].keys[slot] = null;
+    this._save();
+  }
+
+  /**
+   * Make a button the action's only gamepad button. Another action using it
+   * loses it; if that leaves it with no button, it takes this action's
+   * previous buttons instead.
+   * @returns {{ action: string, pad: number[] }|null} the other action and
+   *   its buttons now, if there was a conflict
+   */
+  bindPad(action, button) {
+    if (!getActionDef(action).pad || RESERVED_BUTTONS.includes(button)) return null;
+    const previous = this.bindings[action].pad.filter(b => b !== button);
+    let conflict = null;
+
+    for (const def of ACTIONS) {
+      const other = this.bindings[def.key];
+      if (def.key === action || !other.pad.includes(button)) continue;
+      other.pad = other.pad.filter(b => b !== button);
+      if (other.pad.length === 0) other.pad = previous;
+      conflict = { action: def.key, pad: other.pad };
+    }
+
+    this.bindings[action].pad = [button];
+    this._save();
+    return conflict;
+  }
+
+  _save() {
+    const overrides = {};
+    for (const def of ACTIONS) {
+      const { keys, pad } = this.bindings[def.key];
+      const same = (a, b) => a.length === b.length && a.every((v, i) => v === b[i]);
+      if (!same(keys, def.keys) || !same(pad, def.pad || [])) {
+        overrides[def.key] = { keys: [...keys], pad: [...pad] };
+      }
+    }
+    profile.data.bindings = overrides;
+    profile.save();
+  }
+}
+
+export const inputMap = new InputMap();
+
+/**
+ * Keyboard keys held in one scene, by physical key. Phaser key objects are
+ * per keyCode, so bound actions read from this instead.
+ */
+export class HeldKeys {
+  /**
+   * @param {Phaser.Scene} scene
+   */
+  constructor(scene) {
+    this._down = new Set();
+    scene.input.keyboard.on('keydown', (event) => this._down.add(event.code));
+    scene.input.keyboard.on('keyup', (event) => this._down.delete(event.code));
+  }
+
+  /**
+   * @param {string} action
+   */
+  isDown(action) {
+    return inputMap.keySlots(action).some(code => code && this._down.has(code));
+  }
+
+  /** Forget everything held, e.g. keys released while the scene was paused */
+  reset() {
+    this._down.clear();
+  }
+}
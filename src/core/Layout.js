@@ -0,0 +1,188 @@
+import { DPR, PX, GAME, PLAYER, LAYOUT, computeViewport } from './Constants.js';
+import { eventBus, Events } from './EventBus.js';
+
+// Layout service: follows window resizes and phone rotations at runtime.
+//
+// PX and everything derived from it are world units fixed at boot, so a run
+// keeps its speeds and sizes. What changes:
+//   - the world size (GAME.WIDTH/HEIGHT/IS_PORTRAIT, updated in place) when
+//     the orientation flips: design size for the new orientation times PX
+//   - the canvas resolution, which tracks the device pixels again, with every
+//     scene's camera zoomed by `resolution` (canvas px per world px) so the
+//     world still fills it. This stands in for a new PX/SPRITE_SCALE: the
+//     picture is rescaled and stays sharp, the simulation is not.
+//
+// LAYOUT_CHANGED is emitted with { width, height, previousWidth,
+// previousHeight, worldChanged, resolution }. Only a world change needs a
+// reflow; `version` counts them. GameScene reflows a run in place and
+// records the change in the run's replay.
+//
+// A replay plays in the worlds it recorded instead: it holds the world with
+// lock() and applies its recorded changes with setWorld(), while the window
+// only refits the view (letterboxed if the orientations differ) until
+// unlock().
+
+class Layout {
+  constructor() {
+    this.game = null;
+    /** Canvas pixels per world pixel (camera zoom) */
+    this.resolution = 1;
+    /** Bumped every time the world size changes */
+    this.version = 0;
+    /** Set while a replay holds the world size */
+    this.locked = false;
+    this._timer = null;
+    this._canvasW = GAME.WIDTH;
+    this._canvasH = GAME.HEIGHT;
+  }
+
+  /**
+   * Start following the window. Call once, right after creating the game.
+   * @param {Phaser.Game} game
+   */
+  attach(game) {
+    this.game = game;
+
+    const schedule = () => {
+      clearTimeout(this._timer);
+      this._timer = setTimeout(() => this.refresh(), LAYOUT.DEBOUNCE);
+    };
+    window.addEventListener('resize', schedule);
+    window.addEventListener('orientationchange', schedule);
+
+    // Scenes started later get the current zoom as soon as they are built
+    game.events.once('ready', () => {
+      for (const scene of game.scene.scenes) {
+        scene.sys.events.on('create', () => this._applyCamera(scene));
+      }
+    });
+  }
+
+  /**
+   * Hold the world size until unlock(): resizes and rotations only refit the
+   * view. Call before anything reads GAME for the replay.
+   * @param {{ width: number, height: number }} [world] - the world the
+   *   replay starts in
+   */
+  lock(world) {
+    this.locked = true;
+    if (world) this.setWorld(world.width, world.height);
+  }
+
+  /**
+   * Change the world size regardless of the window (a replay's recorded
+   * resize), with LAYOUT_CHANGED like a real one.
+   * @param {number} width
+   * @param {number} height
+   */
+  setWorld(width, height) {
+    if (width === GAME.WIDTH && height === GAME.HEIGHT) return;
+    const previousWidth = GAME.WIDTH;
+    const previousHeight = GAME.HEIGHT;
+    this._setWorld(width, height);
+    this._fit();
+    this._emit(previousWidth, previousHeight, true);
+  }
+
+  /** Release the world size and catch up with the window. */
+  unlock() {
+    this.locked = false;
+    this.refresh();
+  }
+
+  /**
+   * Recompute the layout for the current window size.
+   * @returns {boolean} whether anything changed
+   */
+  refresh() {
+    if (!this.game) return false;
+    const view = computeViewport(window.innerWidth, window.innerHeight, DPR);
+    const width = this.locked ? GAME.WIDTH : Math.round(view.designW * PX);
+    const height = this.locked ? GAME.HEIGHT : Math.round(view.designH * PX);
+    const previousWidth = GAME.WIDTH;
+    const previousHeight = GAME.HEIGHT;
+    const worldChanged = width !== previousWidth || height !== previousHeight;
+
+    if (!worldChanged && view.canvasW === this._canvasW && view.canvasH === this._canvasH) return false;
+
+    if (worldChanged) this._setWorld(width, height);
+    this._canvasW = view.canvasW;
+    this._canvasH = view.canvasH;
+    this.game.scale.setGameSize(view.canvasW, view.canvasH);
+    this._fit();
+    this._emit(previousWidth, previousHeight, worldChanged);
+    return true;
+  }
+
+  _setWorld(width, height) {
+    GAME.WIDTH = width;
+    GAME.HEIGHT = height;
+    GAME.IS_PORTRAIT = height > width;
+    PLAYER.START_X = width / 2;
+    PLAYER.START_Y = height / 2;
+    this.version++;
+  }
+
+  /** Zoom every scene's camera so the whole world fits the canvas */
+  _fit() {
+    // Same aspect as the canvas unless locked to another orientation
+    this.resolution = Math.min(this._canvasW / GAME.WIDTH, this._canvasH / GAME.HEIGHT);
+    if (!this.game) return;
+    for (const scene of this.game.scene.getScenes(false)) {
+      this._applyCamera(scene);
+    }
+  }
+
+  _emit(previousWidth, previousHeight, worldChanged) {
+    eventBus.emit(Events.LAYOUT_CHANGED, {
+      width: GAME.WIDTH,
+      height: GAME.HEIGHT,
+      previousWidth,
+      previousHeight,
+      worldChanged,
+      resolution: this.resolution,
+    });
+  }
+
+  /**
+   * Fit a scene's main camera to the canvas, centred on the world (with
+   * bars on two sides when their aspects differ).
+   * @param {Phaser.Scene} scene
+   */
+  _applyCamera(scene) {
+    const camera = scene.cameras && scene.cameras.main;
+    if (!camera) return;
+    camera.setSize(this._canvasW, this._canvasH);
+    camera.setZoom(this.resolution);
+    camera.centerOn(GAME.WIDTH / 2, GAME.HEIGHT / 2);
+  }
+}
+
+export const layout = new Layout();
+
+/**
+ * Rebuild a menu-style scene when the world size changes: restarted with the
+ * same data plus `reflow: true` (to skip intro effects) right away if it is
+ * running, or when it wakes up if it was asleep under an overlay. Call from
+ * create().
+ * @param {Phaser.Scene} scene
+ * @param {() => object} [keep] - extra data for the rebuilt scene, read just
+ *   before the restart (input in progress)
+ */
+export function restartOnLayoutChange(scene, keep) {
+  const version = layout.version;
+  const restart = () => {
+    if (layout.version !== version) {
+      scene.scene.restart({ ...scene.sys.settings.data, ...(keep && keep()), reflow: true });
+    }
+  };
+  const onChange = () => {
+    if (scene.sys.isActive()) restart();
+  };
+  eventBus.on(Events.LAYOUT_CHANGED, onChange);
+  scene.events.on('wake', restart);
+  scene.events.once('shutdown', () => {
+    eventBus.off(Events.LAYOUT_CHANGED, onChange);
+    scene.events.off('wake', restart);
+  });
+}
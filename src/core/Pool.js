@@ -0,0 +1,114 @@
+// Object pools: recycle game objects that come and go many times a second
+// (enemies, fragments, effect particles, score pops) instead of building a
+// new physics sprite, rectangle or text each time and leaving the old one to
+// the garbage collector.
+//
+// A pool is built with hooks:
+//   create()             a new object, when no released one is free
+//   reset(obj, ...args)  make it ready to use again (called on every acquire)
+//   release(obj)         park it: hide, disable, stop what it was doing
+//   destroy(obj)         when the pool itself goes away
+//
+// Every live pool reports its counters to poolStats() for debugging.
+
+const FREE = Symbol('pooled');
+
+/** @type {Set<Pool>} */
+const livePools = new Set();
+
+export class Pool {
+  /**
+   * @param {string} name - shown in the stats
+   * @param {{ create: () => any, reset?: Function, release?: Function,
+   *   destroy?: Function, prewarm?: number }} hooks - prewarm = objects to
+   *   create up front
+   */
+  constructor(name, hooks) {
+    this.name = name;
+    this._hooks = hooks;
+    this._free = [];
+
+    /** Objects in use */
+    this.active = 0;
+    /** Objects ever built by create() */
+    this.created = 0;
+    /** Acquires served from the free list */
+    this.reused = 0;
+    /** Most objects in use at once */
+    this.peak = 0;
+
+    for (let i = 0; i < (hooks.prewarm || 0); i++) {
+      const obj = this._build();
+      if (hooks.release) hooks.release(obj);
+      obj[FREE] = true;
+      this._free.push(obj);
+    }
+    livePools.add(this);
+  }
+
+  _build() {
+    this.created++;
+    return this._hooks.create();
+  }
+
+  /**
+   * Take an object (recycled if one is free) and reset it.
+   * @param {...any} args - passed on to the reset hook
+   */
+  acquire(...args) {
+    let obj = this._free.pop();
+    if (obj) {
+      obj[FREE] = false;
+      this.reused++;
+    } else {
+      obj = this._build();
+    }
+    this.active++;
+    this.peak = Math.max(this.peak, this.active);
+    if (this._hooks.reset) this._hooks.reset(obj, ...args);
+    return obj;
+  }
+
+  /**
+   * Give an object back. Releasing it twice is ignored.
+   */
+  release(obj) {
+    if (obj[FREE]) return;
+    if (this._hooks.release) this._hooks.release(obj);
+    obj[FREE] = true;
+    this.active--;
+    this._free.push(obj);
+  }
+
+  get stats() {
+    return {
+      name: this.name,
+      active: this.active,
+      free: this._free.length,
+      created: this.created,
+      reused: this.reused,
+      peak: this.peak,
+    };
+  }
+
+  /**
+   * Destroy the free objects and stop reporting. Objects still in use
+   * belong to whoever holds them.
+   */
+  destroy() {
+    if (this._hooks.destroy) {
+      for (const obj of this._free) this._hooks.destroy(obj);
+    }
+    this._free = [];
+    livePools.delete(this);
+  }
+}
+
+/**
+ * Counters of every live pool, for debugging.
+ * @returns {{ name: string, active: number, free: number, created: number,
+ *   reused: number, peak: number }[]}
+ */
+export function poolStats() {
+  return [...livePools].map(pool => pool.stats);
+}
@@ -0,0 +1,749 @@
+// Persistent player profile (localStorage), versioned with schema migrations.
+//
+// The whole profile lives under one key as JSON. On load it is parsed,
+// migrated forward one version at a time, then sanitized against the current
+// defaults. Anything unreadable (bad JSON, wrong shape, a save from a newer
+// build) is copied to a backup key and replaced with a fresh profile instead
+// of crashing boot.
+//
+// Leaderboard replays are the exception: each lives under its own key
+// (REPLAY_KEY_PREFIX + id) and its entry keeps a { id, size } reference, so
+// the profile stays small and saves don't rewrite every replay. Their total
+// size is capped (REPLAY_BUDGET); when a new one does not fit, or storage is
+// full, the replays of the lowest-ranked entries are dropped first, but only
+// those ranked below the new one (otherwise the new one is not kept). An
+// exported profile carries its replays inline, and importing or loading one
+// like that moves them out again.
+
+import { GAMEPAD, TOUCH } from './Constants.js';
+import { eventBus, Events } from './EventBus.js';
+import { previousDailyKey } from './Daily.js';
+
+const STORAGE_KEY = 'meltdown-profile';
+const BACKUP_KEY = 'meltdown-profile-backup';
+const LEGACY_MUTE_KEY = 'meltdown-muted';
+const REPLAY_KEY_PREFIX = 'meltdown-replay-';
+
+export const PROFILE_FORMAT = 'meltdown-profile';
+export const PROFILE_VERSION = 8;
+
+// Most recent runs kept in the history (lifetime totals cover the rest)
+export const HISTORY_LIMIT = 100;
+
+// Entries per game mode in the local high-score table
+export const LEADERBOARD_SIZE = 10;
+
+// Days of Daily results kept (streaks only need the most recent one)
+export const DAILY_LIMIT = 60;
+
+// Stored replay sizes (JSON characters): one replay larger than
+// REPLAY_MAX_SIZE is not kept; all of them together stay under REPLAY_BUDGET,
+// well inside the usual ~5M character localStorage quota
+export const REPLAY_MAX_SIZE = 400000;
+export const REPLAY_BUDGET = 2000000;
+
+/**
+ * Leaderboard order: score, then survival time, both descending. Equal runs
+ * keep their original order, so an older entry stays ahead of a new tie.
+ */
+function compareEntries(a, b) {
+  return (b.score - a.score) || (b.survivalTime - a.survivalTime);
+}
+
+function defaultProfile() {
+  return {
+    version: PROFILE_VERSION,
+    best: {                     // across every mode
+      score: 0,
+      survivalTime: 0,          // seconds
+    },
+    bests: {},                  // mode -> { score, survivalTime }
+    totals: {
+      runs: 0,
+      fragments: 0,
+      survivalTime: 0,          // seconds
+      deaths: {},               // cause (enemy/boss type) -> runs it ended
+    },
+    settings: {
+      muted: false,
+      initials: '',             // last initials entered on the leaderboard
+      deadZone: GAMEPAD.DEAD_ZONE,  // inner stick dead zone, 0..1
+      touchScheme: TOUCH.SCHEME,    // 'joystick' | 'drag' | 'follow' (touch devices)
+      touchSensitivity: TOUCH.SENSITIVITY,
+      touchHand: TOUCH.HAND,        // 'right' | 'left': steering thumb
+    },
+    bindings: {},               // action -> { keys, pad } changed from the defaults (see InputMap)
+    unlocks: {},                // id -> ISO date unlocked
+    history: [],                // last HISTORY_LIMIT runs, oldest first (see recordRun)
+    leaderboards: {},           // mode -> top LEADERBOARD_SIZE entries, best first
+    daily: {
+      lastScored: '',           // UTC day key of the latest scored attempt
+      streak: 0,                // consecutive days with a scored attempt
+      bestStreak: 0,
+      days: {},                 // day key -> result (see recordDaily)
+    },
+  };
+}
+
+// MIGRATIONS[n] upgrades a version-n save to version n+1. Each one is written
+// against the shape of its own versions, never against defaultProfile(),
+// so old migrations keep working as the schema grows.
+const MIGRATIONS = {
+  // v0: no profile yet, only the legacy mute flag stored by AudioBridge
+  0: (data) => ({
+    version: 1,
+    best: { score: 0, survivalTime: 0 },
+    totals: { runs: 0, fragments: 0, survivalTime: 0 },
+    settings: { muted: data.muted === true },
+    unlocks: {},
+  }),
+  // v1: no run history or death causes yet
+  1: (data) => ({
+    ...data,
+    version: 2,
+    totals: { ...data.totals, deaths: {} },
+    history: [],
+  }),
+  // v2: no leaderboards yet
+  2: (data) => ({
+    ...data,
+    version: 3,
+    settings: { ...data.settings, initials: '' },
+    leaderboards: {},
+  }),
+  // v3: no Daily challenge yet
+  3: (data) => ({
+    ...data,
+    version: 4,
+    daily: { lastScored: '', streak: 0, bestStreak: 0, days: {} },
+  }),
+  // v4: one best for every mode (only Endless and Daily existed)
+  4: (data) => ({
+    ...data,
+    version: 5,
+    bests: { endless: { ...data.best } },
+  }),
+  // v5: no gamepad settings yet
+  5: (data) => ({
+    ...data,
+    version: 6,
+    settings: { ...data.settings, deadZone: 0.15 },
+  }),
+  // v6: default controls only
+  6: (data) => ({
+    ...data,
+    version: 7,
+    bindings: {},
+  }),
+  // v7: touch steering was always "follow the finger"
+  7: (data) => ({
+    ...data,
+    version: 8,
+    settings: { ...data.settings, touchScheme: 'follow', touchSensitivity: 1, touchHand: 'right' },
+  }),
+};
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+// Items of the profile's lists and open-ended maps, by path. A cleaner gets
+// an item (and its key, for maps) and returns it with its fields coerced, or
+// null to drop it, so a hand-edited or corrupt import loses bad entries
+// instead of crashing the screen that reads them later. Each field that
+// holds items registers its own cleaner; lists and maps without one are
+// kept as they are.
+const ITEM_CLEANERS = {
+  // id -> ISO date unlocked
+  unlocks: (date) => (typeof date === 'string' ? date : null),
+  // mode -> { score, survivalTime }
+  bests: cleanResult,
+  // Run history (see recordRun); a run without a score is dropped
+  history: (run) => {
+    if (!isPlainObject(run) || !Number.isFinite(run.score)) return null;
+    return {
+      date: stringOr(run.date, ''),
+      seed: Number.isInteger(run.seed) ? run.seed : null,
+      mode: stringOr(run.mode, null),
+      score: run.score,
+      survivalTime: numberOr(run.survivalTime, 0),
+      fragments: numberOr(run.fragments, 0),
+      cause: stringOr(run.cause, null),
+      peakSpeed: numberOr(run.peakSpeed, 1),
+    };
+  },
+  // cause -> runs it ended
+  'totals.deaths': (count) => (Number.isInteger(count) && count > 0 ? count : null),
+  // mode -> top entries, best first (see addLeaderboardEntry)
+  leaderboards: (entries) => {
+    if (!Array.isArray(entries)) return null;
+    return cleanList(entries, cleanLeaderboardEntry).sort(compareEntries).slice(0, LEADERBOARD_SIZE);
+  },
+  // 'YYYY-MM-DD' -> Daily result (see recordDaily)
+  'daily.days': (day, key) => {
+    if (!DAY_KEY.test(key) || !isPlainObject(day)) return null;
+    const result = cleanResult(day.result);
+    if (!result) return null;
+    return {
+      seed: Number.isInteger(day.seed) ? day.seed : null,
+      result,
+      best: cleanResult(day.best) || result,
+      attempts: Math.max(1, Math.floor(numberOr(day.attempts, 1))),
+    };
+  },
+};
+
+function numberOr(value, fallback) {
+  return Number.isFinite(value) ? value : fallback;
+}
+
+function stringOr(value, fallback) {
+  return typeof value === 'string' ? value : fallback;
+}
+
+const DAY_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+/** A { score, survivalTime } pair, or null without a score */
+function cleanResult(result) {
+  if (!isPlainObject(result) || !Number.isFinite(result.score)) return null;
+  return { score: result.score, survivalTime: numberOr(result.survivalTime, 0) };
+}
+
+function cleanLeaderboardEntry(entry) {
+  if (!isPlainObject(entry) || !Number.isFinite(entry.score)) return null;
+  return {
+    initials: stringOr(entry.initials, '???'),
+    score: entry.score,
+    survivalTime: numberOr(entry.survivalTime, 0),
+    seed: Number.isInteger(entry.seed) ? entry.seed : null,
+    date: stringOr(entry.date, ''),
+    replay: cleanReplayRef(entry.replay),
+  };
+}
+
+/**
+ * A stored replay reference, or a replay still inline (exported profiles,
+ * saves from before replays had their own keys) that load() and
+ * importData() move out. The replay itself is checked by validateReplay
+ * before it is watched.
+ */
+function cleanReplayRef(replay) {
+  if (!isPlainObject(replay)) return null;
+  if (isInlineReplay(replay)) return replay;
+  return typeof replay.id === 'string' && Number.isFinite(replay.size) ? { id: replay.id, size: replay.size } : null;
+}
+
+function isInlineReplay(replay) {
+  return isPlainObject(replay) && 'format' in replay;
+}
+
+function cleanList(list, clean) {
+  if (!clean) return list.slice();
+  const out = [];
+  for (const item of list) {
+    const cleaned = clean(item);
+    if (cleaned !== null) out.push(cleaned);
+  }
+  return out;
+}
+
+function cleanMap(map, clean) {
+  if (!clean) return { ...map };
+  const out = {};
+  for (const key of Object.keys(map)) {
+    const cleaned = clean(map[key], key);
+    if (cleaned !== null) out[key] = cleaned;
+  }
+  return out;
+}
+
+/**
+ * Recursively fill missing or mistyped fields from `defaults`. Keys present
+ * only in `data` are kept for plain-object maps (e.g. unlocks); the items of
+ * lists and maps go through their ITEM_CLEANERS entry.
+ * @param {object} data
+ * @param {object} defaults
+ * @param {string} [prefix] - path of `data` in the profile, e.g. 'daily.'
+ */
+function sanitize(data, defaults, prefix = '') {
+  const out = {};
+  for (const key of Object.keys(defaults)) {
+    const def = defaults[key];
+    const val = data[key];
+    const path = prefix + key;
+    if (isPlainObject(def)) {
+      if (!isPlainObject(val)) {
+        out[key] = def;
+      } else if (Object.keys(def).length === 0) {
+        // Open-ended map (e.g. unlocks): keep every valid entry
+        out[key] = cleanMap(val, ITEM_CLEANERS[path]);
+      } else {
+        out[key] = sanitize(val, def, path + '.');
+      }
+    } else if (Array.isArray(def)) {
+      out[key] = Array.isArray(val) ? cleanList(val, ITEM_CLEANERS[path]) : def;
+    } else if (typeof def === 'number') {
+      out[key] = Number.isFinite(val) ? val : def;
+    } else {
+      out[key] = typeof val === typeof def ? val : def;
+    }
+  }
+  return out;
+}
+
+/**
+ * Bring raw profile data up to PROFILE_VERSION. Throws if it cannot.
+ * @param {any} data
+ */
+export function migrateProfile(data) {
+  if (!isPlainObject(data)) throw new Error('Profile is not an object');
+
+  let version = data.version;
+  if (!Number.isInteger(version) || version < 0) throw new Error('Profile has no valid version');
+  if (version > PROFILE_VERSION) throw new Error(`Profile is from a newer version (${version})`);
+
+  let migrated = data;
+  while (version < PROFILE_VERSION) {
+    migrated = MIGRATIONS[version](migrated);
+    version = migrated.version;
+  }
+  return sanitize(migrated, defaultProfile());
+}
+
+function readStorage(key) {
+  try {
+    return localStorage.getItem(key);
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeStorage(key, value) {
+  try {
+    localStorage.setItem(key, value);
+    return true;
+  } catch (e) {
+    console.warn('[Profile] Could not write to localStorage:', e);
+    return false;
+  }
+}
+
+function removeStorage(key) {
+  try {
+    localStorage.removeItem(key);
+  } catch (e) {
+    // Nothing to free then
+  }
+}
+
+/** Every stored key starting with `prefix` */
+function storageKeys(prefix) {
+  const keys = [];
+  try {
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key && key.startsWith(prefix)) keys.push(key);
+    }
+  } catch (e) {
+    // Storage unavailable: nothing stored
+  }
+  return keys;
+}
+
+let replayCounter = 0;
+
+function newReplayId() {
+  return `${Date.now().toString(36)}-${(replayCounter++).toString(36)}`;
+}
+
+/**
+ * Whether leaderboard slot a ranks below slot b for keeping replays: lower
+ * on its table, then (same place in different modes) a lower score.
+ * @param {{ index: number, score: number }} a
+ * @param {{ index: number, score: number }} b
+ */
+function ranksBelow(a, b) {
+  return a.index > b.index || (a.index === b.index && a.score < b.score);
+}
+
+class Profile {
+  constructor() {
+    this.data = defaultProfile();
+    /** Set when load() had to discard an unreadable save */
+    this.recoveredFrom = null;
+    /** Set while saves are failing (storage full or unavailable) */
+    this.saveFailed = false;
+  }
+
+  /**
+   * Load, migrate and sanitize the stored profile. Never throws.
+   */
+  load() {
+    const raw = readStorage(STORAGE_KEY);
+
+    if (raw === null) {
+      // First launch on this build: pick up pre-profile settings
+      const legacy = { version: 0, muted: readStorage(LEGACY_MUTE_KEY) === 'true' };
+      this.data = migrateProfile(legacy);
+      this.save();
+      return this.data;
+    }
+
+    try {
+      this.data = migrateProfile(JSON.parse(raw));
+      this._storeInlineReplays();
+      this.save();
+      this._removeOrphanReplays();
+    } catch (err) {
+      console.warn('[Profile] Save data unreadable, starting fresh:', err);
+      writeStorage(BACKUP_KEY, raw);
+      this.recoveredFrom = err.message;
+      this.data = defaultProfile();
+      this.save();
+    }
+    return this.data;
+  }
+
+  /**
+   * Write the profile. If storage is full, stored replays are dropped (lowest
+   * entries first) until it fits; if it still fails the player is told once
+   * (PROFILE_SAVE_FAILED) until a save works again.
+   * @returns {boolean} whether it was written
+   */
+  save() {
+    let saved = writeStorage(STORAGE_KEY, JSON.stringify(this.data));
+    while (!saved && this._dropLowestReplay()) {
+      saved = writeStorage(STORAGE_KEY, JSON.stringify(this.data));
+    }
+    if (!saved && !this.saveFailed) eventBus.emit(Events.PROFILE_SAVE_FAILED);
+    this.saveFailed = !saved;
+    return saved;
+  }
+
+  /**
+   * Best score and survival time in one game mode.
+   * @param {string} mode
+   * @returns {{ score: number, survivalTime: number }}
+   */
+  getBest(mode) {
+    const best = this.data.bests[mode];
+    return isPlainObject(best) ? best : { score: 0, survivalTime: 0 };
+  }
+
+  /**
+   * Fold a finished run into bests, lifetime totals and the run history.
+   * @param {{ score: number, survivalTime: number, fragments: number,
+   *   seed?: number, mode?: string, cause?: string|null, peakSpeed?: number }} run
+   * @returns {{ newBestScore: boolean, newBestTime: boolean }} against the
+   *   run's mode best
+   */
+  recordRun(run) {
+    const { best, totals, history } = this.data;
+    best.score = Math.max(best.score, run.score);
+    best.survivalTime = Math.max(best.survivalTime, run.survivalTime);
+
+    const modeBest = { ...this.getBest(run.mode) };
+    const newBestScore = run.score > modeBest.score;
+    const newBestTime = run.survivalTime > modeBest.survivalTime;
+    if (newBestScore) modeBest.score = run.score;
+    if (newBestTime) modeBest.survivalTime = run.survivalTime;
+    if (run.mode) this.data.bests[run.mode] = modeBest;
+
+    totals.runs++;
+    totals.fragments += run.fragments;
+    totals.survivalTime += run.survivalTime;
+    if (run.cause) totals.deaths[run.cause] = (totals.deaths[run.cause] || 0) + 1;
+
+    history.push({
+      date: new Date().toISOString(),
+      seed: run.seed ?? null,
+      mode: run.mode ?? null,
+      score: run.score,
+      survivalTime: run.survivalTime,
+      fragments: run.fragments,
+      cause: run.cause ?? null,
+      peakSpeed: run.peakSpeed ?? 1,
+    });
+    if (history.length > HISTORY_LIMIT) history.splice(0, history.length - HISTORY_LIMIT);
+
+    this.save();
+    return { newBestScore, newBestTime };
+  }
+
+  /**
+   * Top entries for a game mode, best first.
+   * @param {string} mode
+   * @returns {object[]}
+   */
+  getLeaderboard(mode) {
+    const entries = this.data.leaderboards[mode];
+    return Array.isArray(entries) ? entries : [];
+  }
+
+  /**
+   * Rank (1-based) a run would take on a mode's leaderboard, or 0 if it
+   * does not make the table.
+   * @param {string} mode
+   * @param {{ score: number, survivalTime: number }} run
+   */
+  leaderboardRank(mode, run) {
+    if (run.score <= 0) return 0;
+    const entries = this.getLeaderboard(mode);
+    const index = entries.findIndex(e => compareEntries(e, run) > 0);
+    const rank = (index === -1 ? entries.length : index) + 1;
+    return rank <= LEADERBOARD_SIZE ? rank : 0;
+  }
+
+  /**
+   * Insert a run into a mode's leaderboard. Its replay is stored under its
+   * own key if it fits (see REPLAY_BUDGET); the entry keeps a reference.
+   * @param {string} mode
+   * @param {{ initials: string, score: number, survivalTime: number,
+   *   seed: number, replay?: object|null }} entry
+   * @returns {number} rank taken (1-based), or 0 if it did not qualify
+   */
+  addLeaderboardEntry(mode, entry) {
+    const rank = this.leaderboardRank(mode, entry);
+    if (rank === 0) return 0;
+
+    const entries = this.getLeaderboard(mode).slice();
+    entries.splice(rank - 1, 0, {
+      initials: entry.initials,
+      score: entry.score,
+      survivalTime: entry.survivalTime,
+      seed: entry.seed,
+      date: new Date().toISOString(),
+      replay: null,
+    });
+    for (const dropped of entries.splice(LEADERBOARD_SIZE)) this._dropReplay(dropped);
+    this.data.leaderboards[mode] = entries;
+    if (entry.replay) {
+      entries[rank - 1].replay = this._storeReplay(entry.replay, { index: rank - 1, score: entry.score });
+    }
+    this.data.settings.initials = entry.initials;
+    this.save();
+    return rank;
+  }
+
+  /**
+   * The replay of a leaderboard entry, or null if it was not kept or can no
+   * longer be read.
+   * @param {object} entry - from getLeaderboard()
+   */
+  loadReplay(entry) {
+    const ref = entry.replay;
+    if (!ref) return null;
+    if (isInlineReplay(ref)) return ref;
+    try {
+      return JSON.parse(readStorage(REPLAY_KEY_PREFIX + ref.id));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Store a replay under a new key, dropping the replays of entries ranked
+   * below its own to stay within REPLAY_BUDGET. Replays ranked above it are
+   * never dropped for it.
+   * @param {object} replay
+   * @param {{ index: number, score: number }} slot - its entry's place on
+   *   the table (0-based) and score
+   * @returns {{ id: string, size: number }|null} reference, or null if it
+   *   could not be kept
+   */
+  _storeReplay(replay, slot) {
+    const json = JSON.stringify(replay);
+    if (json.length > REPLAY_MAX_SIZE) return null;
+
+    while (this._storedReplaySize() + json.length > REPLAY_BUDGET) {
+      if (!this._dropLowestReplay(slot)) return null;
+    }
+    const id = newReplayId();
+    while (!writeStorage(REPLAY_KEY_PREFIX + id, json)) {
+      if (!this._dropLowestReplay(slot)) return null;
+    }
+    return { id, size: json.length };
+  }
+
+  /**
+   * Leaderboard entries with a stored replay, the first to drop first.
+   * @returns {{ entry: object, index: number, score: number }[]}
+   */
+  _storedReplays() {
+    const stored = [];
+    for (const entries of Object.values(this.data.leaderboards)) {
+      entries.forEach((entry, index) => {
+        if (entry.replay && !isInlineReplay(entry.replay)) stored.push({ entry, index, score: entry.score });
+      });
+    }
+    stored.sort((a, b) => (ranksBelow(a, b) ? -1 : ranksBelow(b, a) ? 1 : 0));
+    return stored;
+  }
+
+  _storedReplaySize() {
+    return this._storedReplays().reduce((sum, { entry }) => sum + entry.replay.size, 0);
+  }
+
+  /**
+   * Drop the lowest stored replay.
+   * @param {{ index: number, score: number }} [above] - only if it ranks
+   *   below this slot
+   * @returns {boolean} false if there was none to drop
+   */
+  _dropLowestReplay(above) {
+    const lowest = this._storedReplays()[0];
+    if (!lowest || (above && !ranksBelow(lowest, above))) return false;
+    this._dropReplay(lowest.entry);
+    return true;
+  }
+
+  _dropReplay(entry) {
+    if (entry.replay && !isInlineReplay(entry.replay)) removeStorage(REPLAY_KEY_PREFIX + entry.replay.id);
+    entry.replay = null;
+  }
+
+  /** Move replays still inline in the profile to their own keys */
+  _storeInlineReplays() {
+    for (const entries of Object.values(this.data.leaderboards)) {
+      entries.forEach((entry, index) => {
+        if (isInlineReplay(entry.replay)) entry.replay = this._storeReplay(entry.replay, { index, score: entry.score });
+      });
+    }
+  }
+
+  /** Delete stored replays no entry refers to any more */
+  _removeOrphanReplays() {
+    const used = new Set(this._storedReplays().map(({ entry }) => REPLAY_KEY_PREFIX + entry.replay.id));
+    for (const key of storageKeys(REPLAY_KEY_PREFIX)) {
+      if (!used.has(key)) removeStorage(key);
+    }
+  }
+
+  /**
+   * Record a Daily challenge run. The first attempt of a day is the scored
+   * one and advances the streak; later attempts only count towards the
+   * day's best.
+   * @param {string} key - UTC day key the run started on
+   * @param {{ score: number, survivalTime: number, seed: number }} run
+   * @returns {{ scored: boolean, attempts: number, streak: number,
+   *   result: object, best: object, newDayBest: boolean }}
+   */
+  recordDaily(key, run) {
+    const daily = this.data.daily;
+    const result = { score: run.score, survivalTime: run.survivalTime };
+    let day = daily.days[key];
+    const scored = !day;
+
+    if (scored) {
+      day = { seed: run.seed, result, best: result, attempts: 0 };
+      daily.days[key] = day;
+      daily.streak = daily.lastScored === previousDailyKey(key) ? daily.streak + 1 : 1;
+      daily.bestStreak = Math.max(daily.bestStreak, daily.streak);
+      daily.lastScored = key;
+
+      const keys = Object.keys(daily.days).sort();
+      for (const old of keys.slice(0, Math.max(0, keys.length - DAILY_LIMIT))) {
+        delete daily.days[old];
+      }
+    }
+
+    day.attempts++;
+    const newDayBest = scored || compareEntries(day.best, result) > 0;
+    if (newDayBest) day.best = result;
+
+    this.save();
+    return {
+      scored,
+      attempts: day.attempts,
+      streak: daily.streak,
+      result: day.result,
+      best: day.best,
+      newDayBest,
+    };
+  }
+
+  /**
+   * Saved Daily result for a day, or null if it has not been played.
+   * @param {string} key
+   */
+  getDaily(key) {
+    return this.data.daily.days[key] || null;
+  }
+
+  /**
+   * Current Daily streak as of `today`: it survives until a full day is
+   * missed.
+   * @param {string} today - UTC day key
+   */
+  dailyStreak(today) {
+    const { lastScored, streak } = this.data.daily;
+    return lastScored === today || lastScored === previousDailyKey(today) ? streak : 0;
+  }
+
+  setSetting(key, value) {
+    this.data.settings[key] = value;
+    this.save();
+  }
+
+  /**
+   * Mark an unlock as earned.
+   * @returns {boolean} true if it was newly unlocked
+   */
+  unlock(id) {
+    if (this.data.unlocks[id]) return false;
+    this.data.unlocks[id] = new Date().toISOString();
+    this.save();
+    return true;
+  }
+
+  isUnlocked(id) {
+    return !!this.data.unlocks[id];
+  }
+
+  /**
+   * Profile wrapped for export as a file, with the stored replays inline so
+   * the file stands on its own.
+   */
+  toExport() {
+    const leaderboards = {};
+    for (const [mode, entries] of Object.entries(this.data.leaderboards)) {
+      leaderboards[mode] = entries.map(entry => ({ ...entry, replay: this.loadReplay(entry) }));
+    }
+    return {
+      format: PROFILE_FORMAT,
+      exportedAt: new Date().toISOString(),
+      profile: { ...this.data, leaderboards },
+    };
+  }
+
+  /**
+   * Replace the profile with an exported one. Throws (leaving the current
+   * profile untouched) if the file is not a usable profile.
+   */
+  importData(file) {
+    if (!isPlainObject(file) || file.format !== PROFILE_FORMAT) {
+      throw new Error('Not a Meltdown profile file');
+    }
+    const data = migrateProfile(file.profile);
+    // References only mean something on the device that stored them
+    for (const entries of Object.values(data.leaderboards)) {
+      for (const entry of entries) {
+        if (!isInlineReplay(entry.replay)) entry.replay = null;
+      }
+    }
+    this.data = data;
+    this.recoveredFrom = null;
+    this._removeOrphanReplays();
+    this._storeInlineReplays();
+    this.save();
+    return this.data;
+  }
+
+  reset() {
+    this.data = defaultProfile();
+    this._removeOrphanReplays();
+    this.save();
+  }
+}
+
+export const profile = new Profile();
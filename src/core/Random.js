@@ -0,0 +1,141 @@
+// Seeded PRNG service for all gameplay randomness.
+// Systems never call Math.random() for gameplay decisions; they draw from a
+// named stream (rng.stream('enemies'), rng.stream('fragments'), ...) so the
+// same run seed always reproduces the identical spawn sequence, and adding
+// draws to one stream never shifts the values another stream produces.
+
+const SEED_PARAM = 'seed';
+
+/**
+ * FNV-1a 32-bit hash. Used to turn stream names and string seeds into
+ * 32-bit integers.
+ */
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Coerce a user-supplied seed (number or string) into an unsigned 32-bit int.
+ * Numeric strings ("12345") keep their value so seeds read back the same way
+ * they were typed.
+ */
+export function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return Math.floor(Math.abs(seed)) >>> 0;
+  }
+  const str = String(seed).trim();
+  if (/^\d+$/.test(str)) return Number(str) >>> 0;
+  return hashString(str);
+}
+
+/**
+ * A single deterministic stream (mulberry32).
+ */
+class RandomStream {
+  constructor(seed) {
+    this._state = seed >>> 0;
+  }
+
+  /** Float in [0, 1) */
+  next() {
+    this._state = (this._state + 0x6d2b79f5) >>> 0;
+    let t = this._state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /** Float in [min, max) */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /** Integer in [min, max] (inclusive) */
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  /** Random element of an array */
+  pick(arr) {
+    return arr[Math.floor(this.next() * arr.length)];
+  }
+
+  /** True with probability p */
+  chance(p) {
+    return this.next() < p;
+  }
+}
+
+class RandomService {
+  constructor() {
+    /** Seed of the current run */
+    this.seed = 0;
+    /** Seed forced via URL param / window hook; null = fresh seed every run */
+    this.fixedSeed = null;
+    /** @type {Map<string, RandomStream>} */
+    this.streams = new Map();
+  }
+
+  /**
+   * Read a fixed seed from `?seed=` or `window.__MELTDOWN_SEED__`.
+   * Called once at startup.
+   */
+  configureFromEnvironment() {
+    const param = new URLSearchParams(window.location.search).get(SEED_PARAM);
+    if (param !== null && param !== '') {
+      this.fixedSeed = normalizeSeed(param);
+    } else if (window.__MELTDOWN_SEED__ != null) {
+      this.fixedSeed = normalizeSeed(window.__MELTDOWN_SEED__);
+    }
+  }
+
+  /**
+   * Force every following run to use `seed` (pass null to go back to random
+   * seeds). Takes effect on the next run start.
+   */
+  setFixedSeed(seed) {
+    this.fixedSeed = seed == null ? null : normalizeSeed(seed);
+  }
+
+  /**
+   * Start a new run: pick the fixed seed if one is configured, otherwise a
+   * fresh random seed, and reset all streams.
+   * @returns {number} the run seed
+   */
+  beginRun() {
+    const seed = this.fixedSeed != null
+      ? this.fixedSeed
+      : Math.floor(Math.random() * 4294967296) >>> 0;
+    this.setSeed(seed);
+    return seed;
+  }
+
+  /**
+   * Reseed and discard all existing streams.
+   */
+  setSeed(seed) {
+    this.seed = normalizeSeed(seed);
+    this.streams.clear();
+  }
+
+  /**
+   * Get (or lazily create) a named stream derived from the run seed.
+   * @param {string} name
+   * @returns {RandomStream}
+   */
+  stream(name) {
+    let s = this.streams.get(name);
+    if (!s) {
+      s = new RandomStream((this.seed ^ hashString(name)) >>> 0);
+      this.streams.set(name, s);
+    }
+    return s;
+  }
+}
+
+export const rng = new RandomService();
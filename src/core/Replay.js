@@ -0,0 +1,263 @@
+import { GAME, PX, SIM } from './Constants.js';
+
+// Replays store the run seed plus the exact input fed into Player.update()
+// on every simulation tick. Because the simulation is fixed-step and all
+// gameplay randomness comes from the seeded RNG, feeding the same inputs back
+// reproduces the run tick for tick.
+//
+// The game mode is stored too, since it changes the rules the run was
+// simulated under (replays without one are Endless), and so is the world:
+// spawn edges, bounds, the player start and pattern positions all follow
+// GAME.WIDTH/HEIGHT and PX, which depend on the screen. A v4 replay plays
+// back in the world it was recorded in (GameScene switches orientation for
+// it, but PX must match), and a v5 one also changes world at the ticks the
+// run was resized or rotated at (see Layout.js); older ones don't say and
+// play in whatever world the screen gives.
+//
+// Input stream, run-length encoded:
+//   v1: [qx, qy, count, ...]
+//   v2: [qx, qy, buttons, count, ...]   buttons = bitmask of Buttons
+//   v3: same stream as v2, but the input length is the movement speed
+//       (analog sticks); v1/v2 inputs are direction only, always full speed
+//   v4: same stream as v3, plus the world size (width, height, px)
+//   v5: same as v4, plus the world changes during the run
+//       (resizes: [[tick, width, height], ...], tick = ticks played before it)
+
+export const REPLAY_FORMAT = 'meltdown-replay';
+export const REPLAY_VERSION = 5;
+
+// Values per run-length entry, by replay version
+const STRIDE = { 1: 3, 2: 4, 3: 4, 4: 4, 5: 4 };
+
+// Button bits pressed on a tick (edge-triggered: set only on the press tick)
+export const Buttons = {
+  DASH: 1,
+};
+
+// Input axes are quantized to integers in [-INPUT_RESOLUTION, INPUT_RESOLUTION]
+// before the simulation consumes them, so what is recorded is exactly what
+// was simulated.
+const INPUT_RESOLUTION = 127;
+
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+
+/**
+ * Quantize a raw input vector. Live play and replays both feed the result
+ * into Player.update().
+ * @param {number} inputX
+ * @param {number} inputY
+ * @param {number} [buttons] - Buttons bitmask
+ * @returns {{ x: number, y: number, qx: number, qy: number, buttons: number,
+ *   proportional: boolean }}
+ */
+export function quantizeInput(inputX, inputY, buttons = 0) {
+  const qx = Math.round(Math.max(-1, Math.min(1, inputX)) * INPUT_RESOLUTION);
+  const qy = Math.round(Math.max(-1, Math.min(1, inputY)) * INPUT_RESOLUTION);
+  return { x: qx / INPUT_RESOLUTION, y: qy / INPUT_RESOLUTION, qx, qy, buttons, proportional: true };
+}
+
+/**
+ * Captures one quantized input per tick, run-length encoded as it goes.
+ */
+export class ReplayRecorder {
+  /**
+   * @param {number} seed - Run seed
+   * @param {string} mode - game mode key
+   */
+  constructor(seed, mode) {
+    this.seed = seed;
+    this.mode = mode;
+    // The world the run starts in, and where it changed
+    this.width = GAME.WIDTH;
+    this.height = GAME.HEIGHT;
+    /** [tick, width, height] per world change */
+    this.resizes = [];
+    this.ticks = 0;
+    /** Flat [qx, qy, buttons, count, ...] */
+    this.inputs = [];
+  }
+
+  /**
+   * Note a world change before the next tick (a resize or rotation).
+   * @param {number} width
+   * @param {number} height
+   */
+  resize(width, height) {
+    this.resizes.push([this.ticks, width, height]);
+  }
+
+  record(qx, qy, buttons = 0) {
+    this.ticks++;
+    const n = this.inputs.length;
+    if (n > 0 && this.inputs[n - 4] === qx && this.inputs[n - 3] === qy && this.inputs[n - 2] === buttons) {
+      this.inputs[n - 1]++;
+    } else {
+      this.inputs.push(qx, qy, buttons, 1);
+    }
+  }
+
+  /**
+   * Freeze the recording into a replay object.
+   * @param {{ score: number, survivalTime: number }} result
+   */
+  finish(result) {
+    return {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      seed: this.seed,
+      mode: this.mode,
+      tickRate: SIM.TICK_RATE,
+      width: this.width,
+      height: this.height,
+      px: PX,
+      resizes: this.resizes.map(resize => resize.slice()),
+      ticks: this.ticks,
+      score: result.score,
+      survivalTime: result.survivalTime,
+      recordedAt: new Date().toISOString(),
+      inputs: this.inputs.slice(),
+    };
+  }
+}
+
+/**
+ * Feeds a replay's inputs back one tick at a time.
+ */
+export class ReplayReader {
+  constructor(replay) {
+    this.replay = replay;
+    this.tick = 0;
+    this._stride = STRIDE[replay.version];
+    this._directionOnly = replay.version < 3;
+    this._run = 0;      // index into inputs (step of _stride)
+    this._used = 0;     // ticks consumed from the current run
+    this._resize = 0;   // index into resizes
+  }
+
+  get done() {
+    return this.tick >= this.replay.ticks;
+  }
+
+  /**
+   * World change recorded before the next tick, if any left there. Call
+   * until null, then next().
+   * @returns {{ width: number, height: number } | null}
+   */
+  nextResize() {
+    const resizes = this.replay.resizes;
+    if (!resizes || this._resize >= resizes.length || resizes[this._resize][0] > this.tick) return null;
+    const [, width, height] = resizes[this._resize++];
+    return { width, height };
+  }
+
+  /**
+   * Next tick's input, or null when the replay is exhausted.
+   * @returns {{ x: number, y: number, qx: number, qy: number, buttons: number,
+   *   proportional: boolean } | null}
+   */
+  next() {
+    if (this.done) return null;
+    const inputs = this.replay.inputs;
+    const stride = this._stride;
+    while (this._used >= inputs[this._run + stride - 1]) {
+      this._run += stride;
+      this._used = 0;
+    }
+    const qx = inputs[this._run];
+    const qy = inputs[this._run + 1];
+    // v1 replays predate buttons
+    const buttons = stride === 4 ? inputs[this._run + 2] : 0;
+    this._used++;
+    this.tick++;
+    return {
+      x: qx / INPUT_RESOLUTION,
+      y: qy / INPUT_RESOLUTION,
+      qx,
+      qy,
+      buttons,
+      proportional: !this._directionOnly,
+    };
+  }
+}
+
+/**
+ * Why a replay cannot be played back on this screen, or null if it can.
+ * GameScene runs a replay in the worlds it recorded whatever the screen's
+ * orientation, but sizes and speeds are PX units, so PX must be the same.
+ * @param {{ width: number, height: number, px: number }} replay
+ * @returns {string|null}
+ */
+function worldMismatch({ width, height, px }) {
+  if (Math.abs(px - PX) < 1e-6) return null;
+  const size = (w, h) => `${Math.round(w)}x${Math.round(h)}`;
+  return `Replay was recorded on a ${size(width, height)} screen and would not play back the same ` +
+    `on this ${size(GAME.WIDTH, GAME.HEIGHT)} one`;
+}
+
+/**
+ * Validate a replay before playing it (imported, stored, or the last run
+ * after a rotation), including that this screen can run its world.
+ * Throws an Error describing the first problem found.
+ * @param {any} data
+ * @returns {object} the replay
+ */
+export function validateReplay(data) {
+  if (!data || data.format !== REPLAY_FORMAT) {
+    throw new Error('Not a Meltdown replay file');
+  }
+  const stride = STRIDE[data.version];
+  if (!stride) {
+    throw new Error(`Unsupported replay version ${data.version}`);
+  }
+  if (data.tickRate !== SIM.TICK_RATE) {
+    throw new Error(`Replay tick rate ${data.tickRate} does not match ${SIM.TICK_RATE}`);
+  }
+  if (!Number.isInteger(data.seed) || !Number.isInteger(data.ticks) || data.ticks < 0) {
+    throw new Error('Replay is missing its seed or tick count');
+  }
+  if (data.mode != null && typeof data.mode !== 'string') {
+    throw new Error('Replay game mode is invalid');
+  }
+  if (data.version >= 4) {
+    if (![data.width, data.height, data.px].every(v => Number.isFinite(v) && v > 0)) {
+      throw new Error('Replay is missing its world size');
+    }
+    const mismatch = worldMismatch(data);
+    if (mismatch) throw new Error(mismatch);
+  }
+  if (data.version >= 5) {
+    const resizes = data.resizes;
+    const valid = Array.isArray(resizes) && resizes.every((resize, i) =>
+      Array.isArray(resize) && resize.length === 3 &&
+      Number.isInteger(resize[0]) && resize[0] >= (i > 0 ? resizes[i - 1][0] : 0) && resize[0] <= data.ticks &&
+      Number.isFinite(resize[1]) && resize[1] > 0 && Number.isFinite(resize[2]) && resize[2] > 0);
+    if (!valid) throw new Error('Replay world changes are corrupt');
+  }
+
+  const inputs = data.inputs;
+  if (!Array.isArray(inputs) || inputs.length % stride !== 0) {
+    throw new Error('Replay input stream is corrupt');
+  }
+  let total = 0;
+  for (let i = 0; i < inputs.length; i += stride) {
+    const qx = inputs[i];
+    const qy = inputs[i + 1];
+    const buttons = stride === 4 ? inputs[i + 2] : 0;
+    const count = inputs[i + stride - 1];
+    if (!Number.isInteger(qx) || !Number.isInteger(qy) || !Number.isInteger(count) || count < 1 ||
+        !Number.isInteger(buttons) || buttons < 0 ||
+        Math.abs(qx) > INPUT_RESOLUTION || Math.abs(qy) > INPUT_RESOLUTION) {
+      throw new Error('Replay input stream is corrupt');
+    }
+    total += count;
+  }
+  if (total !== data.ticks) {
+    throw new Error('Replay input stream does not match its tick count');
+  }
+
+  return data;
+}
+
+export function replayFilename(replay) {
+  return `meltdown-replay-${replay.seed}-${replay.score}.json`;
+}
@@ -0,0 +1,132 @@
+import { SIM } from './Constants.js';
+
+/**
+ * Fixed-step simulation clock.
+ *
+ * Render frames feed their variable `delta` into an accumulator; the game
+ * logic then runs in whole SIM.TICK_MS ticks so results are identical on
+ * 60Hz, 144Hz and throttled displays. `alpha` is the leftover fraction of a
+ * tick, used to interpolate sprites between the last two simulated states.
+ */
+class SimulationClock {
+  constructor(tickMs = SIM.TICK_MS, maxTicks = SIM.MAX_TICKS_PER_FRAME) {
+    this.tickMs = tickMs;
+    this.maxTicks = maxTicks;
+
+    // Manual mode: render frames no longer advance the simulation; only
+    // explicit advance() calls do (used by window.advanceTime for tests).
+    // Persists across runs until cleared.
+    this.manual = false;
+
+    this.reset();
+  }
+
+  reset() {
+    this.accumulator = 0;
+    this.tick = 0;
+    this.alpha = 0;
+  }
+
+  /**
+   * Feed a render frame's delta and get the number of ticks to run.
+   * Returns 0 in manual mode.
+   * @param {number} delta - ms since the last render frame
+   */
+  consume(delta) {
+    if (this.manual) return 0;
+    return this._take(delta, this.maxTicks);
+  }
+
+  /**
+   * Advance by an explicit duration regardless of mode (no tick cap).
+   * Fractional remainders carry over so repeated 1000/60 calls yield
+   * exactly one tick each.
+   * @param {number} ms
+   */
+  advance(ms) {
+    const ticks = this._take(ms, Infinity);
+    this.alpha = 1;
+    return ticks;
+  }
+
+  _take(delta, cap) {
+    this.accumulator += delta;
+    // Tolerance keeps 1000/60-sized deltas from leaving a 1e-12 remainder
+    let ticks = Math.floor(this.accumulator / this.tickMs + 1e-9);
+
+    if (ticks > cap) {
+      // Spiral-of-death guard: drop simulation time we cannot catch up on
+      ticks = cap;
+      this.accumulator = 0;
+    } else {
+      this.accumulator = Math.max(0, this.accumulator - ticks * this.tickMs);
+    }
+
+    this.tick += ticks;
+    this.alpha = this.accumulator / this.tickMs;
+    return ticks;
+  }
+}
+
+/**
+ * Render interpolation for physics sprites.
+ *
+ * capture() records each sprite's position before a tick; apply() moves the
+ * sprites to a blend of the previous and current simulated positions for
+ * drawing; restore() puts them back before the next tick runs, so physics
+ * only ever sees simulated positions.
+ */
+export class Interpolator {
+  constructor() {
+    /** @type {Map<object, {prevX: number, prevY: number, simX: number, simY: number}>} */
+    this._entries = new Map();
+    this._applied = false;
+  }
+
+  /**
+   * Record pre-tick positions for the sprites to interpolate this tick.
+   * @param {Phaser.GameObjects.Sprite[]} sprites
+   */
+  capture(sprites) {
+    this._entries.clear();
+    for (const sprite of sprites) {
+      this._entries.set(sprite, { prevX: sprite.x, prevY: sprite.y, simX: sprite.x, simY: sprite.y });
+    }
+  }
+
+  /**
+   * Draw sprites `alpha` of the way from their previous to current state.
+   * @param {number} alpha - 0..1
+   */
+  apply(alpha) {
+    if (this._applied) return;
+    for (const [sprite, e] of this._entries) {
+      if (!sprite.active) continue;
+      e.simX = sprite.x;
+      e.simY = sprite.y;
+      sprite.x = e.prevX + (e.simX - e.prevX) * alpha;
+      sprite.y = e.prevY + (e.simY - e.prevY) * alpha;
+    }
+    this._applied = true;
+  }
+
+  /**
+   * Return sprites to their simulated positions.
+   */
+  restore() {
+    if (!this._applied) return;
+    for (const [sprite, e] of this._entries) {
+      if (!sprite.active) continue;
+      sprite.x = e.simX;
+      sprite.y = e.simY;
+    }
+    this._applied = false;
+  }
+
+  clear() {
+    this._entries.clear();
+    this._applied = false;
+  }
+}
+
+export const simClock = new SimulationClock();
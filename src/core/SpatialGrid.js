@@ -0,0 +1,126 @@
+// Uniform grid broadphase for "what is near point P within radius r".
+//
+// Items are inserted as axis-aligned boxes (centre and half extents) into
+// every cell they touch; a query visits only the cells its circle touches.
+// Queries are a broadphase: they return every item whose box comes within
+// the radius, and callers still run the exact test (physics overlap, hitbox
+// gap) on those.
+//
+// The grid is rebuilt rather than updated: clear() and insert() everything
+// once positions have changed. Cells and entries are kept between rebuilds,
+// so steady-state rebuilds allocate nothing.
+
+// Cell coordinates are offset so keys stay non-negative for items a little
+// off-screen (enemies spawn outside the edges)
+const KEY_OFFSET = 1 << 10;
+const KEY_STRIDE = 1 << 12;
+
+export class SpatialGrid {
+  /**
+   * @param {number} cellSize - px; about the size of the larger items works best
+   */
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+    /** @type {Map<number, object[]>} cell key -> entries */
+    this._cells = new Map();
+    /** Cells filled since the last clear() */
+    this._used = [];
+    /** Entry objects, reused across rebuilds */
+    this._entries = [];
+    this._count = 0;
+    // Marks entries already visited by the current query (an item spanning
+    // several cells is returned once)
+    this._stamp = 0;
+    this._hits = [];
+  }
+
+  /** Items inserted since the last clear() */
+  get size() {
+    return this._count;
+  }
+
+  clear() {
+    for (const cell of this._used) cell.length = 0;
+    this._used.length = 0;
+    this._count = 0;
+  }
+
+  /**
+   * @param {any} item
+   * @param {number} x - box centre
+   * @param {number} y
+   * @param {number} halfW
+   * @param {number} halfH
+   */
+  insert(item, x, y, halfW, halfH) {
+    let entry = this._entries[this._count];
+    if (!entry) {
+      entry = { item: null, x: 0, y: 0, halfW: 0, halfH: 0, order: 0, stamp: 0 };
+      this._entries.push(entry);
+    }
+    entry.item = item;
+    entry.x = x;
+    entry.y = y;
+    entry.halfW = halfW;
+    entry.halfH = halfH;
+    entry.order = this._count++;
+
+    const size = this.cellSize;
+    const x0 = Math.floor((x - halfW) / size);
+    const x1 = Math.floor((x + halfW) / size);
+    const y0 = Math.floor((y - halfH) / size);
+    const y1 = Math.floor((y + halfH) / size);
+    for (let cy = y0; cy <= y1; cy++) {
+      for (let cx = x0; cx <= x1; cx++) {
+        const key = (cy + KEY_OFFSET) * KEY_STRIDE + (cx + KEY_OFFSET);
+        let cell = this._cells.get(key);
+        if (!cell) {
+          cell = [];
+          this._cells.set(key, cell);
+        }
+        if (cell.length === 0) this._used.push(cell);
+        cell.push(entry);
+      }
+    }
+  }
+
+  /**
+   * Items whose box comes within `radius` of (x, y), in insertion order (so
+   * callers behave exactly like a linear scan of the same items).
+   * @param {number} x
+   * @param {number} y
+   * @param {number} radius
+   * @param {any[]} [out] - appended to and returned
+   * @returns {any[]}
+   */
+  query(x, y, radius, out = []) {
+    const stamp = ++this._stamp;
+    const hits = this._hits;
+    const size = this.cellSize;
+    const x0 = Math.floor((x - radius) / size);
+    const x1 = Math.floor((x + radius) / size);
+    const y0 = Math.floor((y - radius) / size);
+    const y1 = Math.floor((y + radius) / size);
+    const r2 = radius * radius;
+
+    for (let cy = y0; cy <= y1; cy++) {
+      for (let cx = x0; cx <= x1; cx++) {
+        const cell = this._cells.get((cy + KEY_OFFSET) * KEY_STRIDE + (cx + KEY_OFFSET));
+        if (!cell) continue;
+        for (const entry of cell) {
+          if (entry.stamp === stamp) continue;
+          entry.stamp = stamp;
+          // Distance from the point to the box
+          const dx = Math.max(Math.abs(x - entry.x) - entry.halfW, 0);
+          const dy = Math.max(Math.abs(y - entry.y) - entry.halfH, 0);
+          if (dx * dx + dy * dy <= r2) hits.push(entry);
+        }
+      }
+    }
+
+    if (hits.length > 1) hits.sort((a, b) => a.order - b.order);
+    for (const entry of hits) out.push(entry.item);
+    hits.length = 0;
+    return out;
+  }
+}
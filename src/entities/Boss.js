@@ -0,0 +1,142 @@
+import Phaser from 'phaser';
+import { BOSS, GAME, SPRITE_SCALE } from '../core/Constants.js';
+import { renderSpriteSheet } from '../core/PixelRenderer.js';
+import { CYBER } from '../sprites/palette.js';
+import { getBossDef } from './bossDefinitions.js';
+
+export class Boss {
+  /**
+   * @param {Phaser.Scene} scene
+   * @param {string} type - One of BossType values
+   * @param {number} [encounter] - 0 for the first encounter of a run, 1 for the next...
+   */
+  constructor(scene, type, encounter = 0) {
+    this.scene = scene;
+    this.type = type;
+    this.def = getBossDef(type);
+    this.maxHealth = this.def.health + encounter * BOSS.HEALTH_PER_ENCOUNTER;
+    this.health = this.maxHealth;
+
+    // 'entering' -> 'fighting' -> 'leaving' (retreat) ; defeat destroys it
+    this.state = 'entering';
+    this.age = 0;
+
+    const def = this.def;
+    renderSpriteSheet(scene, def.frames, CYBER, def.texture, SPRITE_SCALE);
+
+    const size = def.frames[0].length * SPRITE_SCALE;
+    this._startX = GAME.WIDTH * def.hover.x;
+    this._startY = -size;
+
+    this.sprite = scene.physics.add.sprite(this._startX, this._startY, def.texture);
+    this.sprite.setDepth(6);
+
+    if (!scene.anims.exists(def.anim.key)) {
+      scene.anims.create({
+        key: def.anim.key,
+        frames: scene.anims.generateFrameNumbers(def.texture, { start: 0, end: def.frames.length - 1 }),
+        frameRate: def.anim.frameRate,
+        repeat: -1,
+      });
+    }
+    this.sprite.play(def.anim.key);
+
+    // Circle body centred in the sprite
+    const radius = def.hitbox * SPRITE_SCALE;
+    this.sprite.body.setCircle(radius, size / 2 - radius, size / 2 - radius);
+  }
+
+  get x() {
+    return this.sprite.x;
+  }
+
+  get y() {
+    return this.sprite.y;
+  }
+
+  /**
+   * Index into def.phases for the current health
+   */
+  get phase() {
+    const fraction = this.health / this.maxHealth;
+    let index = 0;
+    this.def.phases.forEach((phase, i) => {
+      if (fraction <= phase.threshold) index = i;
+    });
+    return index;
+  }
+
+  /**
+   * Advance one simulation tick. Position follows a path computed from the
+   * boss's age, applied as a velocity so the physics step lands on it exactly.
+   * @param {number} dt - tick length in ms
+   */
+  update(dt) {
+    this.age += dt;
+
+    let tx;
+    let ty;
+    if (this.state === 'entering') {
+      const t = Math.min(this.age / BOSS.ENTER_DURATION, 1);
+      const eased = 1 - (1 - t) * (1 - t);
+      tx = this._startX;
+      ty = this._startY + (GAME.HEIGHT * this.def.hover.y - this._startY) * eased;
+      if (t >= 1) {
+        this.state = 'fighting';
+        this._pathStart = this.age;
+      }
+    } else if (this.state === 'fighting') {
+      const { hover } = this.def;
+      const a = ((this.age - this._pathStart) / hover.period) * Math.PI * 2;
+      tx = GAME.WIDTH * (hover.x + hover.rangeX * Math.sin(a));
+      ty = GAME.HEIGHT * (hover.y + hover.rangeY * Math.sin(a * 2));
+    } else {
+      tx = this.sprite.x;
+      ty = this.sprite.y - (GAME.HEIGHT / BOSS.ENTER_DURATION) * dt;
+    }
+
+    const seconds = dt / 1000;
+    this.sprite.body.setVelocity((tx - this.sprite.x) / seconds, (ty - this.sprite.y) / seconds);
+  }
+
+  /**
+   * @returns {boolean} true if this hit destroyed the core
+   */
+  damage(amount = 1) {
+    this.health = Math.max(0, this.health - amount);
+
+    this.sprite.setTintFill(0xffffff);
+    this.scene.time.delayedCall(80, () => {
+      if (this.sprite.active) this.sprite.clearTint();
+    });
+    return this.health === 0;
+  }
+
+  /**
+   * Visual warning that an attack is about to fire. Alpha only: scaling
+   * the sprite would resize its physics body outside the simulation.
+   */
+  telegraph(duration) {
+    this.scene.tweens.add({
+      targets: this.sprite,
+      alpha: 0.45,
+      duration: duration / 4,
+      yoyo: true,
+      repeat: 1,
+      ease: 'Sine.easeInOut',
+    });
+  }
+
+  retreat() {
+    this.state = 'leaving';
+  }
+
+  isOffScreen() {
+    return this.sprite.y < -this.sprite.height;
+  }
+
+  destroy() {
+    this.scene.tweens.killTweensOf(this.sprite);
+    this.sprite.destroy();
+  }
+}
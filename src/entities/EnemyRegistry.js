@@ -0,0 +1,61 @@
+// Enemy registry: every enemy type is a declarative definition registered
+// here. Enemy, SpawnSystem and anything else that needs per-type data look
+// it up by type key instead of switching on the type.
+//
+// Definition fields:
+//   type          unique key (also used in render_game_to_text and run history)
+//   name          display name (stats screen); defaults to the type
+//   texture       texture key the frames are rendered to
+//   frames        pixel-art frames (sprites/*.js)
+//   anim          optional { key, frameRate } looping animation
+//   hitbox        { shape: 'rect', width, height } or { shape: 'circle', radius },
+//                 in sprite pixels (scaled by SPRITE_SCALE)
+//   speedMult     multiplier on ENEMY.BASE_SPEED
+//   movement      movement behaviour name (see movement.js)
+//   unlockTime    ms of survival before it can spawn
+//   spawnWeight   relative weight among unlocked types
+//   phaseable     optional; the phase power-up lets the player pass through it
+//   ...           behaviour-specific tuning (e.g. homingStrength)
+
+const registry = new Map();
+
+const REQUIRED = ['type', 'texture', 'frames', 'hitbox', 'speedMult', 'movement', 'spawnWeight'];
+
+export function registerEnemy(def) {
+  for (const field of REQUIRED) {
+    if (def[field] == null) {
+      throw new Error(`Enemy definition "${def.type}" is missing "${field}"`);
+    }
+  }
+  registry.set(def.type, { unlockTime: 0, name: def.type, ...def });
+}
+
+export function getEnemyDef(type) {
+  const def = registry.get(type);
+  if (!def) throw new Error(`Unknown enemy type "${type}"`);
+  return def;
+}
+
+export function getEnemyDefs() {
+  return [...registry.values()];
+}
+
+/**
+ * Weighted random pick among types unlocked at `elapsedMs`.
+ * @param {number} elapsedMs - survival time in ms
+ * @param {{ next: () => number }} random - seeded stream
+ * @param {Object<string, number>} [unlockTimes] - per-type unlock overrides (game mode rules)
+ * @returns {string} enemy type
+ */
+export function pickEnemyType(elapsedMs, random, unlockTimes = {}) {
+  const unlocked = getEnemyDefs().filter(d =>
+    elapsedMs >= (unlockTimes[d.type] ?? d.unlockTime) && d.spawnWeight > 0);
+  const total = unlocked.reduce((sum, d) => sum + d.spawnWeight, 0);
+
+  let roll = random.next() * total;
+  for (const def of unlocked) {
+    roll -= def.spawnWeight;
+    if (roll < 0) return def.type;
+  }
+  return unlocked[unlocked.length - 1].type;
+}
@@ -6,48 +6,82 @@ import { fragmentFrames } from '../sprites/items.js';
 
 const FRAGMENT_KEY = 'fragment-sprite';
 
+/**
+ * A humanity fragment to collect. Pooled by SpawnSystem: spawn() places it,
+ * despawn() parks it for the next one.
+ */
 export class Fragment {
   /**
+   * Build a parked fragment.
    * @param {Phaser.Scene} scene
-   * @param {number} x
-   * @param {number} y
    */
-  constructor(scene, x, y) {
+  constructor(scene) {
     this.scene = scene;
 
     // Render the fragment texture (12x12, 1 frame)
     renderSpriteSheet(scene, fragmentFrames, CYBER, FRAGMENT_KEY, SPRITE_SCALE);
 
     // Create physics sprite
-    this.sprite = scene.physics.add.sprite(x, y, FRAGMENT_KEY);
+    this.sprite = scene.physics.add.sprite(0, 0, FRAGMENT_KEY);
 
     // Circle body matching the 12x12 diamond sprite
     const spritePixelSize = 12 * SPRITE_SCALE;
     const bodyRadius = spritePixelSize / 2;
     this.sprite.body.setCircle(bodyRadius, 0, 0);
 
-    // Gentle bobbing animation (same as original)
-    scene.tweens.add({
-      targets: this.sprite,
-      y: y - FRAGMENT.BOB_AMPLITUDE,
-      duration: FRAGMENT.BOB_DURATION / 2,
-      yoyo: true,
-      repeat: -1,
-      ease: 'Sine.easeInOut',
-    });
+    this.baseY = 0;
+    this.age = 0;
 
     // Pulsing alpha for a glow effect
-    scene.tweens.add({
+    this._pulse = scene.tweens.add({
       targets: this.sprite,
       alpha: { from: 1.0, to: 0.7 },
       duration: 600,
       yoyo: true,
       repeat: -1,
       ease: 'Sine.easeInOut',
+      paused: true,
     });
+    this.sprite.disableBody(true, true);
+  }
+
+  /**
+   * Reset hook: place the fragment.
+   * @param {number} x
+   * @param {number} y
+   */
+  spawn(x, y) {
+    this.sprite.enableBody(true, x, y, true, true);
+
+    // Gentle bobbing is driven by update() from simulation time (not a
+    // tween) so the pickup position is identical on every device
+    this.baseY = y;
+    this.age = 0;
+
+    this._pulse.restart();
+  }
+
+  /**
+   * Release hook: take the fragment out of play.
+   */
+  despawn() {
+    this._pulse.pause();
+    this.sprite.disableBody(true, true);
+  }
+
+  /**
+   * Advance one simulation tick.
+   * @param {number} dt - tick length in ms
+   */
+  update(dt) {
+    this.age += dt;
+    // Same curve as a yoyo Sine.easeInOut tween from baseY up to the bob peak
+    const phase = (this.age / FRAGMENT.BOB_DURATION) * Math.PI * 2;
+    this.sprite.y = this.baseY - FRAGMENT.BOB_AMPLITUDE * 0.5 * (1 - Math.cos(phase));
   }
 
   destroy() {
+    this._pulse.remove();
     this.sprite.destroy();
   }
 }
@@ -34,25 +34,96 @@ export class Player {
     const bodyRadius = spritePixelSize / 2;
     this.sprite.body.setCircle(bodyRadius, 0, 0);
     this.sprite.body.setCollideWorldBounds(true);
+
+    // Dash state (ms timers advanced by update)
+    this.facingX = 0;
+    this.facingY = -1;
+    this.dashRemaining = 0;
+    this.dashCooldown = 0;
+    this.invulnerableRemaining = 0;
+    this._dashVx = 0;
+    this._dashVy = 0;
+  }
+
+  get isDashing() {
+    return this.dashRemaining > 0;
+  }
+
+  get isInvulnerable() {
+    return this.invulnerableRemaining > 0;
   }
 
-  update(inputX, inputY) {
+  get canDash() {
+    return this.dashCooldown <= 0;
+  }
+
+  /**
+   * Advance one simulation tick.
+   * @param {number} inputX - movement axis, -1..1
+   * @param {number} inputY - movement axis, -1..1
+   * @param {number} dt - tick length in ms
+   * @param {boolean} [dashPressed] - dash button went down this tick
+   * @param {boolean} [proportional] - speed scales with the input length
+   *   (analog sticks); false = direction only, always full speed
+   */
+  update(inputX, inputY, dt, dashPressed = false, proportional = true) {
     const body = this.sprite.body;
 
-    // Normalize diagonal movement so it does not exceed PLAYER.SPEED
+    this.dashCooldown = Math.max(0, this.dashCooldown - dt);
+    this.invulnerableRemaining = Math.max(0, this.invulnerableRemaining - dt);
+
+    // Direction of travel; diagonals are no faster than PLAYER.SPEED
     const len = Math.sqrt(inputX * inputX + inputY * inputY);
+    const nx = len > 0 ? inputX / len : 0;
+    const ny = len > 0 ? inputY / len : 0;
     if (len > 0) {
-      const nx = inputX / len;
-      const ny = inputY / len;
-      body.setVelocity(nx * PLAYER.SPEED, ny * PLAYER.SPEED);
+      this.facingX = nx;
+      this.facingY = ny;
+    }
+
+    if (dashPressed && this.canDash) {
+      this._startDash();
+    }
+
+    if (this.isDashing) {
+      this.dashRemaining = Math.max(0, this.dashRemaining - dt);
+      body.setVelocity(this._dashVx, this._dashVy);
     } else {
-      body.setVelocity(0, 0);
+      const speed = proportional ? PLAYER.SPEED * Math.min(len, 1) : PLAYER.SPEED;
+      body.setVelocity(nx * speed, ny * speed);
     }
+
+    // Flicker while invulnerable
+    this.sprite.setAlpha(this.isInvulnerable ? 0.55 : 1);
+  }
+
+  /**
+   * Burst DASH.DISTANCE along the facing direction over DASH.DURATION.
+   */
+  _startDash() {
+    const cfg = PLAYER.DASH;
+    const speed = cfg.DISTANCE / (cfg.DURATION / 1000);
+
+    this.dashRemaining = cfg.DURATION;
+    this.dashCooldown = cfg.COOLDOWN;
+    this.invulnerableRemaining = cfg.INVULNERABLE;
+    this._dashVx = this.facingX * speed;
+    this._dashVy = this.facingY * speed;
+
+    eventBus.emit(Events.PLAYER_DASH, {
+      x: this.sprite.x,
+      y: this.sprite.y,
+      dirX: this.facingX,
+      dirY: this.facingY,
+    });
   }
 
   reset() {
     this.sprite.setPosition(PLAYER.START_X, PLAYER.START_Y);
     this.sprite.body.setVelocity(0, 0);
+    this.dashRemaining = 0;
+    this.dashCooldown = 0;
+    this.invulnerableRemaining = 0;
   }
 
   destroy() {
@@ -0,0 +1,55 @@
+import { FRAGMENT, POWERUP, SPRITE_SCALE } from '../core/Constants.js';
+import { renderSpriteSheet } from '../core/PixelRenderer.js';
+import { CYBER } from '../sprites/palette.js';
+import { POWERUP_DEFS } from './powerUpDefinitions.js';
+
+export class PowerUp {
+  /**
+   * @param {Phaser.Scene} scene
+   * @param {string} kind - One of PowerUpKind values
+   * @param {number} x
+   * @param {number} y
+   */
+  constructor(scene, kind, x, y) {
+    this.scene = scene;
+    this.kind = kind;
+    this.def = POWERUP_DEFS[kind];
+
+    // 12x12, 1 frame
+    renderSpriteSheet(scene, this.def.frames, CYBER, this.def.texture, SPRITE_SCALE);
+
+    this.sprite = scene.physics.add.sprite(x, y, this.def.texture);
+    this.sprite.setDepth(3);
+
+    const spritePixelSize = 12 * SPRITE_SCALE;
+    this.sprite.body.setCircle(spritePixelSize / 2, 0, 0);
+
+    // Bob like a fragment, driven from simulation time
+    this.baseY = y;
+    this.age = 0;
+  }
+
+  get expired() {
+    return this.age >= POWERUP.LIFETIME;
+  }
+
+  /**
+   * Advance one simulation tick.
+   * @param {number} dt - tick length in ms
+   */
+  update(dt) {
+    this.age += dt;
+    const phase = (this.age / FRAGMENT.BOB_DURATION) * Math.PI * 2;
+    this.sprite.y = this.baseY - FRAGMENT.BOB_AMPLITUDE * 0.5 * (1 - Math.cos(phase));
+
+    // Blink faster as it is about to vanish
+    const left = POWERUP.LIFETIME - this.age;
+    if (left < POWERUP.BLINK_TIME) {
+      this.sprite.setAlpha(Math.floor(this.age / 120) % 2 === 0 ? 1 : 0.3);
+    }
+  }
+
+  destroy() {
+    this.sprite.destroy();
+  }
+}
@@ -0,0 +1,67 @@
+import { EnemyType } from './enemyDefinitions.js';
+import { coreMeltdownFrames } from '../sprites/bosses.js';
+
+// Boss definitions. BOSS.SCHEDULE in Constants.js decides when each appears.
+//
+//   health      exposures (fragments collected within BOSS.EXPOSURE_RADIUS) to defeat
+//   hitbox      circle radius in sprite pixels
+//   hover       drift path as fractions of the screen: centre (x, y), range
+//               (rangeX, rangeY) and ms per full loop (period)
+//   phases      entered as health drops to `threshold` (fraction of max).
+//               Each cycles through its attacks, one every `interval` ms.
+//
+// Attacks (see BossSystem.js) fire registered enemy types from the core:
+//   ring    { enemy, count, speed }              evenly spaced, rotating each time
+//   aimed   { enemy, count, spread, speed }      fan at the player, spread in degrees
+//   spiral  { enemy, count, interval, speed }    one at a time, sweeping a full turn
+//   pattern { id }                               a scripted pattern from src/patterns
+
+export const BossType = {
+  CORE_MELTDOWN: 'coreMeltdown',
+};
+
+const BOSSES = {
+  [BossType.CORE_MELTDOWN]: {
+    name: 'CORE MELTDOWN',
+    texture: 'boss-core-meltdown',
+    frames: coreMeltdownFrames,                 // 24x24, 2 frames
+    anim: { key: 'core-meltdown-pulse', frameRate: 4 },
+    hitbox: 10,
+    health: 6,
+    hover: { x: 0.5, y: 0.3, rangeX: 0.3, rangeY: 0.08, period: 9000 },
+    phases: [
+      {
+        threshold: 1,
+        interval: 2600,
+        attacks: [
+          { type: 'ring', enemy: EnemyType.DATA_STREAM, count: 10, speed: 0.55 },
+          { type: 'aimed', enemy: EnemyType.CODE_BLOCK, count: 3, spread: 30, speed: 1 },
+        ],
+      },
+      {
+        threshold: 0.6,
+        interval: 2200,
+        attacks: [
+          { type: 'spiral', enemy: EnemyType.DATA_STREAM, count: 14, interval: 90, speed: 0.55 },
+          { type: 'aimed', enemy: EnemyType.CODE_BLOCK, count: 4, spread: 40, speed: 1.1 },
+          { type: 'pattern', id: 'pincer' },
+        ],
+      },
+      {
+        threshold: 0.3,
+        interval: 1800,
+        attacks: [
+          { type: 'ring', enemy: EnemyType.DATA_STREAM, count: 14, speed: 0.6 },
+          { type: 'spiral', enemy: EnemyType.DATA_STREAM, count: 18, interval: 70, speed: 0.6 },
+          { type: 'pattern', id: 'firewall' },
+        ],
+      },
+    ],
+  },
+};
+
+export function getBossDef(type) {
+  const def = BOSSES[type];
+  if (!def) throw new Error(`Unknown boss type "${type}"`);
+  return def;
+}
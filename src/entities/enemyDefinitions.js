@@ -0,0 +1,55 @@
+import { ENEMY } from '../core/Constants.js';
+import { registerEnemy } from './EnemyRegistry.js';
+import { dataStreamFrames, codeBlockFrames, singularityFrames } from '../sprites/enemies.js';
+
+// Built-in enemy types. Adding an enemy = sprite frames in sprites/enemies.js,
+// tuning in Constants.js ENEMY, and one registerEnemy() call here.
+
+export const EnemyType = {
+  DATA_STREAM: 'dataStream',
+  CODE_BLOCK: 'codeBlock',
+  SINGULARITY_NODE: 'singularityNode',
+};
+
+// Fast horizontal streak aimed across the arena
+registerEnemy({
+  type: EnemyType.DATA_STREAM,
+  name: 'Data Stream',
+  texture: 'enemy-datastream',
+  frames: dataStreamFrames,                     // 16x8, 2 frames
+  anim: { key: 'datastream-scroll', frameRate: 6 },
+  hitbox: { shape: 'rect', width: 16, height: 8 },
+  speedMult: ENEMY.DATA_STREAM.SPEED_MULT,
+  movement: 'linear',
+  unlockTime: 0,
+  spawnWeight: ENEMY.DATA_STREAM.SPAWN_WEIGHT,
+});
+
+// Slow, bulky block that drifts at the player's position
+registerEnemy({
+  type: EnemyType.CODE_BLOCK,
+  name: 'Code Block',
+  texture: 'enemy-codeblock',
+  frames: codeBlockFrames,                      // 16x16, 1 frame
+  hitbox: { shape: 'rect', width: 16, height: 16 },
+  phaseable: true,                              // the phase power-up passes through it
+  speedMult: ENEMY.CODE_BLOCK.SPEED_MULT,
+  movement: 'aimed',
+  unlockTime: 0,
+  spawnWeight: ENEMY.CODE_BLOCK.SPAWN_WEIGHT,
+});
+
+// Pulsing void that homes in on the player once survival passes 15s
+registerEnemy({
+  type: EnemyType.SINGULARITY_NODE,
+  name: 'Singularity Node',
+  texture: 'enemy-singularity',
+  frames: singularityFrames,                    // 12x12, 2 frames
+  anim: { key: 'singularity-pulse', frameRate: 4 },
+  hitbox: { shape: 'circle', radius: 6 },
+  speedMult: ENEMY.SINGULARITY_NODE.SPEED_MULT,
+  movement: 'homing',
+  homingStrength: ENEMY.SINGULARITY_NODE.HOMING_STRENGTH,
+  unlockTime: ENEMY.SINGULARITY_NODE.MIN_SPAWN_TIME,
+  spawnWeight: ENEMY.SINGULARITY_NODE.SPAWN_WEIGHT,
+});
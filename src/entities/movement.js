@@ -0,0 +1,85 @@
+import { FRAGMENT, GAME } from '../core/Constants.js';
+import { gameState } from '../core/GameState.js';
+
+// Pluggable enemy movement behaviours, referenced by name from enemy
+// definitions (see enemyDefinitions.js).
+//
+// A behaviour has:
+//   launch(ctx)    -> { vx, vy }  initial velocity at spawn
+//                     ctx = { x, y, speed, random, playerSprite, def }
+//   update(enemy)  optional, called once per simulation tick
+//   slowable       whether fragment slowdown rescales its base velocity
+//                  (behaviours with update() manage their own speed)
+
+const behaviours = new Map();
+
+function velocityToward(x, y, targetX, targetY, speed) {
+  const dx = targetX - x;
+  const dy = targetY - y;
+  const dist = Math.sqrt(dx * dx + dy * dy);
+  if (dist === 0) return { vx: 0, vy: speed };
+  return { vx: (dx / dist) * speed, vy: (dy / dist) * speed };
+}
+
+/**
+ * Aim roughly at the arena centre, scattered over the middle 40%.
+ */
+function launchTowardCenter({ x, y, speed, random }) {
+  const targetX = GAME.WIDTH / 2 + (random.next() - 0.5) * GAME.WIDTH * 0.4;
+  const targetY = GAME.HEIGHT / 2 + (random.next() - 0.5) * GAME.HEIGHT * 0.4;
+  return velocityToward(x, y, targetX, targetY, speed);
+}
+
+export function registerMovement(name, behaviour) {
+  behaviours.set(name, { slowable: true, ...behaviour });
+}
+
+export function getMovement(name) {
+  const behaviour = behaviours.get(name);
+  if (!behaviour) throw new Error(`Unknown movement behaviour "${name}"`);
+  return behaviour;
+}
+
+// Straight line across the arena through the scattered centre
+registerMovement('linear', {
+  launch: launchTowardCenter,
+});
+
+// Straight line toward where the player is at spawn time
+registerMovement('aimed', {
+  launch(ctx) {
+    if (!ctx.playerSprite) return launchTowardCenter(ctx);
+    return velocityToward(ctx.x, ctx.y, ctx.playerSprite.x, ctx.playerSprite.y, ctx.speed);
+  },
+});
+
+// Launches like 'linear', then lerps its velocity toward the player each tick
+registerMovement('homing', {
+  slowable: false,
+  launch: launchTowardCenter,
+  update(enemy) {
+    const player = enemy.playerSprite;
+    if (!player) return;
+
+    const dx = player.x - enemy.sprite.x;
+    const dy = player.y - enemy.sprite.y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    if (dist === 0) return;
+
+    const def = enemy.def;
+    const slowFactor = gameState.isSlowed ? FRAGMENT.SLOW_FACTOR : 1;
+    const speed = enemy.baseSpeed * def.speedMult * gameState.currentSpeedMultiplier * slowFactor;
+    const targetVx = (dx / dist) * speed;
+    const targetVy = (dy / dist) * speed;
+
+    const str = def.homingStrength;
+    const body = enemy.sprite.body;
+    const curVx = body.velocity.x;
+    const curVy = body.velocity.y;
+
+    body.setVelocity(
+      curVx + (targetVx - curVx) * str,
+      curVy + (targetVy - curVy) * str
+    );
+  },
+});
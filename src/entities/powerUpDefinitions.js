@@ -0,0 +1,79 @@
+import { POWERUP } from '../core/Constants.js';
+import { shieldFrames, empFrames, magnetFrames, phaseFrames, doublerFrames } from '../sprites/items.js';
+
+// Power-up kinds. Tuning lives in Constants.js POWERUP; this maps each kind
+// to its sprite, HUD colour and stacking rule.
+//
+// Stacking rules when a kind is collected while already active:
+//   charges   add a charge, up to `maxCharges` (shield)
+//   extend    add `duration` to the remaining time, up to `maxDuration`
+//   refresh   restart the timer at `duration`
+//   instant   fires once, never active (EMP)
+
+export const PowerUpKind = {
+  SHIELD: 'shield',
+  EMP: 'emp',
+  MAGNET: 'magnet',
+  PHASE: 'phase',
+  DOUBLER: 'doubler',
+};
+
+const cfg = POWERUP;
+
+export const POWERUP_DEFS = {
+  [PowerUpKind.SHIELD]: {
+    label: 'SHIELD',
+    texture: 'powerup-shield',
+    frames: shieldFrames,
+    color: 0x00ffff,
+    stacking: 'charges',
+    maxCharges: cfg.SHIELD.MAX_CHARGES,
+    weight: cfg.SHIELD.WEIGHT,
+    weightAtMax: cfg.SHIELD.WEIGHT_AT_MAX,
+    unlockTime: 0,
+  },
+  [PowerUpKind.EMP]: {
+    label: 'EMP',
+    texture: 'powerup-emp',
+    frames: empFrames,
+    color: 0x88ccff,
+    stacking: 'instant',
+    weight: cfg.EMP.WEIGHT,
+    weightAtMax: cfg.EMP.WEIGHT_AT_MAX,
+    unlockTime: cfg.EMP.UNLOCK_TIME,
+  },
+  [PowerUpKind.MAGNET]: {
+    label: 'MAGNET',
+    texture: 'powerup-magnet',
+    frames: magnetFrames,
+    color: 0xff3344,
+    stacking: 'extend',
+    duration: cfg.MAGNET.DURATION,
+    maxDuration: cfg.MAGNET.MAX_DURATION,
+    weight: cfg.MAGNET.WEIGHT,
+    weightAtMax: cfg.MAGNET.WEIGHT_AT_MAX,
+    unlockTime: 0,
+  },
+  [PowerUpKind.PHASE]: {
+    label: 'PHASE',
+    texture: 'powerup-phase',
+    frames: phaseFrames,
+    color: 0xff00ff,
+    stacking: 'refresh',
+    duration: cfg.PHASE.DURATION,
+    weight: cfg.PHASE.WEIGHT,
+    weightAtMax: cfg.PHASE.WEIGHT_AT_MAX,
+    unlockTime: cfg.PHASE.UNLOCK_TIME,
+  },
+  [PowerUpKind.DOUBLER]: {
+    label: 'x2',
+    texture: 'powerup-doubler',
+    frames: doublerFrames,
+    color: 0xffd700,
+    stacking: 'refresh',
+    duration: cfg.DOUBLER.DURATION,
+    weight: cfg.DOUBLER.WEIGHT,
+    weightAtMax: cfg.DOUBLER.WEIGHT_AT_MAX,
+    unlockTime: cfg.DOUBLER.UNLOCK_TIME,
+  },
+};
@@ -2,19 +2,64 @@ import Phaser from 'phaser';
 import { GameConfig } from './core/GameConfig.js';
 import { eventBus, Events } from './core/EventBus.js';
 import { gameState } from './core/GameState.js';
+import { rng } from './core/Random.js';
+import { simClock } from './core/Simulation.js';
+import { profile } from './core/Profile.js';
+import { achievements } from './core/Achievements.js';
+import { inputMap } from './core/InputMap.js';
+import { layout } from './core/Layout.js';
+import { poolStats } from './core/Pool.js';
 import { initAudioBridge } from './audio/AudioBridge.js';
 import { initPlayFun } from './playfun.js';
 
+profile.load();
+gameState.applyProfile(profile.data);
+inputMap.load();
+rng.configureFromEnvironment();
+achievements.init();
 initAudioBridge();
 initPlayFun();
 
 const game = new Phaser.Game(GameConfig);
+layout.attach(game);
 
 // Expose for Playwright testing
 window.__GAME__ = game;
 window.__GAME_STATE__ = gameState;
 window.__EVENT_BUS__ = eventBus;
 window.__EVENTS__ = Events;
+window.__RNG__ = rng;
+window.__PROFILE__ = profile;
+window.__ACHIEVEMENTS__ = achievements;
+window.__LAYOUT__ = layout;
+
+// Fix the seed for every following run (null restores random seeds).
+// Same seed => identical enemy/fragment sequence. Also settable via ?seed=.
+window.setGameSeed = (seed) => rng.setFixedSeed(seed);
+
+// Object pool counters (enemies, fragments, particles, score pops) for
+// spotting leaks and sizing POOL prewarm counts.
+window.getPoolStats = () => poolStats();
+
+// Open the broadphase benchmark with `count` enemies (also ?bench=<count>).
+window.startBenchmark = (count) => {
+  for (const scene of game.scene.getScenes(true)) {
+    if (scene.scene.key !== 'ToastScene') scene.scene.stop();
+  }
+  game.scene.start('BenchmarkScene', { count });
+};
+
+// Start a scripted spawn pattern right now (src/patterns/<id>.json), for
+// trying out patterns while authoring them. Returns false if unknown. The
+// recording can't reproduce it, so the run keeps no replay and stays off the
+// leaderboard; replays refuse it.
+window.playPattern = (id) => {
+  const gameScene = game.scene.getScene('GameScene');
+  if (!gameScene?.spawnSystem || gameState.gameOver || gameState.replaying) return false;
+  const started = gameScene.spawnSystem.patterns.start(id);
+  if (started) gameState.patternsForced = true;
+  return started;
+};
 
 // --- AI-readable game state snapshot ---
 // Returns a concise JSON string for automated agents to understand the game
@@ -26,15 +71,30 @@ window.render_game_to_text = () => {
   const payload = {
     // Coordinate system: origin top-left, x increases rightward, y increases downward
     coords: 'origin:top-left x:right y:down',
-    mode: gameState.gameOver ? 'game_over' : gameState.started ? 'playing' : 'menu',
+    mode: gameState.gameOver ? 'game_over'
+      : gameState.paused ? 'paused'
+      : gameState.replaying ? 'replay'
+      : gameState.started ? 'playing' : 'menu',
     scene: activeScenes[0] || null,
+    gameMode: gameState.mode,
     scenes: activeScenes,
+    seed: gameState.seed,
     score: gameState.score,
     bestScore: gameState.bestScore,
     survivalTime: gameState.survivalTime,
     fragmentsCollected: gameState.fragmentsCollected,
+    combo: { chain: gameState.combo, multiplier: gameState.comboMultiplier, best: gameState.bestCombo },
+    grazes: gameState.grazes,
+    deathCause: gameState.deathCause,
+    finished: gameState.finished,
+    daily: gameState.dailyDate
+      ? { date: gameState.dailyDate, result: gameState.dailyResult }
+      : null,
+    bossesDefeated: gameState.bossesDefeated,
     currentSpeedMultiplier: Math.round(gameState.currentSpeedMultiplier * 100) / 100,
     isSlowed: gameState.isSlowed,
+    paused: gameState.paused,
+    tick: simClock.tick,
   };
 
   // Add player info when in gameplay
@@ -47,6 +107,21 @@ window.render_game_to_text = () => {
       y: Math.round(s.y),
       vx: Math.round(body.velocity.x),
       vy: Math.round(body.velocity.y),
+      dash: {
+        ready: gameScene.player.canDash,
+        cooldown: Math.round(gameScene.player.dashCooldown),
+        dashing: gameScene.player.isDashing,
+        invulnerable: gameScene.player.isInvulnerable,
+      },
+    };
+  }
+
+  // Replay progress when watching one
+  if (gameState.replaying && gameScene?._replayReader) {
+    payload.replay = {
+      tick: gameScene._replayReader.tick,
+      ticks: gameScene.replay.ticks,
+      speed: gameScene.replaySpeed,
     };
   }
 
@@ -63,6 +138,44 @@ window.render_game_to_text = () => {
       x: Math.round(f.sprite.x),
       y: Math.round(f.sprite.y),
     }));
+
+    // Scripted spawn pattern in progress, if any
+    payload.pattern = gameScene.spawnSystem.patterns.active?.pattern.id ?? null;
+  }
+
+  // Boss encounter ('warning' until it enters)
+  const bossSystem = gameScene?.bossSystem;
+  if (bossSystem?.boss) {
+    const boss = bossSystem.boss;
+    payload.boss = {
+      type: boss.type,
+      state: boss.state,
+      x: Math.round(boss.x),
+      y: Math.round(boss.y),
+      health: boss.health,
+      maxHealth: boss.maxHealth,
+      phase: boss.phase,
+    };
+  } else if (bossSystem?.state === 'warning') {
+    payload.boss = { state: 'warning' };
+  }
+
+  // Power-up pickups on screen and effects currently running
+  const powerUps = gameScene?.powerUpSystem;
+  if (powerUps) {
+    payload.powerUps = {
+      pickups: powerUps.pickups.map(p => ({
+        kind: p.kind,
+        x: Math.round(p.sprite.x),
+        y: Math.round(p.sprite.y),
+      })),
+      shieldCharges: powerUps.shieldCharges,
+      active: Object.fromEntries(
+        Object.entries(powerUps.timers)
+          .filter(([, ms]) => ms > 0)
+          .map(([kind, ms]) => [kind, Math.round(ms)])
+      ),
+    };
   }
 
   return JSON.stringify(payload);
@@ -70,9 +183,20 @@ window.render_game_to_text = () => {
 
 // --- Deterministic time-stepping hook ---
 // Lets automated test scripts advance the game by a precise duration.
-// The game loop runs normally via RAF; this just waits for real time to elapse.
-// For frame-precise control in @playwright/test, prefer page.clock.install() + runFor().
+// During a run this switches the simulation to manual mode: render frames stop
+// advancing gameplay and each call runs exactly ms / SIM.TICK_MS fixed ticks,
+// so results are frame-exact regardless of display rate or throttling.
+// Outside gameplay (menus, transitions) it waits for real time to elapse.
+// Call window.resumeRealtime() to hand control back to the render loop.
 window.advanceTime = (ms) => {
+  const gameScene = game.scene.getScene('GameScene');
+  if (gameScene && game.scene.isActive('GameScene') && gameState.started && !gameState.gameOver &&
+      !gameState.paused) {
+    simClock.manual = true;
+    gameScene.advanceSimulation(ms);
+    return new Promise((resolve) => requestAnimationFrame(() => resolve()));
+  }
+
   return new Promise((resolve) => {
     const start = performance.now();
     function step() {
@@ -82,3 +206,7 @@ window.advanceTime = (ms) => {
     requestAnimationFrame(step);
   });
 };
+
+window.resumeRealtime = () => {
+  simClock.manual = false;
+};
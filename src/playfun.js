@@ -20,10 +20,10 @@ export async function initPlayFun() {
     await sdk.init();
     console.log('[PlayFun] SDK initialized');
 
-    // Wire score events — each fragment collected = 1 point
-    eventBus.on(Events.SCORE_CHANGED, () => {
-      if (sdk) {
-        sdk.addPoints(1);
+    // Wire score events — forward the points actually awarded (replays earn nothing)
+    eventBus.on(Events.SCORE_CHANGED, ({ delta }) => {
+      if (sdk && !gameState.replaying && delta > 0) {
+        sdk.addPoints(delta);
       }
     });
 
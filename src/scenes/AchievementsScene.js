@@ -0,0 +1,106 @@
+import Phaser from 'phaser';
+import { GAME, COLORS, UI } from '../core/Constants.js';
+import { achievements } from '../core/Achievements.js';
+import { restartOnLayoutChange } from '../core/Layout.js';
+import { drawGradient, createButton, createTitle } from '../ui/helpers.js';
+import { MenuNavigator } from '../ui/MenuNavigator.js';
+
+const PER_PAGE = 6;
+
+/**
+ * Every achievement with its unlock state, a page at a time.
+ */
+export class AchievementsScene extends Phaser.Scene {
+  constructor() {
+    super('AchievementsScene');
+  }
+
+  init(data) {
+    this.returnTo = (data && data.returnTo) || 'MenuScene';
+    this.page = 0;
+  }
+
+  create() {
+    const w = GAME.WIDTH;
+    const h = GAME.HEIGHT;
+    const cx = w / 2;
+
+    restartOnLayoutChange(this);
+
+    drawGradient(this, w, h, COLORS.BG_TOP, COLORS.BG_BOTTOM);
+    createTitle(this, cx, h * 0.1, 'ACHIEVEMENTS');
+
+    const defs = achievements.defs;
+    const unlocked = defs.filter(d => achievements.isUnlocked(d.id)).length;
+    this.add.text(cx, h * 0.17, `${unlocked} / ${defs.length} unlocked`, {
+      fontSize: Math.round(h * UI.SMALL_RATIO) + 'px',
+      fontFamily: UI.FONT,
+      color: COLORS.MUTED_TEXT,
+    }).setOrigin(0.5);
+
+    this.pageCount = Math.max(1, Math.ceil(defs.length / PER_PAGE));
+    this.rows = this.add.container(0, 0);
+
+    const items = [];
+    if (this.pageCount > 1) {
+      const pager = createButton(this, cx, h * 0.76, '', () => this.turnPage(1));
+      pager.adjust = (dir) => this.turnPage(dir);
+      this.pager = pager;
+      items.push(pager);
+    }
+    items.push(createButton(this, cx, h * 0.87, 'BACK', () => this.back()));
+
+    this._drawPage();
+    this.navigator = new MenuNavigator(this, items, { onBack: () => this.back() });
+  }
+
+  turnPage(dir) {
+    this.page = (this.page + dir + this.pageCount) % this.pageCount;
+    this._drawPage();
+  }
+
+  _drawPage() {
+    const w = GAME.WIDTH;
+    const h = GAME.HEIGHT;
+    const titleSize = Math.round(h * UI.BODY_RATIO);
+    const textSize = Math.round(h * UI.SMALL_RATIO);
+    const rowH = h * 0.085;
+    const top = h * 0.25;
+
+    this.rows.removeAll(true);
+    const defs = achievements.defs.slice(this.page * PER_PAGE, (this.page + 1) * PER_PAGE);
+
+    defs.forEach((def, i) => {
+      const y = top + i * rowH;
+      const date = achievements.unlockedAt(def.id);
+      const secret = def.hidden && !date;
+
+      const title = this.add.text(w * 0.22, y, secret ? '???' : def.title, {
+        fontSize: titleSize + 'px',
+        fontFamily: UI.FONT,
+        color: date ? COLORS.SCORE_GOLD : COLORS.MUTED_TEXT,
+        fontStyle: 'bold',
+      }).setOrigin(0, 0.5);
+      const desc = this.add.text(w * 0.22, y + titleSize * 0.95, secret ? 'Hidden achievement' : def.description, {
+        fontSize: textSize + 'px',
+        fontFamily: UI.FONT,
+        color: date ? COLORS.UI_TEXT : COLORS.MUTED_TEXT,
+      }).setOrigin(0, 0.5);
+      const status = this.add.text(w * 0.78, y, date ? date.slice(0, 10) : 'LOCKED', {
+        fontSize: textSize + 'px',
+        fontFamily: UI.FONT,
+        color: date ? COLORS.SURVIVAL_TEXT : COLORS.MUTED_TEXT,
+      }).setOrigin(1, 0.5);
+
+      this.rows.add([title, desc, status]);
+    });
+
+    if (this.pager) {
+      this.pager.label.setText(`<  PAGE ${this.page + 1} / ${this.pageCount}  >`);
+    }
+  }
+
+  back() {
+    this.scene.start(this.returnTo);
+  }
+}
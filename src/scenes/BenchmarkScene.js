@@ -0,0 +1,199 @@
+import Phaser from 'phaser';
+import { GAME, COLORS, UI, BENCH } from '../core/Constants.js';
+import { gameState } from '../core/GameState.js';
+import { rng } from '../core/Random.js';
+import { getRules, DEFAULT_MODE } from '../core/GameModes.js';
+import { poolStats } from '../core/Pool.js';
+import { restartOnLayoutChange } from '../core/Layout.js';
+import { SpawnSystem } from '../systems/SpawnSystem.js';
+import { createTextLink } from '../ui/helpers.js';
+
+/**
+ * Broadphase stress test. Keeps hundreds of enemies (every type, pooled)
+ * crossing the arena and, every frame, runs the same proximity queries two
+ * ways: through SpawnSystem's spatial grid (rebuild included) and as a
+ * linear scan of every enemy. Shows both timings, whether their results
+ * match, and the pool counters.
+ *
+ * Open with ?bench or ?bench=<count>, or window.startBenchmark(count).
+ *
+ *   Up/Down   more / fewer enemies
+ *   Esc       back to the menu
+ */
+export class BenchmarkScene extends Phaser.Scene {
+  constructor() {
+    super('BenchmarkScene');
+  }
+
+  /**
+   * @param {{ count?: number }} [data] - enemies to keep on screen
+   */
+  init(data) {
+    const count = Number(data && data.count) || BENCH.DEFAULT_COUNT;
+    this.count = Phaser.Math.Clamp(Math.round(count), BENCH.MIN_COUNT, BENCH.MAX_COUNT);
+  }
+
+  create() {
+    const w = GAME.WIDTH;
+    const h = GAME.HEIGHT;
+
+    restartOnLayoutChange(this);
+
+    this.cameras.main.setBackgroundColor(COLORS.BG);
+    this.physics.world.setBounds(0, 0, w, h);
+
+    gameState.reset();
+    gameState.currentSpeedMultiplier = BENCH.SPEED_MULTIPLIER;
+    rng.setSeed(BENCH.SEED);
+
+    // Homing enemies chase the first probe as they would the player
+    this.probe = { x: w / 2, y: h / 2 };
+    this.spawnSystem = new SpawnSystem(this, () => this.probe, getRules(DEFAULT_MODE));
+    // Late enough in a run for every enemy type to be unlocked
+    this.spawnSystem.elapsedTime = 60000;
+
+    this._probes = new Float64Array(BENCH.PROBES * 2);
+    this._found = [];
+    this._resetSamples();
+
+    this.overlay = this.add.graphics().setDepth(10);
+    const fontSize = Math.round(h * UI.SMALL_RATIO);
+    this.statsText = this.add.text(fontSize, fontSize, 'Measuring...', {
+      fontSize: fontSize + 'px',
+      fontFamily: UI.FONT,
+      color: COLORS.UI_TEXT,
+      backgroundColor: 'rgba(0,0,0,0.6)',
+      padding: { x: fontSize * 0.6, y: fontSize * 0.4 },
+      lineSpacing: fontSize * 0.25,
+    }).setDepth(20);
+
+    // Touch equivalents of the keys
+    const linkY = h - fontSize * 1.5;
+    [
+      createTextLink(this, w * 0.3, linkY, `− ${BENCH.COUNT_STEP}`, () => this.setCount(this.count - BENCH.COUNT_STEP)),
+      createTextLink(this, w * 0.5, linkY, `+ ${BENCH.COUNT_STEP}`, () => this.setCount(this.count + BENCH.COUNT_STEP)),
+      createTextLink(this, w * 0.7, linkY, 'MENU', () => this.toMenu()),
+    ].forEach(link => link.setDepth(20));
+
+    this.input.keyboard.on('keydown', (event) => {
+      if (event.code === 'ArrowUp') this.setCount(this.count + BENCH.COUNT_STEP);
+      else if (event.code === 'ArrowDown') this.setCount(this.count - BENCH.COUNT_STEP);
+      else if (event.code === 'Escape') this.toMenu();
+    });
+
+    this.events.once('shutdown', () => this.spawnSystem.destroy());
+  }
+
+  setCount(count) {
+    this.count = Phaser.Math.Clamp(count, BENCH.MIN_COUNT, BENCH.MAX_COUNT);
+    this._resetSamples();
+  }
+
+  toMenu() {
+    this.scene.start('MenuScene');
+  }
+
+  _resetSamples() {
+    this._samples = { frames: 0, gridMs: 0, linearMs: 0, hits: 0, mismatches: 0, frameMs: 0 };
+  }
+
+  update(time, delta) {
+    const spawn = this.spawnSystem;
+    const w = GAME.WIDTH;
+    const h = GAME.HEIGHT;
+
+    // The first probe wanders like a player would; the rest are scattered
+    this.probe.x = w / 2 + Math.cos(time * 0.0007) * w * 0.3;
+    this.probe.y = h / 2 + Math.sin(time * 0.0011) * h * 0.3;
+    const probes = this._probes;
+    probes[0] = this.probe.x;
+    probes[1] = this.probe.y;
+    for (let i = 2; i < probes.length; i += 2) {
+      probes[i] = Math.random() * w;
+      probes[i + 1] = Math.random() * h;
+    }
+
+    // Recycle enemies that left, top back up to the target count
+    for (let i = spawn.enemies.length - 1; i >= 0; i--) {
+      if (spawn.enemies[i].isOffScreen()) spawn.removeEnemy(spawn.enemies[i]);
+    }
+    while (spawn.enemies.length < this.count) spawn.spawnEnemy();
+    for (const enemy of spawn.enemies) enemy.update();
+
+    // Grid: rebuild plus every query
+    const radius = BENCH.PROBE_RADIUS;
+    const found = this._found;
+    const t0 = performance.now();
+    spawn.invalidateGrid();
+    let gridHits = 0;
+    for (let i = 0; i < probes.length; i += 2) {
+      found.length = 0;
+      gridHits += spawn.enemiesNear(probes[i], probes[i + 1], radius, found).length;
+    }
+    const t1 = performance.now();
+
+    // Linear scan: the same box test against every enemy
+    let linearHits = 0;
+    const r2 = radius * radius;
+    for (let i = 0; i < probes.length; i += 2) {
+      for (const enemy of spawn.enemies) {
+        const body = enemy.sprite.body;
+        const dx = Math.max(Math.abs(probes[i] - body.center.x) - body.halfWidth, 0);
+        const dy = Math.max(Math.abs(probes[i + 1] - body.center.y) - body.halfHeight, 0);
+        if (dx * dx + dy * dy <= r2) linearHits++;
+      }
+    }
+    const t2 = performance.now();
+
+    const samples = this._samples;
+    samples.frames++;
+    samples.gridMs += t1 - t0;
+    samples.linearMs += t2 - t1;
+    samples.hits += gridHits;
+    samples.frameMs += delta;
+    if (gridHits !== linearHits) samples.mismatches++;
+    if (samples.frames >= BENCH.SAMPLE_FRAMES) {
+      this._showStats();
+      this._resetSamples();
+    }
+
+    this._drawProbe();
+  }
+
+  /** First probe's query circle, with the enemies it found outlined */
+  _drawProbe() {
+    const g = this.overlay;
+    g.clear();
+    g.lineStyle(2, 0x00ffff, 0.8);
+    g.strokeCircle(this.probe.x, this.probe.y, BENCH.PROBE_RADIUS);
+
+    const found = this._found;
+    found.length = 0;
+    this.spawnSystem.enemiesNear(this.probe.x, this.probe.y, BENCH.PROBE_RADIUS, found);
+    g.lineStyle(2, 0xffd700, 1);
+    for (const enemy of found) {
+      const body = enemy.sprite.body;
+      g.strokeRect(body.x, body.y, body.width, body.height);
+    }
+  }
+
+  _showStats() {
+    const s = this._samples;
+    const grid = s.gridMs / s.frames;
+    const linear = s.linearMs / s.frames;
+    const lines = [
+      `ENEMIES ${this.spawnSystem.enemies.length} / ${this.count}   FPS ${Math.round(1000 / (s.frameMs / s.frames))}`,
+      `${BENCH.PROBES} queries per frame, radius ${Math.round(BENCH.PROBE_RADIUS)} px`,
+      `GRID     ${grid.toFixed(3)} ms/frame (incl. rebuild)`,
+      `LINEAR   ${linear.toFixed(3)} ms/frame`,
+      `SPEEDUP  ${grid > 0 ? (linear / grid).toFixed(1) : '—'}x   hits/query ${(s.hits / s.frames / BENCH.PROBES).toFixed(1)}`,
+      s.mismatches > 0 ? `RESULTS DIFFER in ${s.mismatches} frames` : 'Results match',
+      '',
+      ...poolStats().map(p => `pool ${p.name}: ${p.active} active, ${p.free} free, ${p.created} built, peak ${p.peak}`),
+      '',
+      `Up/Down ±${BENCH.COUNT_STEP} enemies  ·  Esc menu`,
+    ];
+    this.statsText.setText(lines);
+    this.statsText.setColor(s.mismatches > 0 ? '#ff6666' : COLORS.UI_TEXT);
+  }
+}
@@ -6,6 +6,15 @@ export class BootScene extends Phaser.Scene {
   }
 
   create() {
-    this.scene.start('GameScene');
+    // Toasts live in their own scene above everything else for the whole session
+    this.scene.launch('ToastScene');
+
+    // ?bench or ?bench=<count> opens the broadphase benchmark instead
+    const bench = new URLSearchParams(window.location.search).get('bench');
+    if (bench !== null) {
+      this.scene.start('BenchmarkScene', { count: Number(bench) });
+      return;
+    }
+    this.scene.start('MenuScene');
   }
 }
@@ -0,0 +1,290 @@
+import Phaser from 'phaser';
+import { GAME, COLORS, UI } from '../core/Constants.js';
+import { readPads, PadEdges } from '../core/Gamepad.js';
+import { restartOnLayoutChange } from '../core/Layout.js';
+import {
+  inputMap, ACTIONS, KEY_SLOTS, RESERVED_BUTTONS, keyLabel, padLabel,
+} from '../core/InputMap.js';
+import { drawGradient, createButton, createTitle } from '../ui/helpers.js';
+import { MenuNavigator } from '../ui/MenuNavigator.js';
+
+// Columns: KEY_SLOTS key slots, then the gamepad
+const PAD_COLUMN = KEY_SLOTS;
+const COLUMN_X = [0.5, 0.64, 0.8];
+const COLUMN_HEADINGS = ['KEY 1', 'KEY 2', 'PAD'];
+
+const IDLE_HINT = 'Enter / A or click to rebind  ·  Left/Right picks the column';
+
+function actionLabel(action) {
+  return ACTIONS.find(a => a.key === action).label;
+}
+
+/**
+ * Rebinding screen for the input map. Selecting a binding waits for the
+ * next key (or gamepad button in the PAD column) and assigns it; a key
+ * already in use is swapped with the other action.
+ *
+ *   Esc                cancel
+ *   Backspace/Delete   clear the key slot
+ */
+export class ControlsScene extends Phaser.Scene {
+  constructor() {
+    super('ControlsScene');
+  }
+
+  /**
+   * @param {{ returnTo?: string, returnData?: object }} [data] - scene (and
+   *   its init data) to go back to
+   */
+  init(data) {
+    this.returnTo = (data && data.returnTo) || 'SettingsScene';
+    this.returnData = (data && data.returnData) || {};
+  }
+
+  create() {
+    const w = GAME.WIDTH;
+    const h = GAME.HEIGHT;
+    const cx = w / 2;
+
+    restartOnLayoutChange(this);
+
+    // May be opened from the settings overlay above a paused game
+    this.scene.bringToTop();
+
+    drawGradient(this, w, h, COLORS.BG_TOP, COLORS.BG_BOTTOM);
+    createTitle(this, cx, h * 0.08, 'CONTROLS');
+
+    this.column = 0;
+    this.capture = null;
+    this.fontSize = Math.round(h * UI.SMALL_RATIO * 1.1);
+
+    COLUMN_HEADINGS.forEach((heading, c) => {
+      this._text(w * COLUMN_X[c], h * 0.17, heading, COLORS.MUTED_TEXT, 0.5);
+    });
+
+    const rowH = h * 0.065;
+    this.rows = ACTIONS.map((def, i) => this._createRow(def, h * 0.235 + i * rowH, rowH));
+
+    this.statusText = this._text(cx, h * 0.77, IDLE_HINT, COLORS.MUTED_TEXT, 0.5);
+
+    const reset = createButton(this, w * 0.3, h * 0.88, 'RESET TO DEFAULTS', () => this.resetDefaults(), { widthRatio: 0.34 });
+    const back = createButton(this, w * 0.7, h * 0.88, 'BACK', () => this.back(), { widthRatio: 0.34 });
+
+    this.navigator = new MenuNavigator(this, [...this.rows, reset, back], {
+      onBack: () => this.back(),
+    });
+
+    // Registered after the navigator so it sees every event first: the
+    // press that starts a capture is not captured, and the one that ends
+    // it is not also taken as navigation
+    this._padEdges = new PadEdges();
+    this.input.keyboard.on('keydown', (event) => this._handleKey(event));
+    this.input.on('pointerdown', () => this.cancelCapture());
+    const pollPad = () => this._pollGamepad();
+    this.events.on('update', pollPad);
+    this.events.once('shutdown', () => {
+      this.events.off('update', pollPad);
+      inputMap.suspended = false;
+    });
+
+    this._refresh();
+  }
+
+  _text(x, y, str, color, originX = 0) {
+    return this.add.text(x, y, str, {
+      fontSize: this.fontSize + 'px',
+      fontFamily: UI.FONT,
+      color,
+      fontStyle: 'bold',
+    }).setOrigin(originX, 0.5);
+  }
+
+  /**
+   * One action: its label and a cell per column. The row background is the
+   * navigator item; clicking picks the cell under the pointer.
+   */
+  _createRow(def, y, rowH) {
+    const w = GAME.WIDTH;
+    const row = this.add.rectangle(w / 2, y, w * 0.8, rowH * 0.9, 0xffffff, 0);
+    row.setInteractive({ useHandCursor: true });
+    row.def = def;
+    row.label = this._text(w * 0.12, y, def.label, COLORS.UI_TEXT);
+    row.cells = COLUMN_X.map((x, c) => (c === PAD_COLUMN && !def.pad ? null : this._text(w * x, y, '', COLORS.UI_TEXT, 0.5)));
+
+    row.setFocused = (focused) => {
+      row.focused = focused;
+      this._refresh();
+    };
+    row.activate = () => this.startCapture(row);
+    row.adjust = (dir) => {
+      const columns = this._columns(row);
+      const idx = columns.indexOf(this._columnFor(row));
+      this.column = columns[Math.min(Math.max(idx + dir, 0), columns.length - 1)];
+      this._refresh();
+    };
+
+    row.on('pointermove', (pointer) => {
+      if (this.capture) return;
+      this.column = this._columnAt(row, pointer.worldX);
+      this._refresh();
+    });
+    row.on('pointerout', () => row.setFocused(false));
+    row.on('pointerup', (pointer) => {
+      this.column = this._columnAt(row, pointer.worldX);
+      this.startCapture(row);
+    });
+    return row;
+  }
+
+  /** Columns a row can be rebound in */
+  _columns(row) {
+    return row.cells.map((cell, c) => (cell ? c : -1)).filter(c => c >= 0);
+  }
+
+  /** The selected column, or the nearest one the row has */
+  _columnFor(row) {
+    const columns = this._columns(row);
+    return columns.includes(this.column) ? this.column : columns[columns.length - 1];
+  }
+
+  _columnAt(row, x) {
+    let best = this._columns(row)[0];
+    for (const c of this._columns(row)) {
+      if (Math.abs(GAME.WIDTH * COLUMN_X[c] - x) < Math.abs(GAME.WIDTH * COLUMN_X[best] - x)) best = c;
+    }
+    return best;
+  }
+
+  startCapture(row) {
+    if (this.capture) return;
+    const column = this._columnFor(row);
+    this.capture = { row, column, startedAt: performance.now() };
+    this.navigator.enabled = false;
+    inputMap.suspended = true;
+    this._padEdges.reset();
+
+    const what = column === PAD_COLUMN ? 'a gamepad button' : 'a key';
+    const clear = column === PAD_COLUMN ? '' : '  ·  Backspace clear';
+    this._setStatus(`Press ${what} for ${row.def.label}  ·  Esc cancel${clear}`, COLORS.SURVIVAL_TEXT);
+    this._refresh();
+  }
+
+  cancelCapture() {
+    if (!this.capture) return;
+    this._endCapture();
+    this._setStatus(IDLE_HINT);
+  }
+
+  _endCapture() {
+    this.capture = null;
+    this.navigator.enabled = true;
+    inputMap.suspended = false;
+    this._refresh();
+  }
+
+  _handleKey(event) {
+    const capture = this.capture;
+    // Still the press that started the capture, or it being held
+    if (!capture || event.repeat || event.timeStamp < capture.startedAt) return;
+
+    if (event.code === 'Escape') {
+      this.cancelCapture();
+      return;
+    }
+    if (capture.column === PAD_COLUMN) return;
+
+    const action = capture.row.def.key;
+    if (event.code === 'Backspace' || event.code === 'Delete') {
+      inputMap.clearKey(action, capture.column);
+      this._endCapture();
+      this._reportUnbound(`${capture.row.def.label} key ${capture.column + 1} cleared.`);
+      return;
+    }
+
+    const conflict = inputMap.bindKey(action, capture.column, event.code);
+    this._endCapture();
+    if (conflict) {
+      const moved = conflict.code ? `now uses ${keyLabel(conflict.code)}` : 'lost it';
+      this._reportUnbound(`${keyLabel(event.code)} was on ${actionLabel(conflict.action)}, which ${moved}.`);
+    } else {
+      this._reportUnbound(`${capture.row.def.label} set to ${keyLabel(event.code)}.`);
+    }
+  }
+
+  _pollGamepad() {
+    const { buttons } = readPads(this, 0);
+    const pressed = this._padEdges.update(buttons);
+    const capture = this.capture;
+    if (!capture) return;
+
+    const button = [...buttons].find(b => !RESERVED_BUTTONS.includes(b) && pressed([b]));
+    if (button === undefined) return;
+
+    // Any button cancels a key capture (Esc does too)
+    if (capture.column !== PAD_COLUMN) {
+      this.cancelCapture();
+      return;
+    }
+
+    const conflict = inputMap.bindPad(capture.row.def.key, button);
+    this._endCapture();
+    if (conflict) {
+      const now = conflict.pad.map(padLabel).join(' / ') || 'nothing';
+      this._reportUnbound(`${padLabel(button)} was on ${actionLabel(conflict.action)}, which now uses ${now}.`);
+    } else {
+      this._reportUnbound(`${capture.row.def.label} set to ${padLabel(button)}.`);
+    }
+  }
+
+  /**
+   * Show a result, or a warning instead if an action was left unbound.
+   */
+  _reportUnbound(message) {
+    const unbound = ACTIONS.filter(def => inputMap.isUnbound(def.key));
+    if (unbound.length > 0) {
+      this._setStatus(`${message}  No binding: ${unbound.map(def => def.label).join(', ')}`, '#ff6666');
+    } else {
+      this._setStatus(message, COLORS.SCORE_GOLD);
+    }
+  }
+
+  resetDefaults() {
+    this.cancelCapture();
+    inputMap.resetDefaults();
+    this._refresh();
+    this._setStatus('Controls reset to defaults.', COLORS.SCORE_GOLD);
+  }
+
+  _setStatus(message, color = COLORS.MUTED_TEXT) {
+    this.statusText.setColor(color);
+    this.statusText.setText(message);
+  }
+
+  _refresh() {
+    for (const row of this.rows) {
+      const action = row.def.key;
+      const column = this._columnFor(row);
+      const capturing = this.capture && this.capture.row === row;
+      row.setFillStyle(0xffffff, row.focused || capturing ? 0.08 : 0);
+      row.label.setColor(inputMap.isUnbound(action) ? '#ff6666' : COLORS.UI_TEXT);
+
+      row.cells.forEach((cell, c) => {
+        if (!cell) return;
+        const value = c === PAD_COLUMN
+          ? inputMap.pad(action).map(padLabel).join(' / ') || '—'
+          : keyLabel(inputMap.keySlots(action)[c]);
+        if (capturing && c === column) {
+          cell.setText('...').setColor(COLORS.SCORE_GOLD);
+        } else {
+          const selected = (row.focused || capturing) && c === column;
+          cell.setText(value).setColor(selected ? COLORS.SURVIVAL_TEXT : COLORS.UI_TEXT);
+        }
+      });
+    }
+  }
+
+  back() {
+    if (this.capture) return;
+    this.scene.start(this.returnTo, this.returnData);
+  }
+}
@@ -0,0 +1,51 @@
+import Phaser from 'phaser';
+import { GAME, COLORS, UI } from '../core/Constants.js';
+import { restartOnLayoutChange } from '../core/Layout.js';
+import { drawGradient, createButton, createTitle } from '../ui/helpers.js';
+import { MenuNavigator } from '../ui/MenuNavigator.js';
+
+const CREDITS = [
+  'MELTDOWN',
+  '',
+  'Design, code & pixel art — the Meltdown team',
+  'Music — live-coded with Strudel',
+  'Engine — Phaser 3',
+  '',
+  'Thanks for playing. Stay human.',
+];
+
+export class CreditsScene extends Phaser.Scene {
+  constructor() {
+    super('CreditsScene');
+  }
+
+  init(data) {
+    this.returnTo = (data && data.returnTo) || 'MenuScene';
+  }
+
+  create() {
+    const w = GAME.WIDTH;
+    const h = GAME.HEIGHT;
+    const cx = w / 2;
+
+    restartOnLayoutChange(this);
+
+    drawGradient(this, w, h, COLORS.BG_TOP, COLORS.BG_BOTTOM);
+    createTitle(this, cx, h * 0.15, 'CREDITS');
+
+    this.add.text(cx, h * 0.5, CREDITS.join('\n'), {
+      fontSize: Math.round(h * UI.BODY_RATIO * 0.9) + 'px',
+      fontFamily: UI.FONT,
+      color: COLORS.UI_TEXT,
+      align: 'center',
+      lineSpacing: Math.round(h * 0.01),
+    }).setOrigin(0.5);
+
+    const back = createButton(this, cx, h * 0.85, 'BACK', () => this.back());
+    this.navigator = new MenuNavigator(this, [back], { onBack: () => this.back() });
+  }
+
+  back() {
+    this.scene.start(this.returnTo);
+  }
+}
@@ -2,25 +2,50 @@ import Phaser from 'phaser';
 import { GAME, COLORS, UI, TRANSITION, EFFECTS } from '../core/Constants.js';
 import { eventBus, Events } from '../core/EventBus.js';
 import { gameState } from '../core/GameState.js';
+import { profile } from '../core/Profile.js';
+import { validateReplay, replayFilename } from '../core/Replay.js';
+import { downloadJSON, pickJSONFile, copyText } from '../core/FileIO.js';
+import { dailyShareText } from '../core/Daily.js';
+import { readPads, PadEdges } from '../core/Gamepad.js';
+import { inputMap, Action } from '../core/InputMap.js';
+import { getMode } from '../core/GameModes.js';
+import { restartOnLayoutChange } from '../core/Layout.js';
+import { drawGradient, createButton, createTextLink } from '../ui/helpers.js';
+import { InitialsEntry } from '../ui/InitialsEntry.js';
+import { MenuNavigator } from '../ui/MenuNavigator.js';
 
 export class GameOverScene extends Phaser.Scene {
   constructor() {
     super('GameOverScene');
   }
 
-  create() {
+  /**
+   * @param {{ reflow?: boolean, initials?: { text: string, index: number } }} [data] -
+   *   reflow: rebuilt after a resize, with the initials typed so far
+   */
+  create(data) {
     const w = GAME.WIDTH;
     const h = GAME.HEIGHT;
     const cx = w / 2;
 
+    // A resize rebuilds the screen; initials being typed carry over
+    this.initialsEntry = null;
+    restartOnLayoutChange(this, () => {
+      const entry = this.initialsEntry;
+      return { initials: entry && entry.container ? { text: entry.initials, index: entry.index } : null };
+    });
+
     this._transitioning = false;
 
     // --- Gradient background ---
-    this.drawGradient(w, h, COLORS.BG_TOP, COLORS.BG_BOTTOM);
+    drawGradient(this, w, h, COLORS.BG_TOP, COLORS.BG_BOTTOM);
 
-    // --- "MELTDOWN" title with glitch effect ---
+    // --- "MELTDOWN" title with glitch effect (or the mode's finish title
+    // when the run ended by its rules) ---
+    const mode = getMode(gameState.mode);
+    const finished = gameState.finished && !gameState.replaying;
     const titleSize = Math.round(h * UI.TITLE_RATIO);
-    const title = this.add.text(cx, h * 0.18, 'MELTDOWN', {
+    const title = this.add.text(cx, h * 0.18, finished ? mode.finishTitle : 'MELTDOWN', {
       fontSize: titleSize + 'px',
       fontFamily: UI.FONT,
       color: '#ff3333',
@@ -42,7 +67,15 @@ export class GameOverScene extends Phaser.Scene {
 
     // --- "Nothing human makes it out" subtitle ---
     const subtitleSize = Math.round(h * UI.SMALL_RATIO);
-    this.add.text(cx, h * 0.25, 'Nothing human makes it out.', {
+    const daily = gameState.dailyResult;
+    let subtitle = gameState.replaying ? 'Replay complete.' : 'Nothing human makes it out.';
+    if (finished) {
+      subtitle = mode.finishText;
+    }
+    if (daily) {
+      subtitle = `DAILY ${gameState.dailyDate}  ·  seed ${gameState.seed}`;
+    }
+    this.add.text(cx, h * 0.25, subtitle, {
       fontSize: subtitleSize + 'px',
       fontFamily: UI.FONT,
       color: COLORS.MUTED_TEXT,
@@ -60,9 +93,9 @@ export class GameOverScene extends Phaser.Scene {
     panel.lineStyle(2, 0x6c63ff, 0.5);
     panel.strokeRoundedRect(cx - panelW / 2, panelY - panelH / 2, panelW, panelH, 16);
 
-    // Fragments collected label
+    // Score label
     const labelSize = Math.round(h * UI.SMALL_RATIO);
-    this.add.text(cx, panelY - panelH * 0.32, 'FRAGMENTS SAVED', {
+    this.add.text(cx, panelY - panelH * 0.32, 'SCORE', {
       fontSize: labelSize + 'px',
       fontFamily: UI.FONT,
       color: COLORS.MUTED_TEXT,
@@ -108,110 +141,204 @@ export class GameOverScene extends Phaser.Scene {
     // Survival time
     const survivalSec = Math.floor(gameState.survivalTime);
     const timeSize = Math.round(h * UI.BODY_RATIO);
-    this.add.text(cx, panelY + panelH * 0.1, `Survived: ${survivalSec}s`, {
+    const runSummary = `Survived: ${survivalSec}s  ·  ${gameState.fragmentsCollected} fragments  ·  best chain ${gameState.bestCombo}`;
+    this.add.text(cx, panelY + panelH * 0.1, runSummary, {
       fontSize: timeSize + 'px',
       fontFamily: UI.FONT,
       color: COLORS.SURVIVAL_TEXT,
     }).setOrigin(0.5);
 
-    // Best score
+    // Best score and survival time (persisted in the profile); the Daily
+    // shows the day's best and streak instead
     const bestSize = Math.round(h * UI.SMALL_RATIO);
-    this.add.text(cx, panelY + panelH * 0.32, `Best: ${gameState.bestScore}`, {
+    let newBest;
+    let bestLabel;
+    if (daily) {
+      newBest = daily.newDayBest;
+      const practice = daily.scored ? '' : `  ·  practice (scored run: ${daily.result.score})`;
+      bestLabel = `${newBest ? 'NEW DAY BEST!  ' : ''}Today: ${daily.best.score}  ·  streak ${daily.streak}${practice}`;
+    } else {
+      const bestTime = Math.floor(profile.getBest(gameState.mode).survivalTime);
+      newBest = gameState.newBestScore || gameState.newBestTime;
+      bestLabel = `${newBest ? 'NEW BEST!  ' : ''}${mode.label} best: ${gameState.bestScore}  ·  ${bestTime}s`;
+    }
+    this.add.text(cx, panelY + panelH * 0.32, bestLabel, {
       fontSize: bestSize + 'px',
       fontFamily: UI.FONT,
-      color: COLORS.MUTED_TEXT,
+      color: newBest ? COLORS.SCORE_GOLD : COLORS.MUTED_TEXT,
     }).setOrigin(0.5);
 
     // --- Play Again button ---
-    this.createButton(cx, h * 0.72, 'PLAY AGAIN', () => this.restartGame());
+    const menuItems = [createButton(this, cx, h * 0.72, 'PLAY AGAIN', () => this.restartGame())];
+
+    // --- Replay controls ---
+    if (gameState.lastReplay) {
+      menuItems.push(createButton(this, cx, h * 0.83, 'WATCH REPLAY', () => this.watchReplay(gameState.lastReplay)));
+    }
 
-    // --- Keyboard shortcut ---
-    this.input.keyboard.once('keydown-SPACE', () => this.restartGame());
+    // --- Secondary links, spread evenly along the bottom ---
+    const links = [];
+    if (gameState.lastReplay) {
+      links.push(['Export replay', () => this.exportReplay()]);
+    }
+    links.push(['Import replay', () => this.importReplay()]);
+    links.push(['Leaderboard', () => this.openLeaderboard()]);
+    if (daily) {
+      links.push(['Share result', () => this.shareDaily()]);
+    }
+    links.push(['Main menu', () => this.toMenu()]);
+
+    const linkSpacing = w * Math.min(0.22, 0.9 / links.length);
+    links.forEach(([label, cb], i) => {
+      const lx = cx + (i - (links.length - 1) / 2) * linkSpacing;
+      menuItems.push(createTextLink(this, lx, h * 0.93, label, cb));
+    });
+    this.menuItems = menuItems;
+
+    // Replay errors (import, wrong screen size) are reported here
+    this.statusText = this.add.text(cx, h * 0.975, '', {
+      fontSize: Math.round(h * UI.SMALL_RATIO * 0.8) + 'px',
+      fontFamily: UI.FONT,
+      color: '#ff6666',
+    }).setOrigin(0.5);
+
+    // --- Leaderboard: a qualifying run asks for initials first ---
+    if (gameState.leaderboardRank > 0 && !gameState.replaying) {
+      const typed = data && data.initials;
+      this.initialsEntry = new InitialsEntry(this, {
+        rank: gameState.leaderboardRank,
+        initial: typed ? typed.text : profile.data.settings.initials,
+        index: typed ? typed.index : 0,
+        onConfirm: (initials) => this.saveHighScore(initials),
+      });
+    } else {
+      this._enableMenu();
+    }
 
     // --- Fade in ---
-    this.cameras.main.fadeIn(TRANSITION.FADE_DURATION, 0, 0, 0);
+    if (!(data && data.reflow)) this.cameras.main.fadeIn(TRANSITION.FADE_DURATION, 0, 0, 0);
+  }
+
+  /**
+   * Keyboard/gamepad navigation of the buttons and links. Enter/Space or
+   * gamepad A with nothing focused plays again; Esc or B goes to the menu.
+   * The RESTART action (R / Y by default) plays again from anywhere.
+   */
+  _enableMenu() {
+    this.navigator = new MenuNavigator(this, this.menuItems, { onBack: () => this.toMenu() });
+
+    this.input.keyboard.on('keydown', (event) => {
+      if (!event.repeat && inputMap.matches(Action.RESTART, event)) this.restartGame();
+    });
+    const edges = new PadEdges();
+    const pollPad = () => {
+      const pressed = edges.update(readPads(this, 0).buttons);
+      if (pressed(inputMap.pad(Action.RESTART))) this.restartGame();
+    };
+    this.events.on('update', pollPad);
+    this.events.once('shutdown', () => this.events.off('update', pollPad));
+  }
+
+  saveHighScore(initials) {
+    const rank = profile.addLeaderboardEntry(gameState.mode, {
+      initials,
+      score: gameState.score,
+      survivalTime: gameState.survivalTime,
+      seed: gameState.seed,
+      replay: gameState.lastReplay,
+    });
+    // Coming back to this screen must not ask again
+    gameState.leaderboardRank = 0;
+
+    // A replay is dropped when there is no room to store it
+    const kept = !gameState.lastReplay || profile.getLeaderboard(gameState.mode)[rank - 1].replay;
+    this.statusText.setColor(COLORS.SCORE_GOLD);
+    this.statusText.setText(`${initials} saved at #${rank} on the leaderboard${kept ? '' : ' (no room to keep its replay)'}`);
+    this._enableMenu();
   }
 
   restartGame() {
+    this._startGame({});
+  }
+
+  watchReplay(replay) {
+    try {
+      validateReplay(replay);
+    } catch (err) {
+      this._showError(err.message);
+      return;
+    }
+    this._startGame({ replay });
+  }
+
+  _startGame(data) {
     if (this._transitioning) return;
     this._transitioning = true;
 
     eventBus.emit(Events.GAME_RESTART);
     this.cameras.main.fadeOut(TRANSITION.FADE_DURATION, 0, 0, 0);
     this.cameras.main.once('camerafadeoutcomplete', () => {
-      this.scene.start('GameScene');
+      this.scene.start('GameScene', data);
     });
   }
 
-  // --- Helpers ---
-
-  drawGradient(w, h, topColor, bottomColor) {
-    const bg = this.add.graphics();
-    const top = Phaser.Display.Color.IntegerToColor(topColor);
-    const bot = Phaser.Display.Color.IntegerToColor(bottomColor);
-    const steps = 64;
-    const bandH = Math.ceil(h / steps);
-
-    for (let i = 0; i < steps; i++) {
-      const t = i / (steps - 1);
-      const r = Math.round(top.red + (bot.red - top.red) * t);
-      const g = Math.round(top.green + (bot.green - top.green) * t);
-      const b = Math.round(top.blue + (bot.blue - top.blue) * t);
-      bg.fillStyle(Phaser.Display.Color.GetColor(r, g, b));
-      bg.fillRect(0, i * bandH, w, bandH + 1);
+  /**
+   * Copy the day's scored result (not a practice attempt) to the clipboard
+   */
+  async shareDaily() {
+    const daily = gameState.dailyResult;
+    if (!daily) return;
+    const text = dailyShareText({
+      date: gameState.dailyDate,
+      score: daily.result.score,
+      survivalTime: daily.result.survivalTime,
+      streak: daily.streak,
+    });
+    const copied = await copyText(text);
+    if (this.statusText && this.statusText.scene) {
+      this.statusText.setColor(copied ? COLORS.SURVIVAL_TEXT : '#ff6666');
+      this.statusText.setText(copied ? 'Result copied to clipboard' : 'Could not copy to the clipboard');
     }
   }
 
-  createButton(x, y, label, callback) {
-    const btnW = Math.max(GAME.WIDTH * UI.BTN_W_RATIO, 160);
-    const btnH = Math.max(GAME.HEIGHT * UI.BTN_H_RATIO, UI.MIN_TOUCH);
-    const radius = UI.BTN_RADIUS;
-
-    const container = this.add.container(x, y);
-
-    const bg = this.add.graphics();
-    this.fillBtn(bg, btnW, btnH, radius, COLORS.BTN_PRIMARY);
-    container.add(bg);
-
-    const fontSize = Math.round(GAME.HEIGHT * UI.BODY_RATIO);
-    const text = this.add.text(0, 0, label, {
-      fontSize: fontSize + 'px',
-      fontFamily: UI.FONT,
-      color: COLORS.BTN_TEXT,
-      fontStyle: 'bold',
-    }).setOrigin(0.5);
-
-    container.add(text);
-
-    container.setSize(btnW, btnH);
-    container.setInteractive({ useHandCursor: true });
-
-    container.on('pointerover', () => {
-      this.fillBtn(bg, btnW, btnH, radius, COLORS.BTN_PRIMARY_HOVER);
-      this.tweens.add({ targets: container, scaleX: 1.05, scaleY: 1.05, duration: 80 });
-    });
+  openLeaderboard() {
+    if (this._transitioning) return;
+    this._transitioning = true;
+    this.scene.start('LeaderboardScene', { returnTo: 'GameOverScene', mode: gameState.mode });
+  }
 
-    container.on('pointerout', () => {
-      this.fillBtn(bg, btnW, btnH, radius, COLORS.BTN_PRIMARY);
-      this.tweens.add({ targets: container, scaleX: 1, scaleY: 1, duration: 80 });
-    });
+  toMenu() {
+    if (this._transitioning) return;
+    this._transitioning = true;
 
-    container.on('pointerdown', () => {
-      this.fillBtn(bg, btnW, btnH, radius, COLORS.BTN_PRIMARY_PRESS);
-      container.setScale(0.95);
+    this.cameras.main.fadeOut(TRANSITION.FADE_DURATION, 0, 0, 0);
+    this.cameras.main.once('camerafadeoutcomplete', () => {
+      this.scene.start('MenuScene');
     });
+  }
 
-    container.on('pointerup', () => {
-      container.setScale(1);
-      callback();
-    });
+  exportReplay() {
+    const replay = gameState.lastReplay;
+    if (!replay) return;
+    downloadJSON(replayFilename(replay), replay);
+  }
 
-    return container;
+  async importReplay() {
+    try {
+      const data = await pickJSONFile();
+      if (!data) return;
+      const replay = validateReplay(data);
+      gameState.lastReplay = replay;
+      this._startGame({ replay });
+    } catch (err) {
+      this._showError(err.message);
+    }
   }
 
-  fillBtn(gfx, w, h, radius, color) {
-    gfx.clear();
-    gfx.fillStyle(color, 1);
-    gfx.fillRoundedRect(-w / 2, -h / 2, w, h, radius);
+  _showError(message) {
+    if (this.statusText && this.statusText.scene) {
+      this.statusText.setColor('#ff6666');
+      this.statusText.setText(message);
+    }
   }
 }
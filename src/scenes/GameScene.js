@@ -1,11 +1,30 @@
 import Phaser from 'phaser';
-import { GAME, PLAYER, COLORS, PX, TRANSITION, FRAGMENT, SPRITE_SCALE, EFFECTS } from '../core/Constants.js';
+import { GAME, PLAYER, COLORS, PX, TRANSITION, FRAGMENT, SPRITE_SCALE, EFFECTS, SIM, UI } from '../core/Constants.js';
 import { eventBus, Events } from '../core/EventBus.js';
 import { gameState } from '../core/GameState.js';
+import { rng } from '../core/Random.js';
+import { getMode, getRules, DEFAULT_MODE } from '../core/GameModes.js';
+import { dailyKey, dailySeed } from '../core/Daily.js';
+import { profile } from '../core/Profile.js';
+import { layout } from '../core/Layout.js';
+import { simClock, Interpolator } from '../core/Simulation.js';
+import { ReplayRecorder, ReplayReader, quantizeInput, Buttons, REPLAY_SPEEDS } from '../core/Replay.js';
+import { readPads, PadEdges } from '../core/Gamepad.js';
+import { inputMap, Action, HeldKeys } from '../core/InputMap.js';
 import { Player } from '../entities/Player.js';
 import { SpawnSystem } from '../systems/SpawnSystem.js';
 import { ScoreSystem } from '../systems/ScoreSystem.js';
 import { ParticleSystem } from '../systems/ParticleSystem.js';
+import { BossSystem } from '../systems/BossSystem.js';
+import { PowerUpSystem } from '../systems/PowerUpSystem.js';
+import { GrazeSystem } from '../systems/GrazeSystem.js';
+import { BossHud } from '../ui/BossHud.js';
+import { PowerUpHud } from '../ui/PowerUpHud.js';
+import { ComboHud } from '../ui/ComboHud.js';
+import { TimerHud } from '../ui/TimerHud.js';
+import { DebugOverlay } from '../ui/DebugOverlay.js';
+import { TouchControls, TouchScheme } from '../ui/TouchControls.js';
+import { isMobile } from '../ui/helpers.js';
 import { renderPixelArt } from '../core/PixelRenderer.js';
 import { CYBER } from '../sprites/palette.js';
 import { bgTiles, glitchFragment, circuitNode } from '../sprites/tiles.js';
@@ -15,13 +34,58 @@ export class GameScene extends Phaser.Scene {
     super('GameScene');
   }
 
+  /**
+   * @param {{ replay?: object }} [data] - Pass a replay to watch it instead of playing
+   */
+  init(data) {
+    this.replay = (data && data.replay) || null;
+  }
+
   create() {
+    // A replay plays in the worlds it recorded, whatever the window does
+    if (this.replay) {
+      layout.lock(this.replay.width ? { width: this.replay.width, height: this.replay.height } : null);
+    }
+
     gameState.reset();
+
+    // Live runs record their inputs; replays re-run the recorded seed + inputs
+    // under the rules of the mode they were played in
+    this.replaySpeed = 1;
+    if (this.replay) {
+      this.rules = getRules(this.replay.mode || DEFAULT_MODE);
+      rng.setSeed(this.replay.seed);
+      gameState.seed = rng.seed;
+      gameState.replaying = true;
+      this._replayReader = new ReplayReader(this.replay);
+      this._recorder = null;
+    } else {
+      this.rules = getRules(gameState.mode);
+      gameState.bestScore = profile.getBest(gameState.mode).score;
+      if (getMode(gameState.mode).daily) {
+        // Everyone playing today gets the same seed, hence the same spawns
+        gameState.dailyDate = dailyKey();
+        rng.setSeed(dailySeed(gameState.dailyDate));
+        gameState.seed = rng.seed;
+      } else {
+        gameState.seed = rng.beginRun();
+      }
+      this._replayReader = null;
+      this._recorder = new ReplayRecorder(gameState.seed, gameState.mode);
+    }
     this.cameras.main.setBackgroundColor(COLORS.BG);
 
+    // Fixed-step simulation: physics is stepped manually once per tick
+    simClock.reset();
+    this.physics.disableUpdate();
+    this.physics.world.setBounds(0, 0, GAME.WIDTH, GAME.HEIGHT);
+    this._interpolator = new Interpolator();
+    // Reused every tick: sprites to interpolate, broadphase results
+    this._interpolated = [];
+    this._nearby = [];
+
     // Mobile detection
-    this.isMobile = this.sys.game.device.os.android ||
-      this.sys.game.device.os.iOS || this.sys.game.device.os.iPad;
+    this.isMobile = isMobile(this);
 
     // --- Background tiles and decorations ---
     this._createBackground();
@@ -29,50 +93,70 @@ export class GameScene extends Phaser.Scene {
     // Player (centered)
     this.player = new Player(this);
 
-    // Score system
+    // Score system (points and the combo chain)
     this.scoreSystem = new ScoreSystem();
 
     // Spawn system (enemies + fragments)
     this.spawnSystem = new SpawnSystem(
       this,
-      () => this.player.sprite
+      () => this.player.sprite,
+      this.rules
     );
 
-    // Keyboard input
-    this.cursors = this.input.keyboard.createCursorKeys();
-    this.wasd = this.input.keyboard.addKeys({
-      up: Phaser.Input.Keyboard.KeyCodes.W,
-      left: Phaser.Input.Keyboard.KeyCodes.A,
-      down: Phaser.Input.Keyboard.KeyCodes.S,
-      right: Phaser.Input.Keyboard.KeyCodes.D,
-    });
+    // Boss encounters at survival milestones
+    this.bossSystem = new BossSystem(this, this.spawnSystem, this.scoreSystem);
 
-    // Touch/pointer input state
-    this.pointerActive = false;
-    this.pointerX = 0;
-    this.pointerY = 0;
+    // Power-up pickups (shield, EMP, magnet, phase, score doubler)
+    this.powerUpSystem = new PowerUpSystem(this, this.spawnSystem, this.player, this.rules);
 
-    // Touch input: player moves toward pointer when held down
-    this.input.on('pointerdown', (pointer) => {
-      this.pointerActive = true;
-      this.pointerX = pointer.x;
-      this.pointerY = pointer.y;
-    });
+    // Near-miss grazes (score, combo time, sparks)
+    this.grazeSystem = new GrazeSystem(this.spawnSystem, this.player, this.scoreSystem, this.rules);
 
-    this.input.on('pointermove', (pointer) => {
-      if (pointer.isDown) {
-        this.pointerActive = true;
-        this.pointerX = pointer.x;
-        this.pointerY = pointer.y;
-      }
-    });
+    // Keyboard input: movement keys come from the input map
+    this.heldKeys = new HeldKeys(this);
 
-    this.input.on('pointerup', () => {
-      this.pointerActive = false;
+    // Dash: the DASH action (Shift / Space by default), or double-tap.
+    // Presses are latched until the next simulation tick reads them, so a
+    // tap between ticks is never lost.
+    this._dashQueued = false;
+    this._lastTap = null;
+    this.input.keyboard.on('keydown', (event) => this._handleKey(event));
+
+    // Gamepad: stick/D-pad are read every tick; buttons are edge-triggered
+    // once per frame like key presses. Pulling the controller pauses.
+    this._padEdges = new PadEdges();
+    if (this.input.gamepad) {
+      this.input.gamepad.on('disconnected', () => this.pauseGame());
+    }
+
+    // Touch/pointer steering. On touch devices the scheme, sensitivity and
+    // layout come from Settings (with a second pointer for the DASH button);
+    // the mouse always steers toward the cursor. Presses on HUD buttons like
+    // pause don't steer the player.
+    const { touchScheme, touchSensitivity, touchHand } = profile.data.settings;
+    if (this.isMobile && !this.replay) {
+      this.input.addPointer(1);
+      this.touchControls = new TouchControls(this, this.player, {
+        scheme: touchScheme,
+        sensitivity: touchSensitivity,
+        hand: touchHand,
+        onDash: () => { this._dashQueued = true; },
+      });
+    } else {
+      this.touchControls = new TouchControls(this, this.player, { scheme: TouchScheme.FOLLOW });
+    }
+    this.input.on('pointerdown', (pointer, currentlyOver) => {
+      if (currentlyOver.length === 0) this._handleTap(pointer);
     });
 
     // Particle system (listens to EventBus for all visual effects)
     this.particleSystem = new ParticleSystem(this);
+    this.bossHud = new BossHud(this);
+    this.powerUpHud = new PowerUpHud(this, this.powerUpSystem);
+    this.comboHud = new ComboHud(this, this.scoreSystem);
+    this.timerHud = this.rules.timeLimit > 0 ? new TimerHud(this, this.spawnSystem, this.rules.timeLimit) : null;
+    // Hitboxes, homing lines, spawn markers and live stats (` key or ?debug)
+    this.debugOverlay = new DebugOverlay(this);
 
     // Ambient floating particles (data flowing through cyberspace)
     this._createAmbientParticles();
@@ -82,6 +166,29 @@ export class GameScene extends Phaser.Scene {
     this._trailSprites = [];
     this._trailTimer = 0;
 
+    // Dash cooldown ring around the player
+    this._dashIndicator = this.add.graphics().setDepth(5);
+
+    if (this.replay) {
+      this._createReplayHud();
+    }
+
+    // --- Pause: Esc/PAUSE action, on-screen button, auto-pause when the tab loses focus ---
+    this._createPauseButton();
+    this._onVisibilityChange = () => {
+      if (document.hidden) this.pauseGame();
+    };
+    this._onBlur = () => this.pauseGame();
+    document.addEventListener('visibilitychange', this._onVisibilityChange);
+    window.addEventListener('blur', this._onBlur);
+
+    // Resizes and rotations reflow the run in place
+    this._onLayoutChanged = this._handleLayoutChanged.bind(this);
+    eventBus.on(Events.LAYOUT_CHANGED, this._onLayoutChanged);
+
+    // Phaser does not call shutdown() on its own
+    this.events.once('shutdown', this.shutdown, this);
+
     gameState.started = true;
 
     // Fade in
@@ -105,37 +212,42 @@ export class GameScene extends Phaser.Scene {
     // Tile size in canvas pixels
     const tileSizePx = 16 * SPRITE_SCALE;
 
-    // Fill the game area with random tile variants
+    // Fill the game area with seeded tile variants
+    this._backgroundItems = [];
+    const random = rng.stream('background');
     const cols = Math.ceil(GAME.WIDTH / tileSizePx);
     const rows = Math.ceil(GAME.HEIGHT / tileSizePx);
 
     for (let r = 0; r < rows; r++) {
       for (let c = 0; c < cols; c++) {
-        const tileIdx = Math.floor(Math.random() * tileKeys.length);
+        const tileIdx = random.int(0, tileKeys.length - 1);
         const tile = this.add.image(
           c * tileSizePx + tileSizePx / 2,
           r * tileSizePx + tileSizePx / 2,
           tileKeys[tileIdx]
         );
         tile.setDepth(-10);
+        this._backgroundItems.push(tile);
       }
     }
 
     // Scatter 15-25 decorative elements at low alpha
-    const decorCount = 15 + Math.floor(Math.random() * 11);
+    const decorCount = random.int(15, 25);
     for (let i = 0; i < decorCount; i++) {
-      const isGlitch = Math.random() < 0.6;
+      const isGlitch = random.chance(0.6);
       const key = isGlitch ? 'decor-glitch' : 'decor-circuit-node';
-      const dx = Math.random() * GAME.WIDTH;
-      const dy = Math.random() * GAME.HEIGHT;
+      const dx = random.next() * GAME.WIDTH;
+      const dy = random.next() * GAME.HEIGHT;
       const decor = this.add.image(dx, dy, key);
-      decor.setAlpha(0.3 + Math.random() * 0.2);
+      decor.setAlpha(random.range(0.3, 0.5));
       decor.setDepth(-5);
+      this._backgroundItems.push(decor);
     }
   }
 
   _createAmbientParticles() {
     const cfg = EFFECTS.AMBIENT;
+    this._ambientParticles = [];
     for (let i = 0; i < cfg.COUNT; i++) {
       const x = Math.random() * GAME.WIDTH;
       const y = Math.random() * GAME.HEIGHT;
@@ -146,6 +258,7 @@ export class GameScene extends Phaser.Scene {
 
       const p = this.add.rectangle(x, y, Math.max(1, Math.round(size)), Math.max(1, Math.round(size)), color, alpha);
       p.setDepth(-2);
+      this._ambientParticles.push(p);
 
       // Drift slowly across the screen, wrap around
       const angle = Math.random() * Math.PI * 2;
@@ -165,18 +278,77 @@ export class GameScene extends Phaser.Scene {
     }
   }
 
+  /**
+   * Reflow the run for a new world size: everything in the arena keeps its
+   * position relative to the world, the background and ambient particles
+   * are laid out again and the HUD moves to the new edges. A live run
+   * records the change at its tick so its replay reflows at the same point
+   * (replays only get the changes they recorded, see _tick).
+   */
+  _handleLayoutChanged({ width, height, previousWidth, previousHeight, worldChanged }) {
+    if (!worldChanged) return;
+    if (this._recorder) this._recorder.resize(width, height);
+    const sx = width / previousWidth;
+    const sy = height / previousHeight;
+
+    // Scale simulated positions, not interpolated ones
+    this._interpolator.restore();
+    const move = (sprite) => {
+      sprite.setPosition(sprite.x * sx, sprite.y * sy);
+      if (sprite.body) sprite.body.updateFromGameObject();
+    };
+    move(this.player.sprite);
+    for (const enemy of this.spawnSystem.enemies) move(enemy.sprite);
+    for (const bobbing of [...this.spawnSystem.fragments, ...this.powerUpSystem.pickups]) {
+      move(bobbing.sprite);
+      bobbing.baseY *= sy;
+    }
+    const boss = this.bossSystem.boss;
+    if (boss) {
+      move(boss.sprite);
+      boss._startX *= sx;
+    }
+    this.spawnSystem.patterns.rescale(sx, sy);
+    this._interpolator.clear();
+    this.spawnSystem.invalidateGrid();
+    this._trailPositions = [];
+    this.physics.world.setBounds(0, 0, width, height);
+
+    for (const item of this._backgroundItems) item.destroy();
+    this._createBackground();
+    for (const p of this._ambientParticles) {
+      this.tweens.killTweensOf(p);
+      p.destroy();
+    }
+    this._createAmbientParticles();
+
+    this.bossHud.layout();
+    this.powerUpHud.layout();
+    this.comboHud.layout();
+    if (this.timerHud) this.timerHud.layout();
+    this.debugOverlay.layout();
+    this.touchControls.layout();
+    this._layoutPauseButton();
+    if (this._replayLabel) this._layoutReplayLabel();
+  }
+
   _updatePlayerTrail(delta) {
     if (!this.player || !this.player.sprite) return;
     const cfg = EFFECTS.PLAYER_TRAIL;
+    const dash = PLAYER.DASH;
+    const dashing = this.player.isDashing;
     this._trailTimer += delta;
 
-    if (this._trailTimer >= cfg.UPDATE_INTERVAL) {
+    // Dashing captures every tick into a longer streak
+    if (this._trailTimer >= (dashing ? 0 : cfg.UPDATE_INTERVAL)) {
       this._trailTimer = 0;
       this._trailPositions.unshift({ x: this.player.sprite.x, y: this.player.sprite.y });
-      if (this._trailPositions.length > cfg.LENGTH) {
-        this._trailPositions.pop();
-      }
     }
+    // After a dash the streak shrinks back one afterimage per tick
+    if (this._trailPositions.length > (dashing ? dash.TRAIL_LENGTH : cfg.LENGTH)) {
+      this._trailPositions.pop();
+    }
+    const streak = dashing || this._trailPositions.length > cfg.LENGTH;
 
     // Ensure we have enough trail sprites
     while (this._trailSprites.length < this._trailPositions.length) {
@@ -189,8 +361,11 @@ export class GameScene extends Phaser.Scene {
     for (let i = 0; i < this._trailSprites.length; i++) {
       if (i < this._trailPositions.length) {
         const pos = this._trailPositions[i];
+        const alpha = streak
+          ? dash.TRAIL_ALPHA_START * (1 - i / dash.TRAIL_LENGTH)
+          : cfg.ALPHA_START - i * cfg.ALPHA_STEP;
         this._trailSprites[i].setPosition(pos.x, pos.y);
-        this._trailSprites[i].setAlpha(Math.max(0, cfg.ALPHA_START - i * cfg.ALPHA_STEP));
+        this._trailSprites[i].setAlpha(Math.max(0, alpha));
         this._trailSprites[i].setVisible(true);
       } else {
         this._trailSprites[i].setVisible(false);
@@ -198,61 +373,255 @@ export class GameScene extends Phaser.Scene {
     }
   }
 
+  /**
+   * Arc around the player that fills as the dash recharges (hidden when ready)
+   */
+  _updateDashIndicator() {
+    const g = this._dashIndicator;
+    g.clear();
+
+    const player = this.player;
+    if (player.canDash || gameState.gameOver) return;
+
+    const cfg = PLAYER.DASH;
+    const progress = 1 - player.dashCooldown / cfg.COOLDOWN;
+    const radius = player.sprite.displayWidth / 2 + cfg.INDICATOR_GAP;
+    const start = -Math.PI / 2;
+
+    g.lineStyle(cfg.INDICATOR_WIDTH, cfg.INDICATOR_COLOR, 0.15);
+    g.strokeCircle(player.sprite.x, player.sprite.y, radius);
+    g.lineStyle(cfg.INDICATOR_WIDTH, cfg.INDICATOR_COLOR, 0.8);
+    g.beginPath();
+    g.arc(player.sprite.x, player.sprite.y, radius, start, start + progress * Math.PI * 2);
+    g.strokePath();
+  }
+
+  /**
+   * Double-tap (or double-click) queues a dash
+   */
+  _handleTap(pointer) {
+    const cfg = PLAYER.DASH;
+    const last = this._lastTap;
+    if (last && pointer.downTime - last.time <= cfg.DOUBLE_TAP_WINDOW &&
+        Math.hypot(pointer.worldX - last.x, pointer.worldY - last.y) <= cfg.DOUBLE_TAP_SLOP) {
+      this._dashQueued = true;
+      this._lastTap = null;
+    } else {
+      this._lastTap = { time: pointer.downTime, x: pointer.worldX, y: pointer.worldY };
+    }
+  }
+
   update(time, delta) {
     if (gameState.gameOver) return;
 
-    // --- Input ---
+    this._pollGamepadButtons();
+    if (gameState.paused) return;
+
+    // Put sprites back at their simulated positions before ticking
+    this._interpolator.restore();
+
+    const ticks = simClock.consume(delta * this.replaySpeed);
+    this._runTicks(ticks);
+
+    // Draw between the last two simulated states (a death freezes the
+    // sprites exactly where the collision happened)
+    if (!gameState.gameOver) {
+      this._interpolator.apply(simClock.alpha);
+    }
+    this._updateDashIndicator();
+    this.powerUpHud.update();
+    this.comboHud.update();
+    if (this.timerHud) this.timerHud.update();
+    this.debugOverlay.update(delta);
+  }
+
+  /**
+   * Advance the simulation by an exact duration, independent of render
+   * frames. Used by window.advanceTime for frame-exact tests.
+   * @param {number} ms
+   */
+  advanceSimulation(ms) {
+    if (gameState.gameOver) return;
+    this._interpolator.restore();
+    this._runTicks(simClock.advance(ms));
+    if (!gameState.gameOver) {
+      this._interpolator.apply(simClock.alpha);
+    }
+    this._updateDashIndicator();
+    this.powerUpHud.update();
+    this.comboHud.update();
+    if (this.timerHud) this.timerHud.update();
+    this.debugOverlay.update(ms);
+  }
+
+  _runTicks(ticks) {
+    for (let i = 0; i < ticks; i++) {
+      this._tick(SIM.TICK_MS);
+      if (gameState.gameOver) break;
+    }
+  }
+
+  /**
+   * Read keyboard/pointer input into a quantized movement vector plus the
+   * buttons pressed since the last tick.
+   * @param {number} dt - tick length in ms
+   */
+  _readInput(dt) {
     let inputX = 0;
     let inputY = 0;
 
-    // Keyboard: WASD / arrows
-    const left = this.cursors.left.isDown || this.wasd.left.isDown;
-    const right = this.cursors.right.isDown || this.wasd.right.isDown;
-    const up = this.cursors.up.isDown || this.wasd.up.isDown;
-    const down = this.cursors.down.isDown || this.wasd.down.isDown;
-
-    if (left) inputX -= 1;
-    if (right) inputX += 1;
-    if (up) inputY -= 1;
-    if (down) inputY += 1;
-
-    // Touch/pointer: override keyboard if pointer is active
-    if (this.pointerActive) {
-      const dx = this.pointerX - this.player.sprite.x;
-      const dy = this.pointerY - this.player.sprite.y;
-      const dist = Math.sqrt(dx * dx + dy * dy);
-
-      // Only move if pointer is far enough from player (dead zone)
-      const deadZone = PLAYER.SIZE * 2;
-      if (dist > deadZone) {
-        inputX = dx / dist;
-        inputY = dy / dist;
-      } else {
-        // Close enough, stop moving
-        inputX = 0;
-        inputY = 0;
+    // Keyboard: bound movement keys (WASD / arrows by default)
+    if (this.heldKeys.isDown(Action.MOVE_LEFT)) inputX -= 1;
+    if (this.heldKeys.isDown(Action.MOVE_RIGHT)) inputX += 1;
+    if (this.heldKeys.isDown(Action.MOVE_UP)) inputY -= 1;
+    if (this.heldKeys.isDown(Action.MOVE_DOWN)) inputY += 1;
+
+    // Gamepad: analog stick (speed follows the tilt), else the D-pad
+    const pad = readPads(this, profile.data.settings.deadZone);
+    if (pad.x !== 0 || pad.y !== 0) {
+      inputX = pad.x;
+      inputY = pad.y;
+    } else if (pad.dpadX !== 0 || pad.dpadY !== 0) {
+      inputX = pad.dpadX;
+      inputY = pad.dpadY;
+    }
+
+    // Touch/pointer: overrides keyboard and gamepad while steering
+    const touch = this.touchControls.read(dt);
+    if (touch) {
+      inputX = touch.x;
+      inputY = touch.y;
+    }
+
+    const buttons = this._dashQueued ? Buttons.DASH : 0;
+    this._dashQueued = false;
+
+    return quantizeInput(inputX, inputY, buttons);
+  }
+
+  /**
+   * Key presses for actions: dash is latched for the next tick, pause.
+   * In replays Esc skips to the end instead (see _createReplayHud).
+   */
+  _handleKey(event) {
+    if (event.repeat) return;
+    if (inputMap.matches(Action.PAUSE, event) || (event.code === 'Escape' && !this.replay)) {
+      this.pauseGame();
+    } else if (!this.replay && inputMap.matches(Action.DASH, event)) {
+      this._dashQueued = true;
+    }
+  }
+
+  /**
+   * Gamepad buttons pressed since the last frame, handled like key presses.
+   */
+  _pollGamepadButtons() {
+    const pressed = this._padEdges.update(readPads(this, 0).buttons);
+    if (this.replay) return;
+    if (pressed(inputMap.pad(Action.DASH))) this._dashQueued = true;
+    if (pressed(inputMap.pad(Action.PAUSE))) this.pauseGame();
+  }
+
+  /**
+   * One fixed simulation step: input, movement, spawning, acceleration,
+   * physics and collision.
+   * @param {number} dt - tick length in ms
+   */
+  _tick(dt) {
+    // Replays change world where the run was resized
+    if (this._replayReader) {
+      let world;
+      while ((world = this._replayReader.nextResize())) layout.setWorld(world.width, world.height);
+    }
+
+    const bossSprite = this.bossSystem.getSprite();
+    const interpolated = this._interpolated;
+    interpolated.length = 0;
+    interpolated.push(this.player.sprite);
+    this.spawnSystem.getEnemySprites(interpolated);
+    if (bossSprite) interpolated.push(bossSprite);
+    this._interpolator.capture(interpolated);
+
+    // --- Input (recorded live, or read back from the replay) ---
+    let input;
+    if (this._replayReader) {
+      input = this._replayReader.next();
+      if (!input) {
+        this.endReplay();
+        return;
       }
+    } else {
+      input = this._readInput(dt);
+      this._recorder.record(input.qx, input.qy, input.buttons);
+    }
+
+    this.player.update(input.x, input.y, dt, (input.buttons & Buttons.DASH) !== 0, input.proportional);
+
+    // --- Spawn system tick (timers, acceleration, homing, off-screen cleanup) ---
+    this.spawnSystem.update(dt);
+    if (this.rules.bosses) this.bossSystem.update(dt);
+    if (this.rules.powerUps) this.powerUpSystem.update(dt);
+    this.scoreSystem.update(dt);
+
+    // --- Time limit (Time Attack): the run finishes rather than dies ---
+    if (this.rules.timeLimit > 0 && this.spawnSystem.elapsedTime >= this.rules.timeLimit) {
+      this.finishRun();
+      return;
     }
 
-    this.player.update(inputX, inputY);
+    // --- Physics: exactly one arcade step per tick ---
+    this.physics.world.singleStep();
+    this.spawnSystem.invalidateGrid();
+
+    // Broadphase: only enemies and fragments near the player are tested
+    const playerBody = this.player.sprite.body;
+    const px = playerBody.center.x;
+    const py = playerBody.center.y;
+    const nearby = this._nearby;
 
     // --- Player trail ---
-    this._updatePlayerTrail(delta || 16);
+    this._updatePlayerTrail(dt);
+
+    // --- Collision: player vs enemies (and the boss core); dashing grants
+    // i-frames, phase passes through code blocks, a shield charge absorbs a hit ---
+    if (!this.player.isInvulnerable) {
+      const powerUps = this.powerUpSystem;
+      nearby.length = 0;
+      for (const enemy of this.spawnSystem.enemiesNear(px, py, playerBody.halfWidth, nearby)) {
+        if (powerUps.canPassThrough(enemy)) continue;
+        if (this.physics.overlap(this.player.sprite, enemy.sprite)) {
+          if (powerUps.absorbHit()) {
+            this.spawnSystem.removeEnemy(enemy);
+            break;
+          }
+          this.triggerGameOver(enemy.type);
+          return;
+        }
+      }
 
-    // --- Spawn system update (clean up off-screen enemies, update homing) ---
-    this.spawnSystem.update();
+      const boss = this.bossSystem.getSprite();
+      if (boss && !this.player.isInvulnerable && this.physics.overlap(this.player.sprite, boss)) {
+        if (!powerUps.absorbHit()) {
+          this.triggerGameOver(this.bossSystem.boss.type);
+          return;
+        }
+      }
+    }
 
-    // --- Collision: player vs enemies ---
-    const enemySprites = this.spawnSystem.getEnemySprites();
-    for (const enemySprite of enemySprites) {
-      if (this.physics.overlap(this.player.sprite, enemySprite)) {
-        this.triggerGameOver();
-        return;
+    // --- Grazes: closest approach of every enemy that did not hit ---
+    this.grazeSystem.update();
+
+    // --- Overlap: player vs power-ups ---
+    const pickups = this.powerUpSystem.pickups;
+    for (let i = pickups.length - 1; i >= 0; i--) {
+      if (this.physics.overlap(this.player.sprite, pickups[i].sprite)) {
+        this.powerUpSystem.collect(pickups[i]);
       }
     }
 
     // --- Overlap: player vs fragments ---
-    const fragments = this.spawnSystem.fragments;
+    nearby.length = 0;
+    const fragments = this.spawnSystem.fragmentsNear(px, py, playerBody.halfWidth, nearby);
     for (let i = fragments.length - 1; i >= 0; i--) {
       const fragment = fragments[i];
       if (this.physics.overlap(this.player.sprite, fragment.sprite)) {
@@ -262,8 +631,11 @@ export class GameScene extends Phaser.Scene {
   }
 
   collectFragment(fragment) {
-    // Add score
-    this.scoreSystem.onAddScore(1);
+    // Chain the combo and add score (doubled while the score doubler is active)
+    const points = this.scoreSystem.onFragmentCollected(this.powerUpSystem.scoreMultiplier);
+
+    // Fragments collected next to a boss expose its core
+    this.bossSystem.onFragmentCollected(fragment.sprite.x, fragment.sprite.y);
 
     // Trigger slowdown
     this.spawnSystem.applySlowdown();
@@ -272,6 +644,7 @@ export class GameScene extends Phaser.Scene {
     eventBus.emit(Events.FRAGMENT_COLLECTED, {
       x: fragment.sprite.x,
       y: fragment.sprite.y,
+      points,
       score: gameState.score,
     });
 
@@ -279,33 +652,246 @@ export class GameScene extends Phaser.Scene {
     this.spawnSystem.removeFragment(fragment);
   }
 
-  triggerGameOver() {
+  /**
+   * End the run.
+   * @param {string|null} [cause] - enemy or boss type that hit the player
+   */
+  triggerGameOver(cause = null) {
     if (gameState.gameOver) return;
     gameState.gameOver = true;
+    gameState.deathCause = cause;
 
     // Stop player
     this.player.sprite.body.setVelocity(0, 0);
 
-    eventBus.emit(Events.PLAYER_DIED);
+    // Keep the recording so the run can be watched from the game over screen
+    // (unless window.playPattern changed the run behind its back), and fold
+    // the run into the saved profile
+    if (this._recorder) {
+      gameState.lastReplay = gameState.patternsForced ? null : this._recorder.finish({
+        score: gameState.score,
+        survivalTime: gameState.survivalTime,
+      });
+
+      const records = profile.recordRun({
+        score: gameState.score,
+        survivalTime: gameState.survivalTime,
+        fragments: gameState.fragmentsCollected,
+        seed: gameState.seed,
+        mode: gameState.mode,
+        cause,
+        peakSpeed: gameState.currentSpeedMultiplier,
+      });
+      gameState.newBestScore = records.newBestScore;
+      gameState.newBestTime = records.newBestTime;
+      if (gameState.dailyDate) {
+        gameState.dailyResult = profile.recordDaily(gameState.dailyDate, {
+          score: gameState.score,
+          survivalTime: gameState.survivalTime,
+          seed: gameState.seed,
+        });
+      }
+      // Repeat Daily attempts are practice and stay off the table, and so do
+      // runs with hand-started patterns
+      if (!gameState.patternsForced && (!gameState.dailyResult || gameState.dailyResult.scored)) {
+        gameState.leaderboardRank = profile.leaderboardRank(gameState.mode, {
+          score: gameState.score,
+          survivalTime: gameState.survivalTime,
+        });
+      }
+    }
+
+    if (!gameState.finished) {
+      eventBus.emit(Events.PLAYER_DIED, { cause });
+    }
     eventBus.emit(Events.GAME_OVER, {
       score: gameState.score,
       survivalTime: gameState.survivalTime,
+      cause,
+      finished: gameState.finished,
     });
 
     // Brief pause before transitioning
-    this.time.delayedCall(400, () => {
-      this.spawnSystem.destroy();
-      this.scene.start('GameOverScene');
+    this.time.delayedCall(400, () => this._toGameOver());
+  }
+
+  /**
+   * End the run by the mode's rules (time limit, ending a Zen session from
+   * the pause menu) instead of a hit.
+   */
+  finishRun() {
+    if (gameState.gameOver) return;
+    gameState.finished = true;
+    this.triggerGameOver(null);
+  }
+
+  /**
+   * Stop watching a replay (inputs exhausted or skipped with Esc).
+   */
+  endReplay() {
+    if (gameState.gameOver || !this.replay) return;
+    gameState.gameOver = true;
+    this.player.sprite.body.setVelocity(0, 0);
+    eventBus.emit(Events.GAME_OVER, {
+      score: gameState.score,
+      survivalTime: gameState.survivalTime,
     });
+    this._toGameOver();
+  }
+
+  _toGameOver() {
+    this.powerUpSystem.destroy();
+    this.bossSystem.destroy();
+    this.spawnSystem.destroy();
+    this.scene.start('GameOverScene');
+  }
+
+  // --- Pause ---
+
+  _createPauseButton() {
+    const size = UI.MIN_TOUCH;
+    const margin = size * 0.4;
+    const btn = this.add.container(0, 0);
+
+    const g = this.add.graphics();
+    g.fillStyle(0x000000, 0.35);
+    g.fillRoundedRect(-size / 2, -size / 2, size, size, UI.BTN_RADIUS / 2);
+    g.fillStyle(0xffffff, 0.8);
+    const barW = size * 0.14;
+    const barH = size * 0.45;
+    g.fillRect(-barW * 1.6, -barH / 2, barW, barH);
+    g.fillRect(barW * 0.6, -barH / 2, barW, barH);
+    btn.add(g);
+
+    btn.setSize(size, size);
+    btn.setDepth(200);
+    btn.setInteractive({ useHandCursor: true });
+    btn.on('pointerup', () => this.pauseGame());
+    this._pauseButton = btn;
+    this._layoutPauseButton();
+  }
+
+  /** Top-right corner */
+  _layoutPauseButton() {
+    const size = UI.MIN_TOUCH;
+    const margin = size * 0.4;
+    this._pauseButton.setPosition(GAME.WIDTH - margin - size / 2, margin + size / 2);
+  }
+
+  /**
+   * Freeze the run (update loop, physics, tweens, timers, music) and show
+   * the pause overlay.
+   */
+  pauseGame() {
+    if (gameState.paused || gameState.gameOver || !gameState.started) return;
+    gameState.paused = true;
+    this.touchControls.release();
+
+    this.scene.pause();
+    this.scene.launch('PauseScene');
+    eventBus.emit(Events.GAME_PAUSED);
+  }
+
+  resumeGame() {
+    if (!gameState.paused) return;
+    gameState.paused = false;
+
+    // Keys released while paused would otherwise stay "down"; the button
+    // that picked RESUME must not dash
+    this.heldKeys.reset();
+    this._padEdges.reset();
+    this._dashQueued = false;
+
+    this.scene.stop('PauseScene');
+    this.scene.resume();
+    eventBus.emit(Events.GAME_RESUMED);
+  }
+
+  // --- Replay HUD (speed controls) ---
+
+  _createReplayHud() {
+    const fontSize = Math.round(GAME.HEIGHT * UI.SMALL_RATIO);
+    this._replayFontSize = fontSize;
+    this._replayLabel = this.add.text(0, 0, '', {
+      fontSize: fontSize + 'px',
+      fontFamily: UI.FONT,
+      color: COLORS.SURVIVAL_TEXT,
+      backgroundColor: 'rgba(0,0,0,0.5)',
+      padding: { x: fontSize * 0.6, y: fontSize * 0.3 },
+    }).setOrigin(0.5).setDepth(200);
+    this._layoutReplayLabel();
+    this._updateReplayLabel();
+
+    // Tap the label to cycle speeds
+    this._replayLabel.setInteractive({ useHandCursor: true });
+    this._replayLabel.on('pointerdown', () => {
+      const idx = REPLAY_SPEEDS.indexOf(this.replaySpeed);
+      this.setReplaySpeed(REPLAY_SPEEDS[(idx + 1) % REPLAY_SPEEDS.length]);
+    });
+
+    // Number keys pick a speed directly, Esc skips to the end
+    const keys = ['ONE', 'TWO', 'THREE', 'FOUR'];
+    keys.forEach((key, i) => {
+      this.input.keyboard.on(`keydown-${key}`, () => this.setReplaySpeed(REPLAY_SPEEDS[i]));
+    });
+    this.input.keyboard.on('keydown-ESC', () => this.endReplay());
+  }
+
+  /** Bottom centre */
+  _layoutReplayLabel() {
+    this._replayLabel.setPosition(GAME.WIDTH / 2, GAME.HEIGHT - this._replayFontSize * 1.5);
+  }
+
+  setReplaySpeed(speed) {
+    if (!this.replay) return;
+    this.replaySpeed = speed;
+    this._updateReplayLabel();
+  }
+
+  _updateReplayLabel() {
+    this._replayLabel.setText(`REPLAY  ${this.replaySpeed}x   [1-4] speed   [Esc] skip`);
   }
 
   shutdown() {
     // Clean up when scene is stopped
+    gameState.paused = false;
+    document.removeEventListener('visibilitychange', this._onVisibilityChange);
+    window.removeEventListener('blur', this._onBlur);
+    eventBus.off(Events.LAYOUT_CHANGED, this._onLayoutChanged);
+    if (this.replay) layout.unlock();
+
+    if (this.powerUpSystem) {
+      this.powerUpSystem.destroy();
+    }
+    if (this.bossSystem) {
+      this.bossSystem.destroy();
+    }
     if (this.spawnSystem) {
       this.spawnSystem.destroy();
     }
     if (this.particleSystem) {
       this.particleSystem.destroy();
     }
+    if (this.bossHud) {
+      this.bossHud.destroy();
+    }
+    if (this.powerUpHud) {
+      this.powerUpHud.destroy();
+    }
+    if (this.comboHud) {
+      this.comboHud.destroy();
+    }
+    if (this.timerHud) {
+      this.timerHud.destroy();
+    }
+    if (this.debugOverlay) {
+      this.debugOverlay.destroy();
+    }
+    if (this.grazeSystem) {
+      this.grazeSystem.destroy();
+    }
+    if (this.scoreSystem) {
+      this.scoreSystem.destroy();
+    }
   }
 }
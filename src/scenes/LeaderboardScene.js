@@ -0,0 +1,160 @@
+import Phaser from 'phaser';
+import { GAME, COLORS, UI, TRANSITION } from '../core/Constants.js';
+import { eventBus, Events } from '../core/EventBus.js';
+import { gameState } from '../core/GameState.js';
+import { profile, LEADERBOARD_SIZE } from '../core/Profile.js';
+import { GAME_MODES, getMode } from '../core/GameModes.js';
+import { validateReplay } from '../core/Replay.js';
+import { restartOnLayoutChange } from '../core/Layout.js';
+import { drawGradient, createButton, createTitle } from '../ui/helpers.js';
+import { MenuNavigator } from '../ui/MenuNavigator.js';
+
+/**
+ * Local top-10 table per game mode. Entries that kept their replay can be
+ * selected to watch it.
+ */
+export class LeaderboardScene extends Phaser.Scene {
+  constructor() {
+    super('LeaderboardScene');
+  }
+
+  /**
+   * @param {{ returnTo?: string, mode?: string }} [data]
+   */
+  init(data) {
+    this.returnTo = (data && data.returnTo) || 'MenuScene';
+    this.mode = getMode((data && data.mode) || gameState.mode).key;
+  }
+
+  create() {
+    const w = GAME.WIDTH;
+    const h = GAME.HEIGHT;
+    const cx = w / 2;
+
+    restartOnLayoutChange(this);
+
+    this._transitioning = false;
+
+    drawGradient(this, w, h, COLORS.BG_TOP, COLORS.BG_BOTTOM);
+    createTitle(this, cx, h * 0.1, 'LEADERBOARD');
+
+    const modeButton = createButton(this, cx, h * 0.2, '', () => this.cycleMode(1));
+    modeButton.adjust = (dir) => this.cycleMode(dir);
+    this.modeButton = modeButton;
+
+    this.table = this.add.container(0, 0);
+    this.back = createButton(this, cx, h * 0.9, 'BACK', () => this.goBack());
+
+    // Replays that cannot be watched say why here
+    this.statusText = this.add.text(cx, h * 0.84, '', {
+      fontSize: Math.round(h * UI.SMALL_RATIO * 0.8) + 'px',
+      fontFamily: UI.FONT,
+      color: '#ff6666',
+    }).setOrigin(0.5);
+
+    this._drawTable();
+  }
+
+  cycleMode(dir) {
+    const idx = GAME_MODES.findIndex(m => m.key === this.mode);
+    this.mode = GAME_MODES[(idx + dir + GAME_MODES.length) % GAME_MODES.length].key;
+    this.statusText.setText('');
+    this._drawTable();
+    this.navigator.focus(0);
+  }
+
+  _drawTable() {
+    const w = GAME.WIDTH;
+    const h = GAME.HEIGHT;
+    const fontSize = Math.round(h * UI.SMALL_RATIO * 1.1);
+    const rowH = h * 0.052;
+    const top = h * 0.3;
+    const cols = { rank: w * 0.2, initials: w * 0.28, score: w * 0.5, time: w * 0.62, date: w * 0.76, play: w * 0.82 };
+
+    const arrows = GAME_MODES.length > 1 ? ['<  ', '  >'] : ['', ''];
+    this.modeButton.label.setText(`${arrows[0]}${getMode(this.mode).label}${arrows[1]}`);
+
+    this.table.removeAll(true);
+    const entries = profile.getLeaderboard(this.mode);
+    const rows = [];
+
+    const text = (x, y, str, color, originX = 0) => {
+      const t = this.add.text(x, y, str, {
+        fontSize: fontSize + 'px',
+        fontFamily: UI.FONT,
+        color,
+        fontStyle: 'bold',
+      }).setOrigin(originX, 0.5);
+      this.table.add(t);
+      return t;
+    };
+
+    for (let i = 0; i < LEADERBOARD_SIZE; i++) {
+      const y = top + i * rowH;
+      const entry = entries[i];
+      const color = entry ? (i === 0 ? COLORS.SCORE_GOLD : COLORS.UI_TEXT) : COLORS.MUTED_TEXT;
+
+      text(cols.rank, y, `${i + 1}.`, COLORS.MUTED_TEXT, 1);
+      text(cols.initials, y, entry ? entry.initials : '---', color);
+      text(cols.score, y, entry ? `${entry.score}` : '', color, 1);
+      text(cols.time, y, entry ? `${Math.floor(entry.survivalTime)}s` : '', COLORS.SURVIVAL_TEXT, 1);
+      text(cols.date, y, entry ? entry.date.slice(0, 10) : '', COLORS.MUTED_TEXT, 1);
+
+      if (entry && entry.replay) {
+        rows.push(this._replayLink(cols.play, y, entry, text));
+      }
+    }
+
+    if (entries.length === 0) {
+      text(w / 2, top + rowH * LEADERBOARD_SIZE / 2, 'No scores yet — go set one.', COLORS.MUTED_TEXT, 0.5);
+    }
+
+    // The focusable rows change with the mode, so start a fresh navigator
+    if (this.navigator) this.navigator.destroy();
+    this.navigator = new MenuNavigator(this, [this.modeButton, ...rows, this.back], {
+      onBack: () => this.goBack(),
+    });
+  }
+
+  /**
+   * "WATCH" link on a row whose replay was kept
+   */
+  _replayLink(x, y, entry, text) {
+    const link = text(x, y, 'WATCH', COLORS.MUTED_TEXT);
+    link.setInteractive({ useHandCursor: true });
+    link.setFocused = (focused) => link.setColor(focused ? COLORS.SURVIVAL_TEXT : COLORS.MUTED_TEXT);
+    link.activate = () => this.watch(entry);
+    link.on('pointerout', () => link.setFocused(false));
+    link.on('pointerup', () => this.watch(entry));
+    return link;
+  }
+
+  watch(entry) {
+    if (this._transitioning) return;
+    const stored = profile.loadReplay(entry);
+    if (!stored) {
+      this.statusText.setText('This replay is no longer stored');
+      return;
+    }
+    let replay;
+    try {
+      replay = validateReplay(stored);
+    } catch (err) {
+      this.statusText.setText(err.message);
+      return;
+    }
+    this._transitioning = true;
+
+    eventBus.emit(Events.GAME_RESTART);
+    this.cameras.main.fadeOut(TRANSITION.FADE_DURATION, 0, 0, 0);
+    this.cameras.main.once('camerafadeoutcomplete', () => {
+      this.scene.start('GameScene', { replay });
+    });
+  }
+
+  goBack() {
+    if (this._transitioning) return;
+    this._transitioning = true;
+    this.scene.start(this.returnTo);
+  }
+}
@@ -0,0 +1,173 @@
+import Phaser from 'phaser';
+import { GAME, COLORS, UI, TRANSITION, EFFECTS } from '../core/Constants.js';
+import { eventBus, Events } from '../core/EventBus.js';
+import { gameState } from '../core/GameState.js';
+import { profile } from '../core/Profile.js';
+import { GAME_MODES, getMode } from '../core/GameModes.js';
+import { dailyKey } from '../core/Daily.js';
+import { inputMap, Action, KEY_SLOTS, keyLabel, padLabel } from '../core/InputMap.js';
+import { restartOnLayoutChange } from '../core/Layout.js';
+import { drawGradient, createButton } from '../ui/helpers.js';
+import { MenuNavigator } from '../ui/MenuNavigator.js';
+
+export class MenuScene extends Phaser.Scene {
+  constructor() {
+    super('MenuScene');
+  }
+
+  /**
+   * @param {{ reflow?: boolean }} [data] - reflow: rebuilt after a resize
+   */
+  create(data) {
+    const w = GAME.WIDTH;
+    const h = GAME.HEIGHT;
+    const cx = w / 2;
+
+    restartOnLayoutChange(this);
+
+    this._transitioning = false;
+    gameState.started = false;
+    gameState.gameOver = false;
+
+    const reflow = Boolean(data && data.reflow);
+    if (!reflow) eventBus.emit(Events.MUSIC_MENU);
+
+    // --- Gradient background ---
+    drawGradient(this, w, h, COLORS.BG_TOP, COLORS.BG_BOTTOM);
+
+    // --- Title with glitch effect ---
+    const titleSize = Math.round(h * UI.TITLE_RATIO);
+    const title = this.add.text(cx, h * 0.15, 'MELTDOWN', {
+      fontSize: titleSize + 'px',
+      fontFamily: UI.FONT,
+      color: COLORS.SURVIVAL_TEXT,
+      fontStyle: 'bold',
+      shadow: { offsetX: 0, offsetY: 3, color: 'rgba(0,255,255,0.3)', blur: 12, fill: true },
+    }).setOrigin(0.5);
+
+    const gcfg = EFFECTS.GAMEOVER;
+    this.time.addEvent({
+      delay: gcfg.GLITCH_INTERVAL,
+      loop: true,
+      callback: () => {
+        const offset = (Math.random() - 0.5) * 2 * gcfg.GLITCH_OFFSET;
+        title.setX(cx + offset);
+        this.time.delayedCall(gcfg.GLITCH_DURATION, () => title.setX(cx));
+      },
+    });
+
+    const subtitleSize = Math.round(h * UI.SMALL_RATIO);
+    this.add.text(cx, h * 0.23, 'Hold on to what is still human.', {
+      fontSize: subtitleSize + 'px',
+      fontFamily: UI.FONT,
+      color: COLORS.MUTED_TEXT,
+      fontStyle: 'italic',
+    }).setOrigin(0.5);
+
+    // --- Buttons ---
+    const play = createButton(this, cx, h * 0.31, 'PLAY', () => this.startGame());
+
+    const mode = createButton(this, cx, h * 0.392, '', () => this.cycleMode(1));
+    mode.adjust = (dir) => this.cycleMode(dir);
+    this.modeButton = mode;
+
+    const scores = createButton(this, cx, h * 0.474, 'LEADERBOARD', () => this.openScreen('LeaderboardScene'));
+    const settings = createButton(this, cx, h * 0.556, 'SETTINGS', () => this.openScreen('SettingsScene'));
+    const stats = createButton(this, cx, h * 0.638, 'STATS', () => this.openScreen('StatsScene'));
+    const awards = createButton(this, cx, h * 0.72, 'ACHIEVEMENTS', () => this.openScreen('AchievementsScene'));
+    const credits = createButton(this, cx, h * 0.802, 'CREDITS', () => this.openScreen('CreditsScene'));
+
+    // Mode description under the buttons
+    this.modeDescription = this.add.text(cx, h * 0.885, '', {
+      fontSize: subtitleSize + 'px',
+      fontFamily: UI.FONT,
+      color: COLORS.UI_TEXT,
+    }).setOrigin(0.5);
+    this._refreshMode();
+
+    // --- Controls hint (visible before the first run) ---
+    this.add.text(cx, h * 0.95, this._controlsHint(), {
+      fontSize: Math.round(h * UI.SMALL_RATIO * 0.85) + 'px',
+      fontFamily: UI.FONT,
+      color: COLORS.MUTED_TEXT,
+      align: 'center',
+      wordWrap: { width: w * 0.9 },
+    }).setOrigin(0.5);
+
+    // Unreadable save data was backed up and replaced at boot; say so once
+    if (profile.recoveredFrom) {
+      this.add.text(cx, h * 0.29, 'Your save data could not be read and was reset (a backup was kept).', {
+        fontSize: Math.round(h * UI.SMALL_RATIO * 0.85) + 'px',
+        fontFamily: UI.FONT,
+        color: '#ff6666',
+      }).setOrigin(0.5);
+      profile.recoveredFrom = null;
+    }
+
+    this.navigator = new MenuNavigator(this, [play, mode, scores, settings, stats, awards, credits]);
+
+    if (!reflow) this.cameras.main.fadeIn(TRANSITION.FADE_DURATION, 0, 0, 0);
+  }
+
+  cycleMode(dir) {
+    const idx = GAME_MODES.findIndex(m => m.key === gameState.mode);
+    const next = GAME_MODES[(idx + dir + GAME_MODES.length) % GAME_MODES.length];
+    gameState.mode = next.key;
+    this._refreshMode();
+  }
+
+  _refreshMode() {
+    const mode = getMode(gameState.mode);
+    const arrows = GAME_MODES.length > 1 ? ['<  ', '  >'] : ['', ''];
+    this.modeButton.label.setText(`${arrows[0]}MODE: ${mode.label}${arrows[1]}`);
+    this.modeDescription.setText(mode.daily ? `${mode.description}  ${this._dailyStatus()}` : mode.description);
+  }
+
+  /**
+   * Controls line from the current bindings
+   */
+  _controlsHint() {
+    const moves = [Action.MOVE_UP, Action.MOVE_LEFT, Action.MOVE_DOWN, Action.MOVE_RIGHT];
+    const moveSets = [];
+    for (let slot = 0; slot < KEY_SLOTS; slot++) {
+      const codes = moves.map(a => inputMap.keySlots(a)[slot]);
+      if (codes.some(c => !c)) continue;
+      const labels = codes.map(keyLabel);
+      if (codes.every(c => c.startsWith('Arrow'))) moveSets.push('Arrows');
+      else if (labels.every(l => l.length === 1)) moveSets.push(labels.join(''));
+      else moveSets.push(labels.join(' '));
+    }
+    const list = (action, extra = []) => [
+      ...inputMap.keys(action).map(keyLabel),
+      ...inputMap.pad(action).slice(0, 1).map(padLabel),
+      ...extra,
+    ].join(' / ');
+
+    return `Move: ${[...moveSets, 'Stick', 'Touch'].join(' / ')}    Dash: ${list(Action.DASH, ['Double-tap'])}    ` +
+      `Collect gold fragments to slow time    Mute: ${list(Action.MUTE) || '—'}`;
+  }
+
+  _dailyStatus() {
+    const today = dailyKey();
+    const played = profile.getDaily(today);
+    const streak = profile.dailyStreak(today);
+    return played ? `(today: ${played.result.score} · streak ${streak})` : `(not played today · streak ${streak})`;
+  }
+
+  startGame() {
+    if (this._transitioning) return;
+    this._transitioning = true;
+
+    eventBus.emit(Events.GAME_START);
+    this.cameras.main.fadeOut(TRANSITION.FADE_DURATION, 0, 0, 0);
+    this.cameras.main.once('camerafadeoutcomplete', () => {
+      this.scene.start('GameScene');
+    });
+  }
+
+  openScreen(key) {
+    if (this._transitioning) return;
+    this._transitioning = true;
+    this.scene.start(key, { returnTo: 'MenuScene' });
+  }
+}
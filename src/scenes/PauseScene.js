@@ -0,0 +1,100 @@
+import Phaser from 'phaser';
+import { GAME, COLORS, UI } from '../core/Constants.js';
+import { eventBus, Events } from '../core/EventBus.js';
+import { readPads, PadEdges } from '../core/Gamepad.js';
+import { inputMap, Action, keyLabel, padLabel } from '../core/InputMap.js';
+import { restartOnLayoutChange } from '../core/Layout.js';
+import { createButton, createTitle } from '../ui/helpers.js';
+import { MenuNavigator } from '../ui/MenuNavigator.js';
+
+/**
+ * Overlay shown on top of the paused GameScene.
+ */
+export class PauseScene extends Phaser.Scene {
+  constructor() {
+    super('PauseScene');
+  }
+
+  create() {
+    const w = GAME.WIDTH;
+    const h = GAME.HEIGHT;
+    const cx = w / 2;
+
+    restartOnLayoutChange(this);
+
+    this.scene.bringToTop();
+
+    // Dim the frozen game underneath
+    this.add.rectangle(cx, h / 2, w, h, COLORS.BG, 0.75);
+
+    createTitle(this, cx, h * 0.2, 'PAUSED', COLORS.SURVIVAL_TEXT);
+
+    // Modes without a way to lose (Zen) are ended from here
+    const endable = this.scene.get('GameScene').rules.endable;
+    const entries = [
+      ['RESUME', () => this.resumeGame()],
+      ['RESTART', () => this.restartGame()],
+      endable && ['END RUN', () => this.endRun()],
+      ['SETTINGS', () => this.openSettings()],
+      ['QUIT TO MENU', () => this.quitToMenu()],
+    ].filter(Boolean);
+    const spacing = h * (endable ? 0.11 : 0.12);
+    const top = h * (endable ? 0.34 : 0.38);
+    const buttons = entries.map(([label, cb], i) => createButton(this, cx, top + i * spacing, label, cb));
+
+    const resumeKeys = ['Escape', ...inputMap.keys(Action.PAUSE)].map(keyLabel);
+    const resumeButtons = inputMap.pad(Action.PAUSE).slice(0, 1).map(padLabel);
+    this.add.text(cx, h * 0.88, `${[...resumeKeys, ...resumeButtons].join(' / ')} to resume`, {
+      fontSize: Math.round(h * UI.SMALL_RATIO) + 'px',
+      fontFamily: UI.FONT,
+      color: COLORS.MUTED_TEXT,
+    }).setOrigin(0.5);
+
+    // The PAUSE action resumes, like it paused; RESTART restarts
+    this.input.keyboard.on('keydown', (event) => {
+      if (event.repeat) return;
+      if (inputMap.matches(Action.PAUSE, event)) this.resumeGame();
+      else if (inputMap.matches(Action.RESTART, event)) this.restartGame();
+    });
+    const edges = new PadEdges();
+    const pollPad = () => {
+      const pressed = edges.update(readPads(this, 0).buttons);
+      if (pressed(inputMap.pad(Action.PAUSE))) this.resumeGame();
+      else if (pressed(inputMap.pad(Action.RESTART))) this.restartGame();
+    };
+    this.events.on('update', pollPad);
+    this.events.once('shutdown', () => this.events.off('update', pollPad));
+    this.navigator = new MenuNavigator(this, buttons, {
+      onBack: () => this.resumeGame(),
+    });
+  }
+
+  resumeGame() {
+    this.scene.get('GameScene').resumeGame();
+  }
+
+  restartGame() {
+    // A replay restarts from its beginning rather than turning into a live run
+    const { replay } = this.scene.get('GameScene');
+    eventBus.emit(Events.GAME_RESTART);
+    // Restarting a paused scene stops it first, which runs its cleanup
+    this.scene.start('GameScene', replay ? { replay } : undefined);
+  }
+
+  endRun() {
+    const game = this.scene.get('GameScene');
+    // Game over runs on the game scene's clock, so let it tick again first
+    game.resumeGame();
+    game.finishRun();
+  }
+
+  openSettings() {
+    this.scene.sleep();
+    this.scene.launch('SettingsScene', { returnTo: 'PauseScene', overlay: true });
+  }
+
+  quitToMenu() {
+    this.scene.stop('GameScene');
+    this.scene.start('MenuScene');
+  }
+}
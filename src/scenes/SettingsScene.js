@@ -0,0 +1,190 @@
+import Phaser from 'phaser';
+import { GAME, COLORS, UI, GAMEPAD, TOUCH } from '../core/Constants.js';
+import { gameState } from '../core/GameState.js';
+import { profile } from '../core/Profile.js';
+import { inputMap } from '../core/InputMap.js';
+import { downloadJSON, pickJSONFile } from '../core/FileIO.js';
+import { restartOnLayoutChange } from '../core/Layout.js';
+import { setMuted } from '../audio/AudioBridge.js';
+import { drawGradient, createButton, createTitle, isMobile } from '../ui/helpers.js';
+import { TouchScheme, TOUCH_SCHEME_LABELS } from '../ui/TouchControls.js';
+import { MenuNavigator } from '../ui/MenuNavigator.js';
+
+export class SettingsScene extends Phaser.Scene {
+  constructor() {
+    super('SettingsScene');
+  }
+
+  /**
+   * @param {{ returnTo?: string, overlay?: boolean }} [data] - Scene to go
+   *   back to; overlay = launched on top of a sleeping scene (pause menu)
+   */
+  init(data) {
+    this.returnTo = (data && data.returnTo) || 'MenuScene';
+    this.overlay = !!(data && data.overlay);
+  }
+
+  create() {
+    const w = GAME.WIDTH;
+    const h = GAME.HEIGHT;
+    const cx = w / 2;
+
+    restartOnLayoutChange(this);
+
+    if (this.overlay) this.scene.bringToTop();
+
+    drawGradient(this, w, h, COLORS.BG_TOP, COLORS.BG_BOTTOM);
+
+    // Touch steering options only matter on touch devices
+    this.touch = isMobile(this);
+
+    // Buttons: [label, callback, adjust(dir)]. Left/right adjusts, click or
+    // Enter steps forward (wrapping around).
+    const specs = [
+      ['', () => this.toggleSound(), () => this.toggleSound()],
+      ['', () => this.adjustDeadZone(1, true), (dir) => this.adjustDeadZone(dir)],
+      ...(this.touch ? [
+        ['', () => this.cycleTouchScheme(1), (dir) => this.cycleTouchScheme(dir)],
+        ['', () => this.adjustSensitivity(1, true), (dir) => this.adjustSensitivity(dir)],
+        ['', () => this.toggleHand(), () => this.toggleHand()],
+      ] : []),
+      ['CONTROLS', () => this.openControls()],
+      ['EXPORT PROFILE', () => this.exportProfile()],
+      ['IMPORT PROFILE', () => this.importProfile()],
+    ];
+
+    // Centred around 0.47 of the height, tighter when the touch rows are in
+    const spacing = Math.min(0.09, 0.58 / (specs.length - 1));
+    const top = 0.47 - (spacing * (specs.length - 1)) / 2;
+    const bottom = top + spacing * (specs.length - 1);
+    createTitle(this, cx, h * Math.min(0.15, top - 0.09), 'SETTINGS');
+
+    const buttons = specs.map(([label, cb, adjust], i) => {
+      const button = createButton(this, cx, h * (top + i * spacing), label, cb);
+      if (adjust) button.adjust = adjust;
+      return button;
+    });
+    [this.soundButton, this.deadZoneButton] = buttons;
+    if (this.touch) [, , this.schemeButton, this.sensitivityButton, this.handButton] = buttons;
+    this._refreshAll();
+
+    this.statusText = this.add.text(cx, h * (bottom + 0.095), '', {
+      fontSize: Math.round(h * UI.SMALL_RATIO) + 'px',
+      fontFamily: UI.FONT,
+      color: COLORS.MUTED_TEXT,
+    }).setOrigin(0.5);
+
+    const back = createButton(this, cx, h * Math.max(0.85, bottom + 0.15), 'BACK', () => this.back());
+
+    this.navigator = new MenuNavigator(this, [...buttons, back], {
+      onBack: () => this.back(),
+    });
+  }
+
+  openControls() {
+    this.scene.start('ControlsScene', {
+      returnTo: 'SettingsScene',
+      returnData: { returnTo: this.returnTo, overlay: this.overlay },
+    });
+  }
+
+  exportProfile() {
+    downloadJSON('meltdown-profile.json', profile.toExport());
+    this._setStatus('Profile exported.');
+  }
+
+  async importProfile() {
+    try {
+      const file = await pickJSONFile();
+      if (!file) return;
+      profile.importData(file);
+      gameState.applyProfile(profile.data);
+      inputMap.load();
+      setMuted(gameState.isMuted);
+      this._refreshAll();
+      this._setStatus('Profile imported.');
+    } catch (err) {
+      this._setStatus(err.message, true);
+    }
+  }
+
+  _setStatus(message, isError = false) {
+    if (!this.statusText || !this.statusText.scene) return;
+    this.statusText.setColor(isError ? '#ff6666' : COLORS.MUTED_TEXT);
+    this.statusText.setText(message);
+  }
+
+  toggleSound() {
+    setMuted(!gameState.isMuted);
+    this._refreshSound();
+  }
+
+  _refreshSound() {
+    this.soundButton.label.setText(`SOUND: ${gameState.isMuted ? 'OFF' : 'ON'}`);
+  }
+
+  /**
+   * Step the dead zone by GAMEPAD.DEAD_ZONE_STEP, clamped (or wrapping
+   * around when `wrap` is set, for the click/A press).
+   */
+  adjustDeadZone(dir, wrap = false) {
+    const { DEAD_ZONE_MIN: min, DEAD_ZONE_MAX: max, DEAD_ZONE_STEP: step } = GAMEPAD;
+    let next = Math.round((profile.data.settings.deadZone + dir * step) / step) * step;
+    if (next > max + 1e-9) next = wrap ? min : max;
+    if (next < min - 1e-9) next = min;
+    profile.setSetting('deadZone', Math.round(next * 100) / 100);
+    this._refreshDeadZone();
+  }
+
+  _refreshDeadZone() {
+    const pct = Math.round(profile.data.settings.deadZone * 100);
+    this.deadZoneButton.label.setText(`<  STICK DEAD ZONE: ${pct}%  >`);
+  }
+
+  cycleTouchScheme(dir) {
+    const schemes = Object.values(TouchScheme);
+    const idx = schemes.indexOf(profile.data.settings.touchScheme);
+    profile.setSetting('touchScheme', schemes[(idx + dir + schemes.length) % schemes.length]);
+    this._refreshTouch();
+  }
+
+  /**
+   * Step touch sensitivity by TOUCH.SENSITIVITY_STEP, like adjustDeadZone.
+   */
+  adjustSensitivity(dir, wrap = false) {
+    const { SENSITIVITY_MIN: min, SENSITIVITY_MAX: max, SENSITIVITY_STEP: step } = TOUCH;
+    let next = Math.round((profile.data.settings.touchSensitivity + dir * step) / step) * step;
+    if (next > max + 1e-9) next = wrap ? min : max;
+    if (next < min - 1e-9) next = min;
+    profile.setSetting('touchSensitivity', Math.round(next * 100) / 100);
+    this._refreshTouch();
+  }
+
+  toggleHand() {
+    profile.setSetting('touchHand', profile.data.settings.touchHand === 'left' ? 'right' : 'left');
+    this._refreshTouch();
+  }
+
+  _refreshTouch() {
+    if (!this.touch) return;
+    const { touchScheme, touchSensitivity, touchHand } = profile.data.settings;
+    this.schemeButton.label.setText(`<  TOUCH: ${TOUCH_SCHEME_LABELS[touchScheme] || touchScheme}  >`);
+    this.sensitivityButton.label.setText(`<  SENSITIVITY: ${touchSensitivity.toFixed(2)}x  >`);
+    this.handButton.label.setText(`LAYOUT: ${touchHand === 'left' ? 'LEFT' : 'RIGHT'}-HANDED`);
+  }
+
+  _refreshAll() {
+    this._refreshSound();
+    this._refreshDeadZone();
+    this._refreshTouch();
+  }
+
+  back() {
+    if (this.overlay) {
+      this.scene.stop();
+      this.scene.wake(this.returnTo);
+    } else {
+      this.scene.start(this.returnTo);
+    }
+  }
+}
@@ -0,0 +1,202 @@
+import Phaser from 'phaser';
+import { GAME, COLORS, UI, PX } from '../core/Constants.js';
+import { gameState } from '../core/GameState.js';
+import { profile } from '../core/Profile.js';
+import { restartOnLayoutChange } from '../core/Layout.js';
+import { getEnemyDef } from '../entities/EnemyRegistry.js';
+import '../entities/enemyDefinitions.js';
+import { getBossDef } from '../entities/bossDefinitions.js';
+import { drawGradient, createButton, createTitle } from '../ui/helpers.js';
+import { MenuNavigator } from '../ui/MenuNavigator.js';
+
+const SPARKLINE_RUNS = 20;   // recent runs drawn in the score sparkline
+const MAX_CAUSES = 4;        // rows in the "killed by" breakdown
+
+function formatDuration(seconds) {
+  const s = Math.floor(seconds);
+  const m = Math.floor(s / 60);
+  return m > 0 ? `${m}m ${s % 60}s` : `${s}s`;
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+/**
+ * Display name for a death cause (enemy or boss type) from the run history
+ */
+function causeName(cause) {
+  for (const lookup of [getEnemyDef, getBossDef]) {
+    try {
+      return lookup(cause).name;
+    } catch (e) {
+      // not this kind of cause
+    }
+  }
+  return cause;
+}
+
+export class StatsScene extends Phaser.Scene {
+  constructor() {
+    super('StatsScene');
+  }
+
+  init(data) {
+    this.returnTo = (data && data.returnTo) || 'MenuScene';
+  }
+
+  create() {
+    const w = GAME.WIDTH;
+    const h = GAME.HEIGHT;
+    const cx = w / 2;
+
+    restartOnLayoutChange(this);
+
+    drawGradient(this, w, h, COLORS.BG_TOP, COLORS.BG_BOTTOM);
+    createTitle(this, cx, h * 0.1, 'STATS');
+
+    const { best, totals, history } = profile.data;
+    const rows = [
+      ['Best score', `${best.score}`],
+      ['Longest survival', `${Math.floor(best.survivalTime)}s`],
+      ['Runs played', `${totals.runs}`],
+      ['Fragments saved', `${totals.fragments}`],
+      ['Time survived', formatDuration(totals.survivalTime)],
+      ['Average score', history.length > 0 ? `${Math.round(average(history.map(r => r.score)))}` : '—'],
+      ['Average survival', history.length > 0 ? `${Math.floor(average(history.map(r => r.survivalTime)))}s` : '—'],
+      ['Top speed', history.length > 0 ? `x${Math.max(...history.map(r => r.peakSpeed)).toFixed(1)}` : '—'],
+      ['Last run', gameState.survivalTime > 0
+        ? `${gameState.score} pts · ${Math.floor(gameState.survivalTime)}s`
+        : '—'],
+    ];
+    this._drawRows(rows, h * 0.22);
+
+    this._drawSparkline(history.slice(-SPARKLINE_RUNS), w * 0.56, h * 0.22, w * 0.36, h * 0.2);
+    this._drawDeaths(totals.deaths, w * 0.56, h * 0.52, w * 0.36);
+
+    const back = createButton(this, cx, h * 0.87, 'BACK', () => this.back());
+    this.navigator = new MenuNavigator(this, [back], { onBack: () => this.back() });
+  }
+
+  _drawRows(rows, top) {
+    const w = GAME.WIDTH;
+    const h = GAME.HEIGHT;
+    const fontSize = Math.round(h * UI.BODY_RATIO * 0.85);
+    const rowH = fontSize * 1.7;
+
+    rows.forEach(([label, value], i) => {
+      const y = top + i * rowH;
+      this.add.text(w * 0.08, y, label, {
+        fontSize: fontSize + 'px',
+        fontFamily: UI.FONT,
+        color: COLORS.MUTED_TEXT,
+      }).setOrigin(0, 0.5);
+      this.add.text(w * 0.46, y, value, {
+        fontSize: fontSize + 'px',
+        fontFamily: UI.FONT,
+        color: COLORS.SCORE_GOLD,
+        fontStyle: 'bold',
+      }).setOrigin(1, 0.5);
+    });
+  }
+
+  _heading(x, y, label) {
+    this.add.text(x, y, label, {
+      fontSize: Math.round(GAME.HEIGHT * UI.SMALL_RATIO) + 'px',
+      fontFamily: UI.FONT,
+      color: COLORS.MUTED_TEXT,
+      letterSpacing: 3,
+    }).setOrigin(0, 0.5);
+  }
+
+  /**
+   * Line of recent scores, oldest on the left, latest run highlighted
+   */
+  _drawSparkline(runs, x, top, width, height) {
+    this._heading(x, top, `RECENT SCORES (LAST ${runs.length || SPARKLINE_RUNS})`);
+
+    const boxTop = top + GAME.HEIGHT * 0.03;
+    const g = this.add.graphics();
+    g.fillStyle(0x000000, 0.3);
+    g.fillRect(x, boxTop, width, height);
+
+    if (runs.length === 0) {
+      this.add.text(x + width / 2, boxTop + height / 2, 'No runs yet', {
+        fontSize: Math.round(GAME.HEIGHT * UI.SMALL_RATIO) + 'px',
+        fontFamily: UI.FONT,
+        color: COLORS.MUTED_TEXT,
+      }).setOrigin(0.5);
+      return;
+    }
+
+    const pad = 6 * PX;
+    const max = Math.max(1, ...runs.map(r => r.score));
+    const stepX = runs.length > 1 ? (width - pad * 2) / (runs.length - 1) : 0;
+    const points = runs.map((run, i) => ({
+      x: x + pad + (runs.length > 1 ? i * stepX : (width - pad * 2) / 2),
+      y: boxTop + height - pad - (run.score / max) * (height - pad * 2),
+    }));
+
+    g.lineStyle(Math.max(1, 2 * PX), 0x00ffff, 0.9);
+    if (points.length > 1) g.strokePoints(points);
+    g.fillStyle(0x00ffff, 1);
+    for (const p of points) g.fillCircle(p.x, p.y, 2 * PX);
+    const last = points[points.length - 1];
+    g.fillStyle(0xffd700, 1);
+    g.fillCircle(last.x, last.y, 3.5 * PX);
+
+    this.add.text(x + width, boxTop - 2 * PX, `max ${max}`, {
+      fontSize: Math.round(GAME.HEIGHT * UI.SMALL_RATIO * 0.8) + 'px',
+      fontFamily: UI.FONT,
+      color: COLORS.MUTED_TEXT,
+    }).setOrigin(1, 1);
+  }
+
+  /**
+   * Horizontal bars: which enemy types end runs most often
+   */
+  _drawDeaths(deaths, x, top, width) {
+    this._heading(x, top, 'KILLED BY');
+
+    const entries = Object.entries(deaths).sort((a, b) => b[1] - a[1]);
+    const fontSize = Math.round(GAME.HEIGHT * UI.SMALL_RATIO);
+    if (entries.length === 0) {
+      this.add.text(x, top + fontSize * 1.8, '—', {
+        fontSize: fontSize + 'px',
+        fontFamily: UI.FONT,
+        color: COLORS.MUTED_TEXT,
+      }).setOrigin(0, 0.5);
+      return;
+    }
+
+    const total = entries.reduce((sum, [, n]) => sum + n, 0);
+    const most = entries[0][1];
+    const rowH = fontSize * 2.2;
+    const barH = Math.max(3, Math.round(fontSize * 0.35));
+    const g = this.add.graphics();
+
+    entries.slice(0, MAX_CAUSES).forEach(([cause, count], i) => {
+      const y = top + fontSize * 1.6 + i * rowH;
+      this.add.text(x, y, causeName(cause), {
+        fontSize: fontSize + 'px',
+        fontFamily: UI.FONT,
+        color: COLORS.UI_TEXT,
+      }).setOrigin(0, 0.5);
+      this.add.text(x + width, y, `${count}  (${Math.round((count / total) * 100)}%)`, {
+        fontSize: fontSize + 'px',
+        fontFamily: UI.FONT,
+        color: COLORS.SCORE_GOLD,
+      }).setOrigin(1, 0.5);
+
+      const barY = y + fontSize * 0.75;
+      g.fillStyle(0xffffff, 0.1);
+      g.fillRect(x, barY, width, barH);
+      g.fillStyle(0xff3344, 0.85);
+      g.fillRect(x, barY, width * (count / most), barH);
+    });
+  }
+
+  back() {
+    this.scene.start(this.returnTo);
+  }
+}
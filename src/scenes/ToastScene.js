@@ -0,0 +1,168 @@
+import Phaser from 'phaser';
+import { GAME, COLORS, UI, TOAST } from '../core/Constants.js';
+import { eventBus, Events } from '../core/EventBus.js';
+import { profile } from '../core/Profile.js';
+
+// Controller names from the browser can be long ("Xbox 360 Controller
+// (XInput STANDARD GAMEPAD)")
+const PAD_NAME_LENGTH = 40;
+
+/**
+ * Always-running overlay that shows toasts (achievement unlocks, controllers
+ * plugged in or out, progress that could not be saved) on top of whatever scene is active. Launched once from BootScene; toasts queue and
+ * are shown one at a time.
+ */
+export class ToastScene extends Phaser.Scene {
+  constructor() {
+    super('ToastScene');
+  }
+
+  create() {
+    this._queue = [];
+    this._showing = false;
+    this._current = null;
+
+    this._onAchievement = ({ title, description }) => {
+      this.show({ heading: 'ACHIEVEMENT UNLOCKED', title, text: description });
+    };
+    eventBus.on(Events.ACHIEVEMENT_UNLOCKED, this._onAchievement);
+
+    // Saves that fail (storage full); one failing at boot came before this
+    // scene was listening
+    this._onSaveFailed = () => {
+      this.show({
+        heading: 'PROGRESS NOT SAVED',
+        title: 'Browser storage is full',
+        text: 'Scores and settings will be lost when you leave. Free up site storage to keep them.',
+        color: 0xff3344,
+      });
+    };
+    eventBus.on(Events.PROFILE_SAVE_FAILED, this._onSaveFailed);
+    if (profile.saveFailed) this._onSaveFailed();
+
+    // Being always active, this scene's gamepad plugin sees hot-plugs
+    // whichever scene is in front
+    if (this.input.gamepad) {
+      this.input.gamepad.on('connected', (pad) => this._padToast(pad, 'CONTROLLER CONNECTED'));
+      this.input.gamepad.on('disconnected', (pad) => this._padToast(pad, 'CONTROLLER DISCONNECTED'));
+    }
+
+    // Keep the toast on screen centred after a rotation
+    this._onLayoutChanged = () => {
+      if (this._current) this._current.setX(GAME.WIDTH / 2);
+    };
+    eventBus.on(Events.LAYOUT_CHANGED, this._onLayoutChanged);
+
+    this.events.once('shutdown', () => {
+      eventBus.off(Events.ACHIEVEMENT_UNLOCKED, this._onAchievement);
+      eventBus.off(Events.PROFILE_SAVE_FAILED, this._onSaveFailed);
+      eventBus.off(Events.LAYOUT_CHANGED, this._onLayoutChanged);
+    });
+  }
+
+  /**
+   * Queue a toast.
+   * @param {{ heading?: string, title: string, text?: string, color?: number }} toast
+   */
+  show(toast) {
+    this._queue.push(toast);
+    if (!this._showing) this._next();
+  }
+
+  _padToast(pad, heading) {
+    const name = (pad && pad.id) || 'Gamepad';
+    this.show({
+      heading,
+      title: name.length > PAD_NAME_LENGTH ? `${name.slice(0, PAD_NAME_LENGTH - 1)}…` : name,
+      color: 0x00ffff,
+    });
+  }
+
+  _next() {
+    const toast = this._queue.shift();
+    if (!toast) {
+      this._showing = false;
+      return;
+    }
+    this._showing = true;
+
+    // Overlays (pause, settings) bring themselves to the top; stay above them
+    this.scene.bringToTop();
+
+    const container = this._build(toast);
+    this._current = container;
+    const restY = GAME.HEIGHT * TOAST.TOP_RATIO;
+    container.setY(-container.height);
+
+    this.tweens.add({
+      targets: container,
+      y: restY,
+      duration: TOAST.SLIDE,
+      ease: 'Back.easeOut',
+      onComplete: () => {
+        this.tweens.add({
+          targets: container,
+          y: -container.height,
+          alpha: 0,
+          delay: TOAST.DURATION,
+          duration: TOAST.SLIDE,
+          ease: 'Quad.easeIn',
+          onComplete: () => {
+            container.destroy();
+            this._current = null;
+            this._next();
+          },
+        });
+      },
+    });
+  }
+
+  _build({ heading, title, text, color = TOAST.BORDER_COLOR }) {
+    const h = GAME.HEIGHT;
+    const w = GAME.WIDTH * TOAST.WIDTH_RATIO;
+    const small = Math.round(h * UI.SMALL_RATIO);
+    const body = Math.round(h * UI.BODY_RATIO);
+    const pad = small * 0.6;
+
+    const lines = [];
+    let y = pad;
+    if (heading) {
+      lines.push(this.add.text(0, y, heading, {
+        fontSize: Math.round(small * 0.85) + 'px',
+        fontFamily: UI.FONT,
+        color: COLORS.MUTED_TEXT,
+        letterSpacing: 3,
+      }).setOrigin(0.5, 0));
+      y += small * 1.1;
+    }
+    lines.push(this.add.text(0, y, title, {
+      fontSize: body + 'px',
+      fontFamily: UI.FONT,
+      color: COLORS.SCORE_GOLD,
+      fontStyle: 'bold',
+    }).setOrigin(0.5, 0));
+    y += body * 1.25;
+    if (text) {
+      lines.push(this.add.text(0, y, text, {
+        fontSize: small + 'px',
+        fontFamily: UI.FONT,
+        color: COLORS.UI_TEXT,
+        align: 'center',
+        wordWrap: { width: w - pad * 2 },
+      }).setOrigin(0.5, 0));
+      y += lines[lines.length - 1].height;
+    }
+    const height = y + pad;
+
+    const bg = this.add.graphics();
+    bg.fillStyle(TOAST.BG_COLOR, 0.9);
+    bg.fillRoundedRect(-w / 2, 0, w, height, UI.BTN_RADIUS);
+    bg.lineStyle(2, color, 0.9);
+    bg.strokeRoundedRect(-w / 2, 0, w, height, UI.BTN_RADIUS);
+
+    const container = this.add.container(GAME.WIDTH / 2, 0, [bg, ...lines]);
+    container.setSize(w, height);
+    container.setDepth(1000);
+    return container;
+  }
+}
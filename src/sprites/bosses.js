@@ -0,0 +1,62 @@
+// Boss sprites for MELTDOWN
+
+// --- CORE MELTDOWN: 24x24, 2 frames ---
+// Overheating reactor core: magenta containment ring with red vents,
+// red-hot shell and a gold core that flares white on the second frame
+
+export const coreMeltdownFrame1 = [
+  [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+  [0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0],
+  [0, 0, 0, 0, 0, 1, 1, 1, 4, 6, 6, 6, 6, 6, 6, 4, 1, 1, 1, 0, 0, 0, 0, 0],
+  [0, 0, 0, 0, 1, 1, 6, 4, 4, 6, 6, 6, 6, 6, 6, 4, 4, 6, 1, 1, 0, 0, 0, 0],
+  [0, 0, 0, 1, 1, 6, 6, 6, 1, 1, 1, 1, 1, 1, 1, 1, 6, 6, 6, 1, 1, 0, 0, 0],
+  [0, 0, 1, 1, 6, 6, 6, 1, 2,11, 2, 2, 2, 2,11, 2, 1, 6, 6, 6, 1, 1, 0, 0],
+  [0, 0, 1, 6, 6, 6, 1, 2, 2,11, 2, 2, 2, 2,11, 2, 2, 1, 6, 6, 6, 1, 0, 0],
+  [0, 1, 1, 4, 6, 1, 2, 2, 2, 4, 4, 4, 4, 4, 4, 2, 2, 2, 1, 6, 4, 1, 1, 0],
+  [0, 1, 4, 4, 1, 2, 2, 2, 4, 4, 4, 4, 4, 4, 4, 4, 2, 2, 2, 1, 4, 4, 1, 0],
+  [0, 1, 6, 6, 1,11,11, 4, 4, 4, 7, 7, 7, 7, 4, 4, 4,11,11, 1, 6, 6, 1, 0],
+  [1, 1, 6, 6, 1, 2, 2, 4, 4, 7, 7, 8, 8, 7, 7, 4, 4, 2, 2, 1, 6, 6, 1, 1],
+  [1, 1, 6, 6, 1, 2, 2, 4, 4, 7, 8, 8, 8, 8, 7, 4, 4, 2, 2, 1, 6, 6, 1, 1],
+  [1, 1, 6, 6, 1, 2, 2, 4, 4, 7, 8, 8, 8, 8, 7, 4, 4, 2, 2, 1, 6, 6, 1, 1],
+  [1, 1, 6, 6, 1, 2, 2, 4, 4, 7, 7, 8, 8, 7, 7, 4, 4, 2, 2, 1, 6, 6, 1, 1],
+  [0, 1, 6, 6, 1,11,11, 4, 4, 4, 7, 7, 7, 7, 4, 4, 4,11,11, 1, 6, 6, 1, 0],
+  [0, 1, 4, 4, 1, 2, 2, 2, 4, 4, 4, 4, 4, 4, 4, 4, 2, 2, 2, 1, 4, 4, 1, 0],
+  [0, 1, 1, 4, 6, 1, 2, 2, 2, 4, 4, 4, 4, 4, 4, 2, 2, 2, 1, 6, 4, 1, 1, 0],
+  [0, 0, 1, 6, 6, 6, 1, 2, 2,11, 2, 2, 2, 2,11, 2, 2, 1, 6, 6, 6, 1, 0, 0],
+  [0, 0, 1, 1, 6, 6, 6, 1, 2,11, 2, 2, 2, 2,11, 2, 1, 6, 6, 6, 1, 1, 0, 0],
+  [0, 0, 0, 1, 1, 6, 6, 6, 1, 1, 1, 1, 1, 1, 1, 1, 6, 6, 6, 1, 1, 0, 0, 0],
+  [0, 0, 0, 0, 1, 1, 6, 4, 4, 6, 6, 6, 6, 6, 6, 4, 4, 6, 1, 1, 0, 0, 0, 0],
+  [0, 0, 0, 0, 0, 1, 1, 1, 4, 6, 6, 6, 6, 6, 6, 4, 1, 1, 1, 0, 0, 0, 0, 0],
+  [0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0],
+  [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+];
+
+// Frame 2: vents rotated half a step, core flares white
+export const coreMeltdownFrame2 = [
+  [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+  [0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0],
+  [0, 0, 0, 0, 0, 1, 1, 1, 6, 6, 6, 4, 4, 6, 6, 6, 1, 1, 1, 0, 0, 0, 0, 0],
+  [0, 0, 0, 0, 1, 1, 6, 6, 6, 6, 6, 4, 4, 6, 6, 6, 6, 6, 1, 1, 0, 0, 0, 0],
+  [0, 0, 0, 1, 1, 4, 6, 6, 1, 1, 1, 1, 1, 1, 1, 1, 6, 6, 4, 1, 1, 0, 0, 0],
+  [0, 0, 1, 1, 4, 4, 4, 1, 2, 2, 2,11,11, 2, 2, 2, 1, 4, 4, 4, 1, 1, 0, 0],
+  [0, 0, 1, 6, 6, 4, 1, 2, 2, 2, 2,11,11, 2, 2, 2, 2, 1, 4, 6, 6, 1, 0, 0],
+  [0, 1, 1, 6, 6, 1, 2,11, 2, 4, 4, 4, 4, 4, 4, 2,11, 2, 1, 6, 6, 1, 1, 0],
+  [0, 1, 6, 6, 1, 2, 2, 2, 4, 4, 4, 4, 4, 4, 4, 4, 2, 2, 2, 1, 6, 6, 1, 0],
+  [0, 1, 6, 6, 1, 2, 2, 4, 4, 4, 8, 8, 8, 8, 4, 4, 4, 2, 2, 1, 6, 6, 1, 0],
+  [1, 1, 6, 6, 1, 2, 2, 4, 4, 8, 8, 8, 8, 8, 8, 4, 4, 2, 2, 1, 6, 6, 1, 1],
+  [1, 1, 4, 4, 1,11,11, 4, 4, 8, 8, 8, 8, 8, 8, 4, 4,11,11, 1, 4, 4, 1, 1],
+  [1, 1, 4, 4, 1,11,11, 4, 4, 8, 8, 8, 8, 8, 8, 4, 4,11,11, 1, 4, 4, 1, 1],
+  [1, 1, 6, 6, 1, 2, 2, 4, 4, 8, 8, 8, 8, 8, 8, 4, 4, 2, 2, 1, 6, 6, 1, 1],
+  [0, 1, 6, 6, 1, 2, 2, 4, 4, 4, 8, 8, 8, 8, 4, 4, 4, 2, 2, 1, 6, 6, 1, 0],
+  [0, 1, 6, 6, 1, 2, 2, 2, 4, 4, 4, 4, 4, 4, 4, 4, 2, 2, 2, 1, 6, 6, 1, 0],
+  [0, 1, 1, 6, 6, 1, 2,11, 2, 4, 4, 4, 4, 4, 4, 2,11, 2, 1, 6, 6, 1, 1, 0],
+  [0, 0, 1, 6, 6, 4, 1, 2, 2, 2, 2,11,11, 2, 2, 2, 2, 1, 4, 6, 6, 1, 0, 0],
+  [0, 0, 1, 1, 4, 4, 4, 1, 2, 2, 2,11,11, 2, 2, 2, 1, 4, 4, 4, 1, 1, 0, 0],
+  [0, 0, 0, 1, 1, 4, 6, 6, 1, 1, 1, 1, 1, 1, 1, 1, 6, 6, 4, 1, 1, 0, 0, 0],
+  [0, 0, 0, 0, 1, 1, 6, 6, 6, 6, 6, 4, 4, 6, 6, 6, 6, 6, 1, 1, 0, 0, 0, 0],
+  [0, 0, 0, 0, 0, 1, 1, 1, 6, 6, 6, 4, 4, 6, 6, 6, 1, 1, 1, 0, 0, 0, 0, 0],
+  [0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0],
+  [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+];
+
+export const coreMeltdownFrames = [coreMeltdownFrame1, coreMeltdownFrame2];
@@ -18,3 +18,95 @@ export const fragmentFrame = [
 ];
 
 export const fragmentFrames = [fragmentFrame];
+
+// --- Power-up pickups: 12x12, 1 frame each ---
+
+// Shield: cyan crest, absorbs one hit
+export const shieldFrame = [
+  [0, 0, 9, 9, 9, 9, 9, 9, 9, 9, 0, 0],
+  [0, 9, 3, 3, 3, 3, 3, 3, 3, 3, 9, 0],
+  [0, 9, 3, 8, 8, 3, 3, 3, 3, 3, 9, 0],
+  [0, 9, 3, 8, 3, 3, 3, 3, 3, 3, 9, 0],
+  [0, 9, 3, 3, 3, 3, 3, 3, 3, 3, 9, 0],
+  [0, 9, 3, 3, 3, 3, 3, 3, 3, 3, 9, 0],
+  [0, 0, 9, 3, 3, 3, 3, 3, 3, 9, 0, 0],
+  [0, 0, 9, 3, 3, 3, 3, 3, 3, 9, 0, 0],
+  [0, 0, 0, 9, 3, 3, 3, 3, 9, 0, 0, 0],
+  [0, 0, 0, 0, 9, 3, 3, 9, 0, 0, 0, 0],
+  [0, 0, 0, 0, 0, 9, 9, 0, 0, 0, 0, 0],
+  [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+];
+
+export const shieldFrames = [shieldFrame];
+
+// EMP: lightning bolt in a blue ring, clears nearby enemies
+export const empFrame = [
+  [0, 0, 0,10,10,10,10,10,10, 0, 0, 0],
+  [0, 0,10, 0, 0, 0, 3, 8, 0,10, 0, 0],
+  [0,10, 0, 0, 0, 3, 8, 0, 0, 0,10, 0],
+  [10, 0, 0, 0, 3, 8, 0, 0, 0, 0, 0,10],
+  [10, 0, 0, 3, 8, 0, 0, 0, 0, 0, 0,10],
+  [10, 0, 3, 8, 8, 8, 8, 8, 0, 0, 0,10],
+  [10, 0, 0, 0, 0, 0, 3, 8, 0, 0, 0,10],
+  [10, 0, 0, 0, 0, 3, 8, 0, 0, 0, 0,10],
+  [10, 0, 0, 0, 3, 8, 0, 0, 0, 0, 0,10],
+  [0,10, 0, 3, 8, 0, 0, 0, 0, 0,10, 0],
+  [0, 0,10, 8, 0, 0, 0, 0, 0,10, 0, 0],
+  [0, 0, 0,10,10,10,10,10,10, 0, 0, 0],
+];
+
+export const empFrames = [empFrame];
+
+// Magnet: red horseshoe with white poles, pulls fragments in
+export const magnetFrame = [
+  [0, 0, 0, 1, 1, 1, 1, 1, 1, 0, 0, 0],
+  [0, 0, 1, 4, 4, 4, 4, 4, 4, 1, 0, 0],
+  [0, 1, 4, 4, 1, 1, 1, 1, 4, 4, 1, 0],
+  [0, 1, 4, 1, 0, 0, 0, 0, 1, 4, 1, 0],
+  [0, 1, 4, 1, 0, 0, 0, 0, 1, 4, 1, 0],
+  [0, 1, 4, 1, 0, 0, 0, 0, 1, 4, 1, 0],
+  [0, 1, 4, 1, 0, 0, 0, 0, 1, 4, 1, 0],
+  [0, 1, 4, 1, 0, 0, 0, 0, 1, 4, 1, 0],
+  [0, 1, 8, 1, 0, 0, 0, 0, 1, 8, 1, 0],
+  [0, 1, 8, 1, 0, 0, 0, 0, 1, 8, 1, 0],
+  [0, 1, 8, 1, 0, 0, 0, 0, 1, 8, 1, 0],
+  [0, 1, 1, 1, 0, 0, 0, 0, 1, 1, 1, 0],
+];
+
+export const magnetFrames = [magnetFrame];
+
+// Phase: broken magenta ring around a bright core, pass through code blocks
+export const phaseFrame = [
+  [0, 0, 0, 6, 6, 0, 0, 6, 6, 0, 0, 0],
+  [0, 0, 6, 0, 0, 0, 0, 0, 0, 6, 0, 0],
+  [0, 6, 0, 0, 0, 0, 0, 0, 0, 0, 6, 0],
+  [6, 0, 0, 0, 0, 6, 6, 0, 0, 0, 0, 6],
+  [6, 0, 0, 0, 6, 8, 8, 6, 0, 0, 0, 0],
+  [0, 0, 0, 6, 8, 8, 8, 8, 6, 0, 0, 0],
+  [0, 0, 0, 6, 8, 8, 8, 8, 6, 0, 0, 0],
+  [0, 0, 0, 0, 6, 8, 8, 6, 0, 0, 0, 6],
+  [6, 0, 0, 0, 0, 6, 6, 0, 0, 0, 0, 6],
+  [0, 6, 0, 0, 0, 0, 0, 0, 0, 0, 6, 0],
+  [0, 0, 6, 0, 0, 0, 0, 0, 0, 6, 0, 0],
+  [0, 0, 0, 6, 6, 0, 0, 6, 6, 0, 0, 0],
+];
+
+export const phaseFrames = [phaseFrame];
+
+// Score doubler: gold "x2" chip
+export const doublerFrame = [
+  [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1],
+  [1, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 1],
+  [1, 2, 2, 2, 2, 2, 7, 7, 7, 7, 2, 1],
+  [1, 2, 2, 2, 2, 2, 2, 2, 2, 7, 2, 1],
+  [1, 2, 7, 2, 7, 2, 2, 2, 2, 7, 2, 1],
+  [1, 2, 2, 7, 2, 2, 7, 7, 7, 7, 2, 1],
+  [1, 2, 7, 2, 7, 2, 7, 2, 2, 2, 2, 1],
+  [1, 2, 2, 2, 2, 2, 7, 2, 2, 2, 2, 1],
+  [1, 2, 2, 2, 2, 2, 7, 7, 7, 7, 2, 1],
+  [1, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 1],
+  [1, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 1],
+  [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1],
+];
+
+export const doublerFrames = [doublerFrame];
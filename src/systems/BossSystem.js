@@ -0,0 +1,314 @@
+import { BOSS, FRAGMENT, GAME } from '../core/Constants.js';
+import { eventBus, Events } from '../core/EventBus.js';
+import { gameState } from '../core/GameState.js';
+import { rng } from '../core/Random.js';
+import { Boss } from '../entities/Boss.js';
+import { getBossDef } from '../entities/bossDefinitions.js';
+
+const TIMER_EPSILON = 1e-6;
+
+/**
+ * Boss encounters at the survival times in BOSS.SCHEDULE (then every
+ * BOSS.REPEAT_INTERVAL). An encounter is announced, the boss glides in and
+ * cycles through its phase attacks; collecting fragments near it exposes the
+ * core and depletes its health. Random spawns thin out while it is on screen.
+ *
+ * Runs on simulation ticks and the 'boss' RNG stream, so replays reproduce it.
+ */
+export class BossSystem {
+  /**
+   * @param {Phaser.Scene} scene
+   * @param {import('./SpawnSystem.js').SpawnSystem} spawnSystem
+   * @param {import('./ScoreSystem.js').ScoreSystem} scoreSystem
+   */
+  constructor(scene, spawnSystem, scoreSystem) {
+    this.scene = scene;
+    this.spawnSystem = spawnSystem;
+    this.scoreSystem = scoreSystem;
+
+    /** @type {Boss|null} */
+    this.boss = null;
+    this.state = 'idle';        // 'idle' | 'warning' | 'active'
+    this.encounter = 0;
+
+    this._scheduleIndex = 0;
+    this._nextAt = BOSS.SCHEDULE.length > 0 ? BOSS.SCHEDULE[0].at : BOSS.REPEAT_INTERVAL;
+    this._nextType = BOSS.SCHEDULE.length > 0 ? BOSS.SCHEDULE[0].boss : null;
+    this._lastType = this._nextType;
+
+    this._warningRemaining = 0;
+    this._attackTimer = 0;
+    this._attackIndex = 0;
+    this._telegraphed = false;
+    this._fragmentTimer = 0;
+    this._fightTime = 0;
+    this._phase = 0;
+    // Projectiles released over time (spiral attacks)
+    this._pending = [];
+  }
+
+  get isActive() {
+    return this.state !== 'idle';
+  }
+
+  /**
+   * Advance one fixed simulation tick.
+   * @param {number} dt - tick length in ms
+   */
+  update(dt) {
+    if (this.state === 'idle') {
+      if (this.spawnSystem.elapsedTime >= this._nextAt) this._announce();
+      return;
+    }
+
+    if (this.state === 'warning') {
+      this._warningRemaining -= dt;
+      if (this._warningRemaining <= TIMER_EPSILON) this._spawnBoss();
+      return;
+    }
+
+    const boss = this.boss;
+    boss.update(dt);
+
+    if (boss.state === 'leaving') {
+      if (boss.isOffScreen()) this._endEncounter();
+      return;
+    }
+    if (boss.state !== 'fighting') return;
+
+    this._fightTime += dt;
+    if (this._fightTime >= BOSS.TIME_LIMIT) {
+      boss.retreat();
+      this._pending = [];
+      eventBus.emit(Events.BOSS_RETREATED, { type: boss.type, name: boss.def.name });
+      return;
+    }
+
+    this._updateAttacks(dt);
+    this._updateFragments(dt);
+  }
+
+  /**
+   * Called by GameScene for every collected fragment. Fragments picked up
+   * inside BOSS.EXPOSURE_RADIUS damage the core.
+   */
+  onFragmentCollected(x, y) {
+    const boss = this.boss;
+    if (!boss || boss.state !== 'fighting') return;
+
+    const dist = Math.hypot(x - boss.x, y - boss.y);
+    if (dist > BOSS.EXPOSURE_RADIUS) return;
+
+    const destroyed = boss.damage(1);
+    eventBus.emit(Events.BOSS_DAMAGED, {
+      type: boss.type,
+      x: boss.x,
+      y: boss.y,
+      fromX: x,
+      fromY: y,
+      health: boss.health,
+      maxHealth: boss.maxHealth,
+    });
+
+    if (destroyed) {
+      this._defeat();
+      return;
+    }
+
+    const phase = boss.phase;
+    if (phase !== this._phase) {
+      this._phase = phase;
+      this._attackIndex = 0;
+      eventBus.emit(Events.BOSS_PHASE, { type: boss.type, name: boss.def.name, phase });
+    }
+  }
+
+  getSprite() {
+    return this.boss ? this.boss.sprite : null;
+  }
+
+  // --- Encounter lifecycle ---
+
+  _announce() {
+    const type = this._nextType || this._lastType;
+    const def = getBossDef(type);
+    this._lastType = type;
+    this.state = 'warning';
+    this._warningRemaining = BOSS.WARNING_DURATION;
+    this.spawnSystem.bossActive = true;
+    eventBus.emit(Events.BOSS_WARNING, { type, name: def.name });
+  }
+
+  _spawnBoss() {
+    const boss = new Boss(this.scene, this._lastType, this.encounter);
+    this.boss = boss;
+    this.state = 'active';
+    this._phase = 0;
+    this._attackIndex = 0;
+    this._attackTimer = boss.def.phases[0].interval;
+    this._telegraphed = false;
+    this._fragmentTimer = 0;
+    this._fightTime = 0;
+    this._pending = [];
+
+    eventBus.emit(Events.BOSS_SPAWNED, {
+      type: boss.type,
+      name: boss.def.name,
+      health: boss.health,
+      maxHealth: boss.maxHealth,
+    });
+  }
+
+  _defeat() {
+    const boss = this.boss;
+    const bonus = BOSS.SCORE_BONUS;
+    gameState.bossesDefeated++;
+    this.scoreSystem.onAddScore(bonus);
+
+    eventBus.emit(Events.BOSS_DEFEATED, {
+      type: boss.type,
+      name: boss.def.name,
+      x: boss.x,
+      y: boss.y,
+      bonus,
+    });
+    this._endEncounter();
+  }
+
+  _endEncounter() {
+    if (this.boss) {
+      this.boss.destroy();
+      this.boss = null;
+    }
+    this._pending = [];
+    this.state = 'idle';
+    this.encounter++;
+    this.spawnSystem.bossActive = false;
+
+    // Next scheduled encounter, then repeats; always leave a breather
+    this._scheduleIndex++;
+    const scheduled = BOSS.SCHEDULE[this._scheduleIndex];
+    if (scheduled) {
+      this._nextAt = scheduled.at;
+      this._nextType = scheduled.boss;
+    } else {
+      this._nextAt += BOSS.REPEAT_INTERVAL;
+      this._nextType = null;
+    }
+    this._nextAt = Math.max(this._nextAt, this.spawnSystem.elapsedTime + BOSS.MIN_GAP);
+  }
+
+  // --- Attacks ---
+
+  _updateAttacks(dt) {
+    const boss = this.boss;
+
+    // Spiral projectiles queued by earlier attacks
+    const waiting = [];
+    for (const p of this._pending) {
+      p.delay -= dt;
+      if (p.delay <= TIMER_EPSILON) {
+        this.spawnSystem.spawnEnemyHeading(p.enemy, boss.x, boss.y, p.angle, p.speed);
+      } else {
+        waiting.push(p);
+      }
+    }
+    this._pending = waiting;
+
+    this._attackTimer -= dt;
+    if (!this._telegraphed && this._attackTimer <= BOSS.TELEGRAPH) {
+      this._telegraphed = true;
+      boss.telegraph(BOSS.TELEGRAPH);
+    }
+    if (this._attackTimer > TIMER_EPSILON) return;
+
+    const phase = boss.def.phases[this._phase];
+    const attack = phase.attacks[this._attackIndex % phase.attacks.length];
+    this._attackIndex++;
+    this._attackTimer += phase.interval;
+    this._telegraphed = false;
+
+    this._fire(attack);
+  }
+
+  _fire(attack) {
+    const boss = this.boss;
+    const random = rng.stream('boss');
+    const spawn = (angle) =>
+      this.spawnSystem.spawnEnemyHeading(attack.enemy, boss.x, boss.y, angle, attack.speed ?? 1);
+
+    switch (attack.type) {
+      case 'ring': {
+        const offset = random.next() * Math.PI * 2;
+        for (let i = 0; i < attack.count; i++) {
+          spawn(offset + (i / attack.count) * Math.PI * 2);
+        }
+        break;
+      }
+      case 'aimed': {
+        const player = this.spawnSystem.getPlayerSprite();
+        const base = player ? Math.atan2(player.y - boss.y, player.x - boss.x) : Math.PI / 2;
+        const spread = (attack.spread ?? 30) * Math.PI / 180;
+        for (let i = 0; i < attack.count; i++) {
+          const t = attack.count > 1 ? i / (attack.count - 1) - 0.5 : 0;
+          spawn(base + t * spread);
+        }
+        break;
+      }
+      case 'spiral': {
+        const start = random.next() * Math.PI * 2;
+        const dir = random.chance(0.5) ? 1 : -1;
+        for (let i = 0; i < attack.count; i++) {
+          this._pending.push({
+            delay: i * attack.interval,
+            angle: start + dir * (i / attack.count) * Math.PI * 2,
+            enemy: attack.enemy,
+            speed: attack.speed ?? 1,
+          });
+        }
+        break;
+      }
+      case 'pattern':
+        // Takes over from a pattern still running (which reports its end)
+        this.spawnSystem.patterns.start(attack.id);
+        break;
+      default:
+        console.warn(`[BossSystem] Unknown attack type "${attack.type}"`);
+    }
+  }
+
+  // --- Exposure fragments ---
+
+  /**
+   * Keep a fragment or two inside the exposure radius so the boss can
+   * always be damaged.
+   */
+  _updateFragments(dt) {
+    this._fragmentTimer += dt;
+    if (this._fragmentTimer < BOSS.FRAGMENT_INTERVAL - TIMER_EPSILON) return;
+    this._fragmentTimer -= BOSS.FRAGMENT_INTERVAL;
+
+    const boss = this.boss;
+    const near = this.spawnSystem.fragmentsNear(boss.x, boss.y, BOSS.EXPOSURE_RADIUS).filter(f =>
+      Math.hypot(f.sprite.x - boss.x, f.sprite.y - boss.y) <= BOSS.EXPOSURE_RADIUS
+    ).length;
+    if (near >= BOSS.MAX_NEAR_FRAGMENTS) return;
+
+    const random = rng.stream('boss');
+    const angle = random.next() * Math.PI * 2;
+    const dist = random.range(BOSS.FRAGMENT_RING_MIN, BOSS.FRAGMENT_RING_MAX);
+    const margin = FRAGMENT.EDGE_MARGIN;
+    const x = Math.min(Math.max(boss.x + Math.cos(angle) * dist, margin), GAME.WIDTH - margin);
+    const y = Math.min(Math.max(boss.y + Math.sin(angle) * dist, margin), GAME.HEIGHT - margin);
+    this.spawnSystem.spawnFragmentAt(x, y);
+  }
+
+  destroy() {
+    if (this.boss) {
+      this.boss.destroy();
+      this.boss = null;
+    }
+    this._pending = [];
+    this.state = 'idle';
+  }
+}
@@ -0,0 +1,137 @@
+import { GRAZE } from '../core/Constants.js';
+import { eventBus, Events } from '../core/EventBus.js';
+import { gameState } from '../core/GameState.js';
+
+/**
+ * Closest approach between the player's circular body and an enemy's body,
+ * per hitbox shape. Negative gaps mean the two overlap.
+ * @returns {{ gap: number, x: number, y: number }} gap in px and the point
+ *   on the enemy's hitbox nearest the player
+ */
+function closestApproach(playerBody, enemy) {
+  const px = playerBody.center.x;
+  const py = playerBody.center.y;
+  const pr = playerBody.halfWidth;
+  const body = enemy.sprite.body;
+
+  if (enemy.def.hitbox.shape === 'circle') {
+    const dx = px - body.center.x;
+    const dy = py - body.center.y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    const er = body.halfWidth;
+    const nx = dist > 0 ? dx / dist : 0;
+    const ny = dist > 0 ? dy / dist : 0;
+    return { gap: dist - pr - er, x: body.center.x + nx * er, y: body.center.y + ny * er };
+  }
+
+  // Axis-aligned rectangle: clamp the player's centre onto it
+  const qx = Math.min(Math.max(px, body.x), body.x + body.width);
+  const qy = Math.min(Math.max(py, body.y), body.y + body.height);
+  return { gap: Math.hypot(px - qx, py - qy) - pr, x: qx, y: qy };
+}
+
+/** Still the same spawn of a pooled enemy */
+function isLive(enemy, id) {
+  return enemy.id === id && enemy.sprite.active;
+}
+
+/**
+ * Grazing: an enemy that passes within GRAZE.DISTANCE of the player without
+ * touching awards graze points once it leaves the band. Each enemy grazes at
+ * most once; touching it (dash, phase, shield) forfeits the graze.
+ *
+ * Emits PLAYER_GRAZE { x, y, gap, points, type } — the combo chain, effects
+ * and audio all build on that event.
+ */
+export class GrazeSystem {
+  /**
+   * @param {import('./SpawnSystem.js').SpawnSystem} spawnSystem
+   * @param {import('../entities/Player.js').Player} player
+   * @param {import('./ScoreSystem.js').ScoreSystem} scoreSystem
+   * @param {object} rules - game mode rules (grazeScore: whether grazes pay points)
+   */
+  constructor(spawnSystem, player, scoreSystem, rules) {
+    this.spawnSystem = spawnSystem;
+    this.player = player;
+    this.scoreSystem = scoreSystem;
+    this.rules = rules;
+
+    /** enemy id -> { enemy, approach } while it is inside the band */
+    this._tracking = new Map();
+    /** Ids of enemies that already grazed (or touched) and are done -> the
+     * enemy. By id, since a pooled Enemy comes back as a new enemy. */
+    this._spent = new Map();
+    // Reused every tick
+    this._nearby = [];
+  }
+
+  /**
+   * Measure the enemies near the player after the physics step of a tick.
+   */
+  update() {
+    const playerBody = this.player.sprite.body;
+
+    // Enemies removed while in the band (EMP, off-screen) never pay out
+    for (const [id, track] of this._tracking) {
+      if (!isLive(track.enemy, id)) this._tracking.delete(id);
+    }
+    for (const [id, enemy] of this._spent) {
+      if (!isLive(enemy, id)) this._spent.delete(id);
+    }
+
+    // Only enemies within the band can start a graze; the ones already in
+    // it are measured until they leave
+    const nearby = this._nearby;
+    nearby.length = 0;
+    this.spawnSystem.enemiesNear(
+      playerBody.center.x, playerBody.center.y, playerBody.halfWidth + GRAZE.DISTANCE, nearby
+    );
+    const found = nearby.length;
+    for (const track of this._tracking.values()) {
+      if (!nearby.includes(track.enemy)) nearby.push(track.enemy);
+    }
+    // Spawn order, as if every enemy were checked
+    if (nearby.length > found) nearby.sort((a, b) => a.id - b.id);
+
+    for (const enemy of nearby) {
+      const id = enemy.id;
+      if (this._spent.has(id)) continue;
+
+      const approach = closestApproach(playerBody, enemy);
+      const track = this._tracking.get(id);
+
+      if (approach.gap < 0) {
+        this._tracking.delete(id);
+        this._spent.set(id, enemy);
+      } else if (approach.gap <= GRAZE.DISTANCE) {
+        if (!track || approach.gap < track.approach.gap) this._tracking.set(id, { enemy, approach });
+      } else if (track) {
+        this._tracking.delete(id);
+        this._spent.set(id, enemy);
+        this._award(enemy, track.approach);
+      }
+    }
+  }
+
+  _award(enemy, closest) {
+    gameState.grazes++;
+    let points = 0;
+    if (this.rules.grazeScore) {
+      points = closest.gap <= GRAZE.CLOSE_DISTANCE ? GRAZE.CLOSE_POINTS : GRAZE.POINTS;
+      this.scoreSystem.onAddScore(points);
+    }
+
+    eventBus.emit(Events.PLAYER_GRAZE, {
+      x: closest.x,
+      y: closest.y,
+      gap: closest.gap,
+      points,
+      type: enemy.type,
+    });
+  }
+
+  destroy() {
+    this._tracking.clear();
+    this._spent.clear();
+  }
+}
@@ -1,7 +1,9 @@
 import Phaser from 'phaser';
-import { EFFECTS, GAME, PX, UI } from '../core/Constants.js';
+import { EFFECTS, GAME, PX, UI, POOL } from '../core/Constants.js';
 import { eventBus, Events } from '../core/EventBus.js';
 import { gameState } from '../core/GameState.js';
+import { Pool } from '../core/Pool.js';
+import { POWERUP_DEFS, PowerUpKind } from '../entities/powerUpDefinitions.js';
 
 /**
  * ParticleSystem — listens to EventBus events and emits visual effects.
@@ -15,12 +17,44 @@ export class ParticleSystem {
   constructor(scene) {
     this.scene = scene;
 
-    /** @type {Phaser.GameObjects.Graphics[]} */
-    this._particleGraphics = [];
-    /** @type {Phaser.Tweens.Tween[]} */
-    this._tweens = [];
-    /** @type {Phaser.GameObjects.Text[]} */
-    this._texts = [];
+    /** Acceleration/boss warnings on screen (one-off texts with their own tweens) */
+    this._warningTexts = [];
+
+    // Particles and score pops are pooled and animated here each frame
+    // (no tween per object); see _updateEffects()
+    this._particlePool = new Pool('particles', {
+      create: () => this._createEffect(scene.add.rectangle(0, 0, 1, 1, 0xffffff, 1).setDepth(100)),
+      reset: (particle, x, y, size, color) => {
+        particle.setSize(size, size).setFillStyle(color, 1);
+        this._resetEffect(particle, x, y);
+      },
+      release: (particle) => particle.setActive(false).setVisible(false),
+      destroy: (particle) => particle.destroy(),
+      prewarm: POOL.PARTICLE_PREWARM,
+    });
+    this._scorePopPool = new Pool('scorePops', {
+      create: () => {
+        const cfg = EFFECTS.SCORE_POP;
+        return this._createEffect(scene.add.text(0, 0, '', {
+          fontSize: Math.round(GAME.HEIGHT * cfg.FONT_SIZE_RATIO) + 'px',
+          fontFamily: UI.FONT,
+          color: cfg.COLOR,
+          fontStyle: 'bold',
+          shadow: { offsetX: 1, offsetY: 1, color: cfg.SHADOW_COLOR, blur: 2, fill: true },
+        }).setOrigin(0.5).setDepth(110));
+      },
+      reset: (scoreText, x, y, text) => {
+        scoreText.setText(text);
+        this._resetEffect(scoreText, x, y);
+      },
+      release: (scoreText) => scoreText.setActive(false).setVisible(false),
+      destroy: (scoreText) => scoreText.destroy(),
+      prewarm: POOL.SCORE_POP_PREWARM,
+    });
+    /** Pooled effects in flight */
+    this._effects = [];
+    this._onUpdate = this._updateEffects.bind(this);
+    scene.events.on('update', this._onUpdate);
 
     // Track acceleration milestones already shown
     this._shownMilestones = new Set();
@@ -38,6 +72,15 @@ export class ParticleSystem {
     this._onSlowdownStart = this._handleSlowdownStart.bind(this);
     this._onSlowdownEnd = this._handleSlowdownEnd.bind(this);
     this._onAccelerationTick = this._handleAccelerationTick.bind(this);
+    this._onPlayerDash = this._handlePlayerDash.bind(this);
+    this._onPlayerGraze = this._handlePlayerGraze.bind(this);
+    this._onBossWarning = this._handleBossWarning.bind(this);
+    this._onBossPhase = this._handleBossPhase.bind(this);
+    this._onBossDamaged = this._handleBossDamaged.bind(this);
+    this._onBossDefeated = this._handleBossDefeated.bind(this);
+    this._onPowerUpCollected = this._handlePowerUpCollected.bind(this);
+    this._onPowerUpEmp = this._handlePowerUpEmp.bind(this);
+    this._onShieldHit = this._handleShieldHit.bind(this);
 
     // Wire up
     eventBus.on(Events.FRAGMENT_COLLECTED, this._onFragmentCollected);
@@ -46,6 +89,15 @@ export class ParticleSystem {
     eventBus.on(Events.SLOWDOWN_START, this._onSlowdownStart);
     eventBus.on(Events.SLOWDOWN_END, this._onSlowdownEnd);
     eventBus.on(Events.ACCELERATION_TICK, this._onAccelerationTick);
+    eventBus.on(Events.PLAYER_DASH, this._onPlayerDash);
+    eventBus.on(Events.PLAYER_GRAZE, this._onPlayerGraze);
+    eventBus.on(Events.BOSS_WARNING, this._onBossWarning);
+    eventBus.on(Events.BOSS_PHASE, this._onBossPhase);
+    eventBus.on(Events.BOSS_DAMAGED, this._onBossDamaged);
+    eventBus.on(Events.BOSS_DEFEATED, this._onBossDefeated);
+    eventBus.on(Events.POWERUP_COLLECTED, this._onPowerUpCollected);
+    eventBus.on(Events.POWERUP_EMP, this._onPowerUpEmp);
+    eventBus.on(Events.POWERUP_SHIELD_HIT, this._onShieldHit);
   }
 
   // ─── Particle texture generation ─────────────────────────────────
@@ -74,13 +126,13 @@ export class ParticleSystem {
 
   _handleFragmentCollected(data) {
     if (!data) return;
-    const { x, y, score } = data;
+    const { x, y, points = 1 } = data;
     const cfg = EFFECTS.FRAGMENT_COLLECT;
 
     this._burstParticles(x, y, cfg.COUNT, cfg.SPEED, cfg.LIFETIME, cfg.COLORS, cfg.SIZE_MIN, cfg.SIZE_MAX);
 
-    // Score pop: "+1" floating text
-    this._showScorePop(x, y, `+1`);
+    // Score pop: points awarded, e.g. "+2" while the doubler is active
+    this._showScorePop(x, y, `+${points}`);
   }
 
   // ─── Player died ─────────────────────────────────────────────────
@@ -197,6 +249,112 @@ export class ParticleSystem {
     }
   }
 
+  // ─── Player dash ─────────────────────────────────────────────────
+
+  _handlePlayerDash(data) {
+    if (!data) return;
+    const cfg = EFFECTS.DASH_BURST;
+    const back = Math.atan2(-data.dirY, -data.dirX);
+
+    // Sparks kicked out opposite the dash direction
+    for (let i = 0; i < cfg.COUNT; i++) {
+      const angle = back + (Math.random() - 0.5) * 2 * cfg.SPREAD;
+      const spd = cfg.SPEED * (0.5 + Math.random() * 0.5);
+      const color = cfg.COLORS[i % cfg.COLORS.length];
+      this._singleParticle(data.x, data.y, Math.cos(angle) * spd, Math.sin(angle) * spd, cfg.LIFETIME, color, cfg.SIZE);
+    }
+  }
+
+  // ─── Player graze ────────────────────────────────────────────────
+
+  _handlePlayerGraze(data) {
+    if (!data) return;
+    const cfg = EFFECTS.GRAZE_SPARK;
+
+    // Sparks off the edge of the enemy the player skimmed
+    this._burstParticles(data.x, data.y, cfg.COUNT, cfg.SPEED, cfg.LIFETIME, cfg.COLORS, cfg.SIZE, cfg.SIZE);
+    this._showScorePop(data.x, data.y, data.points > 0 ? `GRAZE +${data.points}` : 'GRAZE');
+  }
+
+  // ─── Boss encounters ─────────────────────────────────────────────
+
+  _handleBossWarning(data) {
+    const name = data && data.name ? data.name : 'BOSS';
+    this.scene.cameras.main.shake(EFFECTS.SCREEN_SHAKE_DURATION * 2, EFFECTS.SCREEN_SHAKE_INTENSITY * 0.4);
+    this._showAccelWarning(`WARNING: ${name}`);
+  }
+
+  _handleBossPhase(data) {
+    if (!data) return;
+    this._showAccelWarning(`${data.name}  PHASE ${data.phase + 1}`);
+  }
+
+  _handleBossDamaged(data) {
+    if (!data) return;
+    const cfg = EFFECTS.BOSS_HIT;
+
+    // Sparks along the line from the collected fragment into the core
+    const steps = 6;
+    for (let i = 1; i <= steps; i++) {
+      const t = i / steps;
+      const x = data.fromX + (data.x - data.fromX) * t;
+      const y = data.fromY + (data.y - data.fromY) * t;
+      this._singleParticle(x, y, 0, 0, cfg.LIFETIME * t, cfg.COLORS[i % cfg.COLORS.length], cfg.SIZE_MIN);
+    }
+
+    this._burstParticles(data.x, data.y, cfg.COUNT, cfg.SPEED, cfg.LIFETIME, cfg.COLORS, cfg.SIZE_MIN, cfg.SIZE_MAX);
+    this.scene.cameras.main.shake(EFFECTS.SCREEN_SHAKE_DURATION / 2, EFFECTS.SCREEN_SHAKE_INTENSITY * 0.3);
+  }
+
+  _handleBossDefeated(data) {
+    if (!data) return;
+    const cfg = EFFECTS.BOSS_DEATH;
+    const camera = this.scene.cameras.main;
+
+    camera.flash(EFFECTS.FLASH_DURATION * 2, 255, 255, 255);
+    camera.shake(EFFECTS.SCREEN_SHAKE_DURATION * 2, EFFECTS.SCREEN_SHAKE_INTENSITY);
+
+    this._burstParticles(data.x, data.y, cfg.COUNT, cfg.SPEED, cfg.LIFETIME, cfg.COLORS, cfg.SIZE_MIN, cfg.SIZE_MAX);
+    this._showScorePop(data.x, data.y, `+${data.bonus}`);
+    this._showAccelWarning(`${data.name} DESTROYED`);
+  }
+
+  // ─── Power-ups ───────────────────────────────────────────────────
+
+  _handlePowerUpCollected(data) {
+    if (!data) return;
+    const cfg = EFFECTS.POWERUP_COLLECT;
+    const def = POWERUP_DEFS[data.kind];
+
+    this._burstParticles(data.x, data.y, cfg.COUNT, cfg.SPEED, cfg.LIFETIME, [def.color, 0xffffff], cfg.SIZE_MIN, cfg.SIZE_MAX);
+    this._showScorePop(data.x, data.y, def.label);
+  }
+
+  _handlePowerUpEmp(data) {
+    if (!data) return;
+    const cfg = EFFECTS.EMP_WAVE;
+    const speed = data.radius / (cfg.DURATION / 1000);
+
+    // Shockwave ring that reaches the EMP radius, plus a pop per destroyed enemy
+    for (let i = 0; i < cfg.COUNT; i++) {
+      const angle = (i / cfg.COUNT) * Math.PI * 2;
+      this._singleParticle(data.x, data.y, Math.cos(angle) * speed, Math.sin(angle) * speed, cfg.DURATION, cfg.COLOR, cfg.SIZE);
+    }
+    for (const enemy of data.destroyed) {
+      this._burstParticles(enemy.x, enemy.y, 6, speed * 0.3, cfg.LIFETIME, [cfg.COLOR, 0xffffff], cfg.SIZE / 2, cfg.SIZE);
+    }
+    this.scene.cameras.main.flash(EFFECTS.FLASH_DURATION, 136, 204, 255);
+  }
+
+  _handleShieldHit(data) {
+    if (!data) return;
+    const cfg = EFFECTS.POWERUP_COLLECT;
+    const color = POWERUP_DEFS[PowerUpKind.SHIELD].color;
+
+    this._burstParticles(data.x, data.y, cfg.COUNT * 2, cfg.SPEED * 1.5, cfg.LIFETIME, [color, 0xffffff], cfg.SIZE_MIN, cfg.SIZE_MAX);
+    this.scene.cameras.main.shake(EFFECTS.SCREEN_SHAKE_DURATION / 2, EFFECTS.SCREEN_SHAKE_INTENSITY * 0.5);
+  }
+
   // ─── Burst particles helper ──────────────────────────────────────
 
   /**
@@ -221,58 +379,78 @@ export class ParticleSystem {
    * Create a single animated particle that moves, shrinks, and fades.
    */
   _singleParticle(x, y, vx, vy, lifetime, color, size) {
-    const scene = this.scene;
     const sz = Math.max(1, Math.round(size));
-
-    const particle = scene.add.rectangle(x, y, sz, sz, color, 1);
-    particle.setDepth(100);
-
-    const tween = scene.tweens.add({
-      targets: particle,
-      x: x + vx * (lifetime / 1000),
-      y: y + vy * (lifetime / 1000),
-      alpha: 0,
-      scaleX: 0.2,
-      scaleY: 0.2,
+    const particle = this._particlePool.acquire(x, y, sz, color);
+    this._startEffect(particle, this._particlePool, {
+      dx: vx * (lifetime / 1000),
+      dy: vy * (lifetime / 1000),
       duration: lifetime,
-      ease: 'Quad.easeOut',
-      onComplete: () => {
-        particle.destroy();
-      },
+      endScale: 0.2,
     });
-
-    this._tweens.push(tween);
   }
 
   // ─── Score pop floating text ─────────────────────────────────────
 
   _showScorePop(x, y, text) {
-    const scene = this.scene;
     const cfg = EFFECTS.SCORE_POP;
-    const fontSize = Math.round(GAME.HEIGHT * cfg.FONT_SIZE_RATIO);
+    const scoreText = this._scorePopPool.acquire(x, y, text);
+    this._startEffect(scoreText, this._scorePopPool, {
+      dx: 0,
+      dy: -cfg.RISE_DISTANCE,
+      duration: cfg.DURATION,
+      endScale: 1,
+    });
+  }
 
-    const scoreText = scene.add.text(x, y, text, {
-      fontSize: fontSize + 'px',
-      fontFamily: UI.FONT,
-      color: cfg.COLOR,
-      fontStyle: 'bold',
-      shadow: { offsetX: 1, offsetY: 1, color: cfg.SHADOW_COLOR, blur: 2, fill: true },
-    }).setOrigin(0.5).setDepth(110);
+  // ─── Pooled effects ──────────────────────────────────────────────
 
-    this._texts.push(scoreText);
+  /** Give a new pooled object its reusable animation state */
+  _createEffect(obj) {
+    obj.fx = { pool: null, x: 0, y: 0, dx: 0, dy: 0, duration: 0, age: 0, endScale: 1 };
+    return obj;
+  }
 
-    scene.tweens.add({
-      targets: scoreText,
-      y: y - cfg.RISE_DISTANCE,
-      alpha: 0,
-      duration: cfg.DURATION,
-      ease: 'Quad.easeOut',
-      onComplete: () => {
-        scoreText.destroy();
-        const idx = this._texts.indexOf(scoreText);
-        if (idx !== -1) this._texts.splice(idx, 1);
-      },
-    });
+  /** Reset hook shared by the pools: back to full size and opacity at (x, y) */
+  _resetEffect(obj, x, y) {
+    obj.setPosition(x, y).setAlpha(1).setScale(1).setActive(true).setVisible(true);
+  }
+
+  /**
+   * Animate a pooled object: it moves by (dx, dy), fades out and scales to
+   * endScale over `duration` ms (Quad.easeOut), then goes back to its pool.
+   */
+  _startEffect(obj, pool, { dx, dy, duration, endScale }) {
+    const fx = obj.fx;
+    fx.pool = pool;
+    fx.x = obj.x;
+    fx.y = obj.y;
+    fx.dx = dx;
+    fx.dy = dy;
+    fx.duration = duration;
+    fx.age = 0;
+    fx.endScale = endScale;
+    this._effects.push(obj);
+  }
+
+  _updateEffects(time, delta) {
+    const effects = this._effects;
+    for (let i = effects.length - 1; i >= 0; i--) {
+      const obj = effects[i];
+      const fx = obj.fx;
+      fx.age += delta;
+      const t = fx.duration > 0 ? Math.min(fx.age / fx.duration, 1) : 1;
+      if (t >= 1) {
+        // Swap-remove: order does not matter
+        effects[i] = effects[effects.length - 1];
+        effects.pop();
+        fx.pool.release(obj);
+        continue;
+      }
+      const eased = 1 - (1 - t) * (1 - t);
+      obj.setPosition(fx.x + fx.dx * eased, fx.y + fx.dy * eased);
+      obj.setAlpha(1 - eased);
+      obj.setScale(1 + (fx.endScale - 1) * eased);
+    }
   }
 
   // ─── Acceleration warning text ───────────────────────────────────
@@ -290,7 +468,7 @@ export class ParticleSystem {
       shadow: { offsetX: 0, offsetY: 2, color: 'rgba(0,0,0,0.6)', blur: 6, fill: true },
     }).setOrigin(0.5).setDepth(120).setAlpha(0);
 
-    this._texts.push(warningText);
+    this._warningTexts.push(warningText);
 
     // Fade in, hold briefly, fade out
     scene.tweens.add({
@@ -307,8 +485,8 @@ export class ParticleSystem {
           ease: 'Sine.easeOut',
           onComplete: () => {
             warningText.destroy();
-            const idx = this._texts.indexOf(warningText);
-            if (idx !== -1) this._texts.splice(idx, 1);
+            const idx = this._warningTexts.indexOf(warningText);
+            if (idx !== -1) this._warningTexts.splice(idx, 1);
           },
         });
       },
@@ -325,12 +503,28 @@ export class ParticleSystem {
     eventBus.off(Events.SLOWDOWN_START, this._onSlowdownStart);
     eventBus.off(Events.SLOWDOWN_END, this._onSlowdownEnd);
     eventBus.off(Events.ACCELERATION_TICK, this._onAccelerationTick);
-
-    // Destroy any lingering text objects
-    for (const t of this._texts) {
+    eventBus.off(Events.PLAYER_DASH, this._onPlayerDash);
+    eventBus.off(Events.PLAYER_GRAZE, this._onPlayerGraze);
+    eventBus.off(Events.BOSS_WARNING, this._onBossWarning);
+    eventBus.off(Events.BOSS_PHASE, this._onBossPhase);
+    eventBus.off(Events.BOSS_DAMAGED, this._onBossDamaged);
+    eventBus.off(Events.BOSS_DEFEATED, this._onBossDefeated);
+    eventBus.off(Events.POWERUP_COLLECTED, this._onPowerUpCollected);
+    eventBus.off(Events.POWERUP_EMP, this._onPowerUpEmp);
+    eventBus.off(Events.POWERUP_SHIELD_HIT, this._onShieldHit);
+
+    // Drop the pools and the effects still in flight
+    this.scene.events.off('update', this._onUpdate);
+    for (const obj of this._effects) obj.destroy();
+    this._effects = [];
+    this._particlePool.destroy();
+    this._scorePopPool.destroy();
+
+    // Destroy any warnings still showing
+    for (const t of this._warningTexts) {
       if (t && t.scene) t.destroy();
     }
-    this._texts = [];
+    this._warningTexts = [];
 
     // Destroy slowdown overlay
     if (this._slowdownOverlay) {
@@ -338,7 +532,6 @@ export class ParticleSystem {
       this._slowdownOverlay = null;
     }
 
-    this._tweens = [];
     this._shownMilestones.clear();
   }
 }
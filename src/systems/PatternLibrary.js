@@ -0,0 +1,125 @@
+import { getEnemyDef } from '../entities/EnemyRegistry.js';
+import '../entities/enemyDefinitions.js';
+import { getFormation } from './formations.js';
+
+// Scripted spawn patterns, authored as JSON in src/patterns/*.json and picked
+// up automatically. In dev, saving a pattern file hot-reloads the library
+// without restarting the run (a pattern already in progress finishes as it was).
+//
+// Pattern file:
+//   {
+//     "id": "firewall",              unique key (defaults to the file name)
+//     "name": "Firewall",            display name (optional)
+//     "unlockTime": 20000,           ms of survival before it can be scheduled
+//     "weight": 3,                   relative pick weight among unlocked patterns
+//     "steps": [
+//       { "at": 0,                   ms after the pattern starts
+//         "formation": "wall",       wall | spiral | pincer | burst (see formations.js)
+//         "enemy": "dataStream",     registered enemy type
+//         "speed": 1,                multiplier on the enemy's normal speed (optional)
+//         ...formation parameters }
+//     ]
+//   }
+//
+// Invalid files are skipped with a console warning so a typo while authoring
+// never takes the game down.
+
+const modules = import.meta.glob('../patterns/*.json', { eager: true, import: 'default' });
+
+/**
+ * Check a pattern definition. Throws an Error describing the first problem.
+ * @param {object} data
+ * @param {string} [fallbackId]
+ * @returns {object} normalized pattern
+ */
+export function validatePattern(data, fallbackId) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Pattern is not an object');
+  }
+  const id = data.id ?? fallbackId;
+  if (typeof id !== 'string' || !id) throw new Error('Pattern has no id');
+  if (!Array.isArray(data.steps) || data.steps.length === 0) {
+    throw new Error(`Pattern "${id}" has no steps`);
+  }
+
+  const steps = data.steps.map((step, i) => {
+    const where = `Pattern "${id}" step ${i}`;
+    const formation = getFormation(step.formation);
+    if (!formation) throw new Error(`${where}: unknown formation "${step.formation}"`);
+    try {
+      getEnemyDef(step.enemy);
+    } catch (e) {
+      throw new Error(`${where}: ${e.message}`);
+    }
+    if (step.at !== undefined && !(Number.isFinite(step.at) && step.at >= 0)) {
+      throw new Error(`${where}: at must be a number of ms >= 0`);
+    }
+    const problem = formation.validate(step);
+    if (problem) throw new Error(`${where}: ${problem}`);
+    return { at: 0, speed: 1, ...step };
+  });
+
+  return {
+    id,
+    name: data.name || id,
+    unlockTime: data.unlockTime ?? 0,
+    weight: data.weight ?? 1,
+    steps,
+  };
+}
+
+function fileId(path) {
+  return path.split('/').pop().replace(/\.json$/, '');
+}
+
+function buildLibrary(mods) {
+  const patterns = new Map();
+  for (const [path, data] of Object.entries(mods)) {
+    try {
+      const pattern = validatePattern(data, fileId(path));
+      patterns.set(pattern.id, pattern);
+    } catch (err) {
+      console.warn(`[Patterns] Skipping ${path}:`, err.message);
+    }
+  }
+  return patterns;
+}
+
+let library = buildLibrary(modules);
+
+export function getPattern(id) {
+  return library.get(id) || null;
+}
+
+export function getPatterns() {
+  return [...library.values()];
+}
+
+/**
+ * Weighted random pick among patterns unlocked at `elapsedMs`, avoiding an
+ * immediate repeat of `lastId` when there is any alternative.
+ * @returns {object|null}
+ */
+export function pickPattern(elapsedMs, random, lastId = null) {
+  let candidates = getPatterns().filter(p => elapsedMs >= p.unlockTime && p.weight > 0);
+  if (candidates.length > 1) candidates = candidates.filter(p => p.id !== lastId);
+  if (candidates.length === 0) return null;
+
+  const total = candidates.reduce((sum, p) => sum + p.weight, 0);
+  let roll = random.next() * total;
+  for (const pattern of candidates) {
+    roll -= pattern.weight;
+    if (roll < 0) return pattern;
+  }
+  return candidates[candidates.length - 1];
+}
+
+// Hot reload: editing a pattern file re-runs this module; fold the fresh
+// library into the instance the rest of the game already imported.
+if (import.meta.hot) {
+  import.meta.hot.accept((next) => {
+    if (!next) return;
+    library = new Map(next.getPatterns().map(p => [p.id, p]));
+    console.info(`[Patterns] Reloaded ${library.size} pattern(s)`);
+  });
+}
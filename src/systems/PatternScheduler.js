@@ -0,0 +1,150 @@
+import { GAME, PATTERN } from '../core/Constants.js';
+import { eventBus, Events } from '../core/EventBus.js';
+import { gameState } from '../core/GameState.js';
+import { rng } from '../core/Random.js';
+import { getPattern, pickPattern } from './PatternLibrary.js';
+import { getFormation } from './formations.js';
+
+const TIMER_EPSILON = 1e-6;
+
+/**
+ * Interleaves scripted spawn patterns with SpawnSystem's random spawns.
+ * Patterns start once survival passes PATTERN.FIRST_AT and come round more
+ * often as the run goes on. Driven by simulation time via update(dt), and
+ * every choice comes from the 'patterns' RNG stream, so replays reproduce them.
+ */
+export class PatternScheduler {
+  /**
+   * @param {import('./SpawnSystem.js').SpawnSystem} spawnSystem
+   */
+  constructor(spawnSystem) {
+    this.spawnSystem = spawnSystem;
+    this.active = null;     // { pattern, elapsed, queue }
+    this.lastId = null;
+    this._cooldown = PATTERN.FIRST_AT;
+  }
+
+  get isActive() {
+    return this.active !== null;
+  }
+
+  /**
+   * Advance one fixed simulation tick.
+   * @param {number} dt - tick length in ms
+   */
+  update(dt) {
+    if (this.active) {
+      this._advance(dt);
+      return;
+    }
+
+    // Boss encounters script their own attacks; hold the next pattern
+    if (this.spawnSystem.bossActive) return;
+
+    this._cooldown -= dt;
+    if (this._cooldown > TIMER_EPSILON) return;
+
+    const elapsed = this.spawnSystem.elapsedTime;
+    const pattern = pickPattern(elapsed, rng.stream('patterns'), this.lastId);
+    if (pattern) {
+      this.start(pattern);
+    } else {
+      this._cooldown = this._interval(elapsed);
+    }
+  }
+
+  /**
+   * Start a pattern now (boss 'pattern' attacks, the window.playPattern dev
+   * hook). A pattern already running is cut off first, with its
+   * PATTERN_ENDED (interrupted: true).
+   * @param {object|string} patternOrId
+   * @returns {boolean} false if no such pattern
+   */
+  start(patternOrId) {
+    const pattern = typeof patternOrId === 'string' ? getPattern(patternOrId) : patternOrId;
+    if (!pattern) return false;
+    if (this.active) this._end(true);
+
+    const random = rng.stream('patterns');
+    const ctx = {
+      random,
+      playerSprite: this.spawnSystem.getPlayerSprite(),
+      margin: PATTERN.EDGE_MARGIN,
+    };
+
+    // Expand every step into timed spawns up front
+    const queue = [];
+    for (const step of pattern.steps) {
+      for (const spawn of getFormation(step.formation).build(step, ctx)) {
+        queue.push({ ...spawn, time: step.at + spawn.delay, enemy: step.enemy, speed: step.speed });
+      }
+    }
+    queue.sort((a, b) => a.time - b.time);
+
+    this.active = { pattern, elapsed: 0, queue };
+    this.lastId = pattern.id;
+    eventBus.emit(Events.PATTERN_STARTED, { id: pattern.id, name: pattern.name });
+
+    // Release anything scheduled at 0 on the same tick
+    this._advance(0);
+    return true;
+  }
+
+  _advance(dt) {
+    const active = this.active;
+    active.elapsed += dt;
+
+    while (active.queue.length > 0 && active.queue[0].time <= active.elapsed + TIMER_EPSILON) {
+      this._release(active.queue.shift());
+    }
+
+    if (active.queue.length === 0) this._end(false);
+  }
+
+  /**
+   * Move the spawns still queued to the same place in a resized world.
+   * @param {number} sx - new width / old width
+   * @param {number} sy - new height / old height
+   */
+  rescale(sx, sy) {
+    if (!this.active) return;
+    for (const spawn of this.active.queue) {
+      spawn.x *= sx;
+      spawn.y *= sy;
+    }
+  }
+
+  /**
+   * @param {boolean} interrupted - cut off before its last spawn
+   */
+  _end(interrupted) {
+    eventBus.emit(Events.PATTERN_ENDED, { id: this.active.pattern.id, interrupted });
+    this.active = null;
+    this._cooldown = this._interval(this.spawnSystem.elapsedTime);
+  }
+
+  _release(spawn) {
+    if (gameState.gameOver) return;
+
+    let angle = spawn.angle;
+    if (spawn.aim) {
+      const player = this.spawnSystem.getPlayerSprite();
+      const target = spawn.aim === 'player' && player
+        ? player
+        : { x: GAME.WIDTH / 2, y: GAME.HEIGHT / 2 };
+      angle += Math.atan2(target.y - spawn.y, target.x - spawn.x);
+    }
+
+    this.spawnSystem.spawnEnemyHeading(spawn.enemy, spawn.x, spawn.y, angle, spawn.speed);
+  }
+
+  /**
+   * Gap before the next pattern, shrinking with survival time
+   */
+  _interval(elapsedMs) {
+    return Math.max(
+      PATTERN.INTERVAL_START - (elapsedMs / 1000) * PATTERN.INTERVAL_DECAY,
+      PATTERN.INTERVAL_MIN
+    );
+  }
+}
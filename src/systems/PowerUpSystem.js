@@ -0,0 +1,252 @@
+import { FRAGMENT, GAME, POWERUP } from '../core/Constants.js';
+import { eventBus, Events } from '../core/EventBus.js';
+import { gameState } from '../core/GameState.js';
+import { rng } from '../core/Random.js';
+import { PowerUp } from '../entities/PowerUp.js';
+import { POWERUP_DEFS, PowerUpKind } from '../entities/powerUpDefinitions.js';
+
+const TIMER_EPSILON = 1e-6;
+
+/**
+ * Power-up pickups and their active effects.
+ *
+ * Pickups are rolled every POWERUP.SPAWN_INTERVAL with a chance (and per-kind
+ * weights) that scale with the speed multiplier. Timed effects count down on
+ * simulation ticks; the 'powerups' RNG stream keeps them replay-safe.
+ */
+export class PowerUpSystem {
+  /**
+   * @param {Phaser.Scene} scene
+   * @param {import('./SpawnSystem.js').SpawnSystem} spawnSystem
+   * @param {import('../entities/Player.js').Player} player
+   * @param {object} rules - game mode rules (maxSpeedMultiplier: the speed cap)
+   */
+  constructor(scene, spawnSystem, player, rules) {
+    this.scene = scene;
+    this.spawnSystem = spawnSystem;
+    this.player = player;
+    this.rules = rules;
+
+    /** @type {PowerUp[]} */
+    this.pickups = [];
+    /** kind -> ms remaining, for timed effects */
+    this.timers = {};
+    this.shieldCharges = 0;
+
+    this._spawnTimer = POWERUP.SPAWN_INTERVAL - POWERUP.FIRST_ROLL;
+  }
+
+  isActive(kind) {
+    if (kind === PowerUpKind.SHIELD) return this.shieldCharges > 0;
+    return (this.timers[kind] || 0) > 0;
+  }
+
+  remaining(kind) {
+    return this.timers[kind] || 0;
+  }
+
+  get scoreMultiplier() {
+    return this.isActive(PowerUpKind.DOUBLER) ? POWERUP.DOUBLER.MULTIPLIER : 1;
+  }
+
+  /**
+   * Advance one fixed simulation tick.
+   * @param {number} dt - tick length in ms
+   */
+  update(dt) {
+    this._spawnTimer += dt;
+    while (this._spawnTimer >= POWERUP.SPAWN_INTERVAL - TIMER_EPSILON) {
+      this._spawnTimer -= POWERUP.SPAWN_INTERVAL;
+      this._rollSpawn();
+    }
+
+    for (let i = this.pickups.length - 1; i >= 0; i--) {
+      const pickup = this.pickups[i];
+      pickup.update(dt);
+      if (pickup.expired) {
+        pickup.destroy();
+        this.pickups.splice(i, 1);
+      }
+    }
+
+    for (const kind of Object.keys(this.timers)) {
+      if (this.timers[kind] <= 0) continue;
+      this.timers[kind] -= dt;
+      if (this.timers[kind] <= TIMER_EPSILON) {
+        this.timers[kind] = 0;
+        eventBus.emit(Events.POWERUP_EXPIRED, { kind });
+      }
+    }
+
+    if (this.isActive(PowerUpKind.MAGNET)) this._pullFragments(dt);
+  }
+
+  // --- Spawning ---
+
+  /**
+   * 0 at speed x1, 1 at the mode's speed cap
+   */
+  _difficulty() {
+    const range = this.rules.maxSpeedMultiplier - 1;
+    if (range <= 0) return 0;
+    const t = (gameState.currentSpeedMultiplier - 1) / range;
+    return Math.min(Math.max(t, 0), 1);
+  }
+
+  _rollSpawn() {
+    if (gameState.gameOver || this.pickups.length >= POWERUP.MAX_ON_SCREEN) return;
+
+    const random = rng.stream('powerups');
+    const t = this._difficulty();
+    const chance = POWERUP.SPAWN_CHANCE_START + (POWERUP.SPAWN_CHANCE_MAX - POWERUP.SPAWN_CHANCE_START) * t;
+    if (!random.chance(chance)) return;
+
+    const kind = this._pickKind(random, t);
+    if (!kind) return;
+
+    const margin = POWERUP.EDGE_MARGIN;
+    const player = this.player.sprite;
+    let x = 0;
+    let y = 0;
+    // A few tries to land away from the player, then take what we have
+    for (let attempt = 0; attempt < 4; attempt++) {
+      x = random.range(margin, GAME.WIDTH - margin);
+      y = random.range(margin, GAME.HEIGHT - margin);
+      if (Math.hypot(x - player.x, y - player.y) >= POWERUP.MIN_PLAYER_DISTANCE) break;
+    }
+
+    this.pickups.push(new PowerUp(this.scene, kind, x, y));
+    eventBus.emit(Events.POWERUP_SPAWNED, { kind, x, y });
+  }
+
+  _pickKind(random, t) {
+    const elapsed = this.spawnSystem.elapsedTime;
+    const options = Object.entries(POWERUP_DEFS)
+      .filter(([, def]) => elapsed >= def.unlockTime)
+      .map(([kind, def]) => ({ kind, weight: def.weight + (def.weightAtMax - def.weight) * t }))
+      .filter(o => o.weight > 0);
+    if (options.length === 0) return null;
+
+    const total = options.reduce((sum, o) => sum + o.weight, 0);
+    let roll = random.next() * total;
+    for (const o of options) {
+      roll -= o.weight;
+      if (roll < 0) return o.kind;
+    }
+    return options[options.length - 1].kind;
+  }
+
+  // --- Collecting ---
+
+  collect(pickup) {
+    const idx = this.pickups.indexOf(pickup);
+    if (idx === -1) return;
+    this.pickups.splice(idx, 1);
+
+    const { kind, def } = pickup;
+    const x = pickup.sprite.x;
+    const y = pickup.sprite.y;
+    pickup.destroy();
+
+    switch (def.stacking) {
+      case 'charges':
+        this.shieldCharges = Math.min(this.shieldCharges + 1, def.maxCharges);
+        break;
+      case 'extend':
+        this.timers[kind] = Math.min((this.timers[kind] || 0) + def.duration, def.maxDuration);
+        break;
+      case 'refresh':
+        this.timers[kind] = def.duration;
+        break;
+      default:
+        break;
+    }
+
+    eventBus.emit(Events.POWERUP_COLLECTED, {
+      kind,
+      x,
+      y,
+      remaining: this.timers[kind] || 0,
+      charges: this.shieldCharges,
+    });
+
+    if (kind === PowerUpKind.EMP) this._emp();
+  }
+
+  /**
+   * Destroy every enemy within EMP.RADIUS of the player (bosses are immune)
+   */
+  _emp() {
+    const px = this.player.sprite.x;
+    const py = this.player.sprite.y;
+    const radius = POWERUP.EMP.RADIUS;
+
+    const hit = this.spawnSystem.enemiesNear(px, py, radius).filter(e =>
+      Math.hypot(e.sprite.x - px, e.sprite.y - py) <= radius
+    );
+    const destroyed = hit.map(e => ({ type: e.type, x: e.sprite.x, y: e.sprite.y }));
+    for (const enemy of hit) this.spawnSystem.removeEnemy(enemy);
+
+    eventBus.emit(Events.POWERUP_EMP, { x: px, y: py, radius, destroyed });
+  }
+
+  // --- Effects consulted by GameScene ---
+
+  /**
+   * Whether the phase effect lets the player pass through this enemy
+   * @param {import('../entities/Enemy.js').Enemy} enemy
+   */
+  canPassThrough(enemy) {
+    return this.isActive(PowerUpKind.PHASE) && !!enemy.def.phaseable;
+  }
+
+  /**
+   * Spend a shield charge on a hit.
+   * @returns {boolean} true if the hit was absorbed
+   */
+  absorbHit() {
+    if (this.shieldCharges <= 0) return false;
+    this.shieldCharges--;
+    this.player.invulnerableRemaining = POWERUP.SHIELD.HIT_INVULNERABLE;
+
+    eventBus.emit(Events.POWERUP_SHIELD_HIT, {
+      x: this.player.sprite.x,
+      y: this.player.sprite.y,
+      charges: this.shieldCharges,
+    });
+    if (this.shieldCharges === 0) {
+      eventBus.emit(Events.POWERUP_EXPIRED, { kind: PowerUpKind.SHIELD });
+    }
+    return true;
+  }
+
+  _pullFragments(dt) {
+    const px = this.player.sprite.x;
+    const py = this.player.sprite.y;
+    const step = POWERUP.MAGNET.PULL_SPEED * (dt / 1000);
+
+    const radius = POWERUP.MAGNET.RADIUS;
+    for (const fragment of this.spawnSystem.fragmentsNear(px, py, radius + FRAGMENT.BOB_AMPLITUDE)) {
+      const dx = px - fragment.sprite.x;
+      const dy = py - fragment.baseY;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+      if (dist === 0 || dist > radius) continue;
+
+      const move = Math.min(step, dist);
+      fragment.sprite.x += (dx / dist) * move;
+      fragment.baseY += (dy / dist) * move;
+    }
+    this.spawnSystem.invalidateGrid();
+  }
+
+  getPickupSprites() {
+    return this.pickups.map(p => p.sprite);
+  }
+
+  destroy() {
+    for (const pickup of this.pickups) pickup.destroy();
+    this.pickups = [];
+    this.timers = {};
+    this.shieldCharges = 0;
+  }
+}
@@ -1,19 +1,122 @@
+import { COMBO } from '../core/Constants.js';
 import { eventBus, Events } from '../core/EventBus.js';
 import { gameState } from '../core/GameState.js';
 
+const TIMER_EPSILON = 1e-6;
+
+/**
+ * Score and the fragment combo chain.
+ *
+ * Every fragment collected within COMBO.WINDOW of the previous one extends
+ * the chain; each COMBO.FRAGMENTS_PER_LEVEL chained fragments add +1 to the
+ * multiplier. When the window runs out the multiplier drops one level every
+ * COMBO.DECAY_INTERVAL until the chain is gone. Grazes buy extra time.
+ * Timers run on simulation ticks so combos replay exactly.
+ */
 export class ScoreSystem {
   constructor() {
     this.onAddScore = this.onAddScore.bind(this);
-    // Score is triggered directly by GameScene.collectFragment()
-    // No need to listen for events here; the scene calls onAddScore() directly.
+    this._onGraze = this._handleGraze.bind(this);
+    // GameScene calls onFragmentCollected() directly and ticks update()
+    eventBus.on(Events.PLAYER_GRAZE, this._onGraze);
+
+    this.chain = 0;
+    this._timer = 0;
+    this._decaying = false;
+  }
+
+  get multiplier() {
+    const level = Math.floor(this.chain / COMBO.FRAGMENTS_PER_LEVEL);
+    return Math.min(1 + level, COMBO.MAX_MULTIPLIER);
+  }
+
+  /**
+   * Fraction of the current window (or decay step) left, for the HUD
+   */
+  get timerFraction() {
+    if (this.chain === 0) return 0;
+    return this._timer / (this._decaying ? COMBO.DECAY_INTERVAL : COMBO.WINDOW);
+  }
+
+  get decaying() {
+    return this._decaying;
+  }
+
+  /**
+   * Advance one fixed simulation tick.
+   * @param {number} dt - tick length in ms
+   */
+  update(dt) {
+    if (this.chain === 0) return;
+
+    this._timer -= dt;
+    while (this.chain > 0 && this._timer <= TIMER_EPSILON) {
+      this._decay();
+    }
+  }
+
+  /**
+   * Chain a collected fragment and award its points.
+   * @param {number} [bonus=1] - extra multiplier on top of the combo (score doubler)
+   * @returns {number} points awarded
+   */
+  onFragmentCollected(bonus = 1) {
+    gameState.fragmentsCollected++;
+
+    this.chain++;
+    this._timer = COMBO.WINDOW;
+    this._decaying = false;
+    gameState.bestCombo = Math.max(gameState.bestCombo, this.chain);
+    this._sync();
+
+    const points = this.multiplier * bonus;
+    this.onAddScore(points);
+    return points;
+  }
+
+  /**
+   * A graze keeps a live chain going a little longer (and stops decay).
+   */
+  _handleGraze() {
+    if (this.chain === 0) return;
+    if (this._decaying) {
+      this._decaying = false;
+      this._timer = COMBO.GRAZE_EXTEND;
+    } else {
+      this._timer = Math.min(this._timer + COMBO.GRAZE_EXTEND, COMBO.WINDOW);
+    }
   }
 
   onAddScore(points = 1) {
     gameState.addScore(points);
-    eventBus.emit(Events.SCORE_CHANGED, { score: gameState.score });
+    eventBus.emit(Events.SCORE_CHANGED, { score: gameState.score, delta: points });
+  }
+
+  _decay() {
+    const level = this.multiplier;
+    // Drop to the bottom of the level below (a sub-x2 chain just ends)
+    this.chain = level > 1 ? (level - 2) * COMBO.FRAGMENTS_PER_LEVEL : 0;
+    this._timer += COMBO.DECAY_INTERVAL;
+    this._decaying = true;
+
+    if (this.chain === 0) {
+      this._timer = 0;
+      this._decaying = false;
+      eventBus.emit(Events.COMBO_ENDED, { best: gameState.bestCombo });
+    }
+    this._sync();
+  }
+
+  _sync() {
+    gameState.combo = this.chain;
+    gameState.comboMultiplier = this.multiplier;
+    eventBus.emit(Events.COMBO_CHANGED, { chain: this.chain, multiplier: this.multiplier });
   }
 
   destroy() {
-    // Clean up listeners here if any were added
+    eventBus.off(Events.PLAYER_GRAZE, this._onGraze);
+    this.chain = 0;
+    this._timer = 0;
+    this._decaying = false;
   }
 }
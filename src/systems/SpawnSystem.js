@@ -1,77 +1,116 @@
-import { ENEMY, FRAGMENT, GAME } from '../core/Constants.js';
+import { BOSS, ENEMY, FRAGMENT, GAME, GRID, PATTERN, POOL } from '../core/Constants.js';
 import { eventBus, Events } from '../core/EventBus.js';
 import { gameState } from '../core/GameState.js';
-import { Enemy, EnemyType } from '../entities/Enemy.js';
+import { rng } from '../core/Random.js';
+import { Pool } from '../core/Pool.js';
+import { SpatialGrid } from '../core/SpatialGrid.js';
+import { Enemy } from '../entities/Enemy.js';
+import { getEnemyDef, pickEnemyType } from '../entities/EnemyRegistry.js';
+import { getMovement } from '../entities/movement.js';
 import { Fragment } from '../entities/Fragment.js';
+import { PatternScheduler } from './PatternScheduler.js';
+
+// Timers compare with a small tolerance so 60 ticks of 1000/60 ms count as a
+// full second despite floating-point accumulation.
+const TIMER_EPSILON = 1e-6;
 
 export class SpawnSystem {
   /**
    * @param {Phaser.Scene} scene
    * @param {Function} getPlayerSprite - Returns the player sprite (for homing enemies)
+   * @param {object} rules - game mode rules (see GameModes.js)
    */
-  constructor(scene, getPlayerSprite) {
+  constructor(scene, getPlayerSprite, rules) {
     this.scene = scene;
     this.getPlayerSprite = getPlayerSprite;
+    this.rules = rules;
 
     /** @type {Enemy[]} */
     this.enemies = [];
     /** @type {Fragment[]} */
     this.fragments = [];
 
-    this.currentSpawnInterval = ENEMY.SPAWN_INTERVAL_START;
+    // Enemies and fragments are recycled rather than rebuilt on every spawn
+    this.enemyPool = new Pool('enemies', {
+      create: () => new Enemy(scene),
+      reset: (enemy, ...args) => enemy.spawn(...args),
+      release: (enemy) => enemy.despawn(),
+      destroy: (enemy) => enemy.destroy(),
+      prewarm: POOL.ENEMY_PREWARM,
+    });
+    this.fragmentPool = new Pool('fragments', {
+      create: () => new Fragment(scene),
+      reset: (fragment, x, y) => fragment.spawn(x, y),
+      release: (fragment) => fragment.despawn(),
+      destroy: (fragment) => fragment.destroy(),
+      prewarm: POOL.FRAGMENT_PREWARM,
+    });
+
+    this.currentSpawnInterval = rules.spawnIntervalStart;
     this.elapsedTime = 0; // ms of gameplay
 
-    // Enemy spawn timer
-    this.enemyTimer = scene.time.addEvent({
-      delay: this.currentSpawnInterval,
-      callback: () => this.spawnEnemy(),
-      loop: true,
-    });
+    // Simulation timers (ms), advanced by update() once per fixed tick
+    // instead of Phaser time events, so spawning is frame-rate independent.
+    this._enemyTimer = 0;
+    this._fragmentTimer = 0;
+    this._accelTimer = 0;
+    this._slowdownRemaining = 0;
 
-    // Fragment spawn timer
-    this.fragmentTimer = scene.time.addEvent({
-      delay: FRAGMENT.SPAWN_INTERVAL,
-      callback: () => this.spawnFragment(),
-      loop: true,
-    });
+    // Spawn initial fragment shortly after start so the player has something to chase
+    this._firstFragmentDelay = FRAGMENT.FIRST_SPAWN_DELAY;
 
-    // Acceleration timer: every 1 second, increase speed and tighten spawn rate
-    this.accelTimer = scene.time.addEvent({
-      delay: 1000,
-      callback: () => this.accelerate(),
-      loop: true,
-    });
+    // Broadphase for proximity queries (collisions, pickups, grazes, EMP,
+    // magnet). Rebuilt lazily: anything that moves, adds or removes enemies
+    // or fragments marks it stale with invalidateGrid().
+    this._enemyGrid = new SpatialGrid(GRID.CELL_SIZE);
+    this._fragmentGrid = new SpatialGrid(GRID.CELL_SIZE);
+    this._gridStale = true;
 
-    // Spawn initial fragment so the player has something to chase
-    scene.time.delayedCall(500, () => this.spawnFragment());
+    // Scripted formations, interleaved with the random spawns below
+    this.patterns = new PatternScheduler(this);
+
+    // Set by BossSystem while an encounter is running
+    this.bossActive = false;
   }
 
   /**
-   * Called every second to increase difficulty
+   * Gameplay time in ms, including the part of the current second not yet
+   * counted by accelerate()
+   */
+  get runTime() {
+    return this.elapsedTime + this._accelTimer;
+  }
+
+  /** ms until the current fragment slowdown wears off (0 when not slowed) */
+  get slowdownRemaining() {
+    return this._slowdownRemaining;
+  }
+
+  /**
+   * Called every second to increase difficulty along the mode's curve
    */
   accelerate() {
+    const rules = this.rules;
     this.elapsedTime += 1000;
     gameState.survivalTime = this.elapsedTime / 1000;
 
     // Increase speed multiplier (capped)
     gameState.currentSpeedMultiplier = Math.min(
-      1.0 + (this.elapsedTime / 1000) * ENEMY.ACCELERATION_RATE,
-      ENEMY.MAX_SPEED_MULTIPLIER
+      1.0 + (this.elapsedTime / 1000) * rules.accelerationRate,
+      rules.maxSpeedMultiplier
     );
 
     // Tighten spawn interval
     this.currentSpawnInterval = Math.max(
-      ENEMY.SPAWN_INTERVAL_START - (this.elapsedTime / 1000) * ENEMY.SPAWN_ACCELERATION,
-      ENEMY.SPAWN_INTERVAL_MIN
+      rules.spawnIntervalStart - (this.elapsedTime / 1000) * rules.spawnAcceleration,
+      rules.spawnIntervalMin
     );
 
-    // Update the timer delay
-    this.enemyTimer.delay = this.currentSpawnInterval;
-
     eventBus.emit(Events.ACCELERATION_TICK, {
       speedMultiplier: gameState.currentSpeedMultiplier,
       spawnInterval: this.currentSpawnInterval,
       survivalTime: gameState.survivalTime,
+      atMaxSpeed: gameState.currentSpeedMultiplier >= this.rules.maxSpeedMultiplier,
     });
   }
 
@@ -79,107 +118,90 @@ export class SpawnSystem {
    * Spawn an enemy from a random edge
    */
   spawnEnemy() {
-    if (gameState.gameOver) return;
+    if (gameState.gameOver || !this.rules.enemies) return;
 
     // Pick enemy type (weighted by elapsed time)
     const type = this._pickEnemyType();
     const { x, y, vx, vy } = this._getSpawnPosition(type);
 
+    this._addEnemy(type, x, y, vx, vy);
+  }
+
+  /**
+   * Spawn an enemy heading in a fixed direction (scripted patterns)
+   * @param {string} type - registered enemy type
+   * @param {number} angle - heading in radians
+   * @param {number} [speedScale] - multiplier on the type's normal speed
+   */
+  spawnEnemyHeading(type, x, y, angle, speedScale = 1) {
+    if (gameState.gameOver || !this.rules.enemies) return;
+
+    const speed = this._enemySpeed(getEnemyDef(type)) * speedScale;
+    this._addEnemy(type, x, y, Math.cos(angle) * speed, Math.sin(angle) * speed);
+  }
+
+  _addEnemy(type, x, y, vx, vy) {
     const playerSprite = this.getPlayerSprite();
-    const enemy = new Enemy(this.scene, type, x, y, vx, vy, playerSprite);
+    const enemy = this.enemyPool.acquire(type, x, y, vx, vy, playerSprite);
     this.enemies.push(enemy);
+    this._gridStale = true;
 
     eventBus.emit(Events.ENEMY_SPAWNED, { type, x, y });
   }
 
   /**
-   * Pick enemy type based on game time
+   * Current launch speed for an enemy type (difficulty and slowdown applied)
    */
-  _pickEnemyType() {
-    const t = this.elapsedTime;
-    const rand = Math.random();
-
-    // Singularity nodes only after minimum time
-    if (t >= ENEMY.SINGULARITY_NODE.MIN_SPAWN_TIME && rand < 0.15) {
-      return EnemyType.SINGULARITY_NODE;
-    }
+  _enemySpeed(def) {
+    const slowFactor = gameState.isSlowed ? FRAGMENT.SLOW_FACTOR : 1;
+    return ENEMY.BASE_SPEED * gameState.currentSpeedMultiplier * def.speedMult * slowFactor;
+  }
 
-    // Data streams are more common (60%), code blocks less (40%)
-    return rand < 0.6 ? EnemyType.DATA_STREAM : EnemyType.CODE_BLOCK;
+  /**
+   * Pick an unlocked enemy type by spawn weight
+   */
+  _pickEnemyType() {
+    return pickEnemyType(this.elapsedTime, rng.stream('enemies'), this.rules.unlockTimes);
   }
 
   /**
    * Calculate spawn position and velocity from a random edge
    */
   _getSpawnPosition(type) {
-    const edge = Math.floor(Math.random() * 4); // 0=top, 1=right, 2=bottom, 3=left
-    const speed = ENEMY.BASE_SPEED * gameState.currentSpeedMultiplier;
-    const slowFactor = gameState.isSlowed ? FRAGMENT.SLOW_FACTOR : 1;
-
-    let x, y, vx, vy;
-    let speedMult;
-
-    switch (type) {
-      case EnemyType.DATA_STREAM:
-        speedMult = ENEMY.DATA_STREAM.SPEED_MULT;
-        break;
-      case EnemyType.CODE_BLOCK:
-        speedMult = ENEMY.CODE_BLOCK.SPEED_MULT;
-        break;
-      case EnemyType.SINGULARITY_NODE:
-        speedMult = ENEMY.SINGULARITY_NODE.SPEED_MULT;
-        break;
-      default:
-        speedMult = 1;
-    }
-
-    const finalSpeed = speed * speedMult * slowFactor;
+    const random = rng.stream('enemies');
+    const edge = random.int(0, 3); // 0=top, 1=right, 2=bottom, 3=left
+    const def = getEnemyDef(type);
+    const finalSpeed = this._enemySpeed(def);
     const margin = 50;
+    let x, y;
 
     switch (edge) {
       case 0: // Top
-        x = Math.random() * GAME.WIDTH;
+        x = random.next() * GAME.WIDTH;
         y = -margin;
         break;
       case 1: // Right
         x = GAME.WIDTH + margin;
-        y = Math.random() * GAME.HEIGHT;
+        y = random.next() * GAME.HEIGHT;
         break;
       case 2: // Bottom
-        x = Math.random() * GAME.WIDTH;
+        x = random.next() * GAME.WIDTH;
         y = GAME.HEIGHT + margin;
         break;
       case 3: // Left
         x = -margin;
-        y = Math.random() * GAME.HEIGHT;
+        y = random.next() * GAME.HEIGHT;
         break;
     }
 
-    // Velocity: aim toward center with some randomness, or toward player for code blocks
-    const playerSprite = this.getPlayerSprite();
-    let targetX, targetY;
-
-    if (type === EnemyType.CODE_BLOCK && playerSprite) {
-      // Code blocks drift toward the player
-      targetX = playerSprite.x;
-      targetY = playerSprite.y;
-    } else {
-      // Others aim toward center with some scatter
-      targetX = GAME.WIDTH / 2 + (Math.random() - 0.5) * GAME.WIDTH * 0.4;
-      targetY = GAME.HEIGHT / 2 + (Math.random() - 0.5) * GAME.HEIGHT * 0.4;
-    }
-
-    const dx = targetX - x;
-    const dy = targetY - y;
-    const dist = Math.sqrt(dx * dx + dy * dy);
-
-    if (dist > 0) {
-      vx = (dx / dist) * finalSpeed;
-      vy = (dy / dist) * finalSpeed;
-    } else {
-      vx = 0;
-      vy = finalSpeed;
-    }
+    // Initial velocity comes from the type's movement behaviour
+    const { vx, vy } = getMovement(def.movement).launch({
+      x, y,
+      speed: finalSpeed,
+      random,
+      playerSprite: this.getPlayerSprite(),
+      def,
+    });
 
     return { x, y, vx, vy };
   }
@@ -191,18 +213,30 @@ export class SpawnSystem {
     if (gameState.gameOver) return;
     if (this.fragments.length >= FRAGMENT.MAX_ON_SCREEN) return;
 
+    const random = rng.stream('fragments');
     const margin = FRAGMENT.EDGE_MARGIN;
-    const x = margin + Math.random() * (GAME.WIDTH - margin * 2);
-    const y = margin + Math.random() * (GAME.HEIGHT - margin * 2);
+    const x = margin + random.next() * (GAME.WIDTH - margin * 2);
+    const y = margin + random.next() * (GAME.HEIGHT - margin * 2);
+
+    this.spawnFragmentAt(x, y);
+  }
+
+  /**
+   * Spawn a fragment at an exact position (ignores MAX_ON_SCREEN)
+   */
+  spawnFragmentAt(x, y) {
+    if (gameState.gameOver) return;
 
-    const fragment = new Fragment(this.scene, x, y);
+    const fragment = this.fragmentPool.acquire(x, y);
     this.fragments.push(fragment);
+    this._gridStale = true;
   }
 
   /**
-   * Apply slowdown to all active enemies
+   * Apply slowdown to all active enemies (unless the mode turns it off)
    */
   applySlowdown() {
+    if (!this.rules.slowdown) return;
     gameState.isSlowed = true;
     eventBus.emit(Events.SLOWDOWN_START);
 
@@ -210,18 +244,16 @@ export class SpawnSystem {
       enemy.applySlowdown(FRAGMENT.SLOW_FACTOR);
     }
 
-    // Clear previous slowdown timer if any
-    if (this._slowdownTimer) {
-      this._slowdownTimer.remove();
-    }
+    // Restart the slowdown countdown (refreshes if already slowed)
+    this._slowdownRemaining = FRAGMENT.SLOW_DURATION;
+  }
 
-    this._slowdownTimer = this.scene.time.delayedCall(FRAGMENT.SLOW_DURATION, () => {
-      gameState.isSlowed = false;
-      eventBus.emit(Events.SLOWDOWN_END);
-      for (const enemy of this.enemies) {
-        enemy.restoreSpeed();
-      }
-    });
+  _endSlowdown() {
+    gameState.isSlowed = false;
+    eventBus.emit(Events.SLOWDOWN_END);
+    for (const enemy of this.enemies) {
+      enemy.restoreSpeed();
+    }
   }
 
   /**
@@ -231,50 +263,170 @@ export class SpawnSystem {
     const idx = this.fragments.indexOf(fragment);
     if (idx !== -1) {
       this.fragments.splice(idx, 1);
-      fragment.destroy();
+      this.fragmentPool.release(fragment);
+      this._gridStale = true;
     }
   }
 
   /**
-   * Update all enemies, remove off-screen ones
+   * Remove a destroyed enemy (EMP, shield hit)
    */
-  update() {
-    // Update homing enemies
+  removeEnemy(enemy) {
+    const idx = this.enemies.indexOf(enemy);
+    if (idx !== -1) {
+      this.enemies.splice(idx, 1);
+      this.enemyPool.release(enemy);
+      this._gridStale = true;
+    }
+  }
+
+  /**
+   * Advance one fixed simulation tick: run spawn/acceleration/slowdown
+   * timers, update all enemies, remove off-screen ones
+   * @param {number} dt - tick length in ms
+   */
+  update(dt) {
+    // Acceleration: every 1 second, increase speed and tighten spawn rate
+    this._accelTimer += dt;
+    while (this._accelTimer >= 1000 - TIMER_EPSILON) {
+      this._accelTimer -= 1000;
+      this.accelerate();
+    }
+
+    // Random spawns thin out during boss encounters and scripted patterns
+    if (this.rules.enemies) {
+      this.patterns.update(dt);
+      const spawnScale = this.bossActive ? BOSS.RANDOM_SPAWN_SCALE
+        : this.patterns.isActive ? PATTERN.RANDOM_SPAWN_SCALE : 1;
+      this._enemyTimer += dt * spawnScale;
+      while (this._enemyTimer >= this.currentSpawnInterval - TIMER_EPSILON) {
+        this._enemyTimer -= this.currentSpawnInterval;
+        this.spawnEnemy();
+      }
+    }
+
+    const fragmentInterval = this.rules.fragmentInterval;
+    this._fragmentTimer += dt;
+    while (this._fragmentTimer >= fragmentInterval - TIMER_EPSILON) {
+      this._fragmentTimer -= fragmentInterval;
+      this.spawnFragment();
+    }
+
+    if (this._firstFragmentDelay > 0) {
+      this._firstFragmentDelay -= dt;
+      if (this._firstFragmentDelay <= TIMER_EPSILON) {
+        this._firstFragmentDelay = 0;
+        this.spawnFragment();
+      }
+    }
+
+    if (this._slowdownRemaining > 0) {
+      this._slowdownRemaining -= dt;
+      if (this._slowdownRemaining <= TIMER_EPSILON) {
+        this._slowdownRemaining = 0;
+        this._endSlowdown();
+      }
+    }
+
+    // Per-tick enemy movement (homing etc.)
     for (const enemy of this.enemies) {
       enemy.update();
     }
 
+    // Fragment bobbing is simulated so pickup positions are deterministic
+    for (const fragment of this.fragments) {
+      fragment.update(dt);
+    }
+
     // Remove off-screen enemies
     for (let i = this.enemies.length - 1; i >= 0; i--) {
       if (this.enemies[i].isOffScreen()) {
-        this.enemies[i].destroy();
+        this.enemyPool.release(this.enemies[i]);
         this.enemies.splice(i, 1);
       }
     }
+    this._gridStale = true;
+  }
+
+  // --- Proximity queries ---
+
+  /**
+   * Mark positions as changed (after the physics step, or after moving
+   * enemies or fragments directly); the next query rebuilds the grid.
+   */
+  invalidateGrid() {
+    this._gridStale = true;
+  }
+
+  _refreshGrid() {
+    if (!this._gridStale) return;
+    this._gridStale = false;
+
+    // Enemies by their physics body, fragments by their sprite (bobbing
+    // moves the sprite ahead of the body)
+    this._enemyGrid.clear();
+    for (const enemy of this.enemies) {
+      const body = enemy.sprite.body;
+      this._enemyGrid.insert(enemy, body.center.x, body.center.y, body.halfWidth, body.halfHeight);
+    }
+    this._fragmentGrid.clear();
+    for (const fragment of this.fragments) {
+      const body = fragment.sprite.body;
+      this._fragmentGrid.insert(fragment, fragment.sprite.x, fragment.sprite.y, body.halfWidth, body.halfHeight);
+    }
+  }
+
+  /**
+   * Enemies whose hitbox bounds come within `radius` of (x, y), in spawn
+   * order. A broadphase: run the exact test on the results.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} radius
+   * @param {Enemy[]} [out] - appended to and returned
+   * @returns {Enemy[]}
+   */
+  enemiesNear(x, y, radius, out = []) {
+    this._refreshGrid();
+    return this._enemyGrid.query(x, y, radius, out);
+  }
+
+  /**
+   * Fragments whose bounds come within `radius` of (x, y), in spawn order.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} radius
+   * @param {Fragment[]} [out] - appended to and returned
+   * @returns {Fragment[]}
+   */
+  fragmentsNear(x, y, radius, out = []) {
+    this._refreshGrid();
+    return this._fragmentGrid.query(x, y, radius, out);
   }
 
   /**
-   * Get all enemy sprites for collision detection
+   * Get all enemy sprites
+   * @param {Phaser.GameObjects.Sprite[]} [out] - appended to and returned
+   *   (pass a reused array to avoid allocating every tick)
    */
-  getEnemySprites() {
-    return this.enemies.map(e => e.sprite);
+  getEnemySprites(out = []) {
+    for (const enemy of this.enemies) out.push(enemy.sprite);
+    return out;
   }
 
   /**
-   * Get all fragment sprites for overlap detection
+   * Get all fragment sprites
+   * @param {Phaser.GameObjects.Sprite[]} [out] - appended to and returned
    */
-  getFragmentSprites() {
-    return this.fragments.map(f => f.sprite);
+  getFragmentSprites(out = []) {
+    for (const fragment of this.fragments) out.push(fragment.sprite);
+    return out;
   }
 
   /**
    * Clean up everything
    */
   destroy() {
-    if (this.enemyTimer) this.enemyTimer.remove();
-    if (this.fragmentTimer) this.fragmentTimer.remove();
-    if (this.accelTimer) this.accelTimer.remove();
-    if (this._slowdownTimer) this._slowdownTimer.remove();
+    this._slowdownRemaining = 0;
 
     for (const enemy of this.enemies) {
       enemy.destroy();
@@ -282,6 +434,8 @@ export class SpawnSystem {
     for (const fragment of this.fragments) {
       fragment.destroy();
     }
+    this.enemyPool.destroy();
+    this.fragmentPool.destroy();
 
     this.enemies = [];
     this.fragments = [];
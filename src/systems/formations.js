@@ -0,0 +1,177 @@
+import { GAME } from '../core/Constants.js';
+
+// Formation builders for scripted spawn patterns (see PatternLibrary.js).
+//
+// build(step, ctx) expands one pattern step into spawn entries:
+//   { delay, x, y, angle, aim }
+//     delay  ms after the step starts
+//     x, y   spawn position (just off-screen)
+//     aim    null | 'center' | 'player' -- resolved when the enemy is released
+//     angle  heading in radians; an offset from the aim direction when aim is set
+// ctx = { random, playerSprite, margin }
+//
+// validate(step) returns an error string for bad parameters, or null.
+
+const EDGES = ['top', 'right', 'bottom', 'left'];
+const OPPOSITE = { top: 'bottom', bottom: 'top', left: 'right', right: 'left' };
+const INWARD = { top: Math.PI / 2, right: Math.PI, bottom: -Math.PI / 2, left: 0 };
+const DEG = Math.PI / 180;
+
+const formations = new Map();
+
+function resolveEdge(edge, random) {
+  if (!edge || edge === 'random') return random.pick(EDGES);
+  return edge;
+}
+
+/**
+ * Point just outside `edge`, `t` (0..1) of the way along it.
+ */
+function pointOnEdge(edge, t, margin) {
+  switch (edge) {
+    case 'top': return { x: t * GAME.WIDTH, y: -margin };
+    case 'right': return { x: GAME.WIDTH + margin, y: t * GAME.HEIGHT };
+    case 'bottom': return { x: t * GAME.WIDTH, y: GAME.HEIGHT + margin };
+    default: return { x: -margin, y: t * GAME.HEIGHT };
+  }
+}
+
+function checkEdge(edge) {
+  if (edge === undefined || edge === 'random' || EDGES.includes(edge)) return null;
+  return `edge must be one of ${EDGES.join(', ')} or "random"`;
+}
+
+function checkCount(count, min = 1) {
+  return Number.isInteger(count) && count >= min ? null : `count must be an integer >= ${min}`;
+}
+
+export function registerFormation(name, formation) {
+  formations.set(name, formation);
+}
+
+export function getFormation(name) {
+  return formations.get(name) || null;
+}
+
+// Line of enemies along one edge, all heading straight in, with a gap to slip through
+//   { edge, count, gap = 2, gapAt = random (0..1) }
+registerFormation('wall', {
+  validate(step) {
+    const gap = step.gap ?? 2;
+    return checkEdge(step.edge) || checkCount(step.count, 2) ||
+      (Number.isInteger(gap) && gap >= 1 && gap < step.count ? null : 'gap must be an integer between 1 and count - 1');
+  },
+  build(step, { random, margin }) {
+    const edge = resolveEdge(step.edge, random);
+    const count = step.count;
+    const gap = step.gap ?? 2;
+    const gapAt = typeof step.gapAt === 'number' ? step.gapAt : random.next();
+    const gapStart = Math.round(gapAt * (count - gap));
+
+    const spawns = [];
+    for (let i = 0; i < count; i++) {
+      if (i >= gapStart && i < gapStart + gap) continue;
+      const { x, y } = pointOnEdge(edge, (i + 0.5) / count, margin);
+      spawns.push({ delay: 0, x, y, angle: INWARD[edge], aim: null });
+    }
+    return spawns;
+  },
+});
+
+// Enemies released one after another from points rotating around the arena,
+// each aimed at the centre and skewed by `twist` degrees so the stream swirls
+//   { count, interval = 100, turns = 1, direction = 1, twist = 15 }
+registerFormation('spiral', {
+  validate(step) {
+    return checkCount(step.count) ||
+      (step.direction === undefined || step.direction === 1 || step.direction === -1 ? null : 'direction must be 1 or -1');
+  },
+  build(step, { random, margin }) {
+    const count = step.count;
+    const interval = step.interval ?? 100;
+    const turns = step.turns ?? 1;
+    const dir = step.direction ?? 1;
+    const twist = (step.twist ?? 15) * DEG * dir;
+
+    const cx = GAME.WIDTH / 2;
+    const cy = GAME.HEIGHT / 2;
+    const radius = Math.hypot(cx, cy) + margin;
+    const start = random.next() * Math.PI * 2;
+
+    const spawns = [];
+    for (let i = 0; i < count; i++) {
+      const a = start + dir * Math.PI * 2 * turns * (i / count);
+      spawns.push({
+        delay: i * interval,
+        x: cx + Math.cos(a) * radius,
+        y: cy + Math.sin(a) * radius,
+        angle: twist,
+        aim: 'center',
+      });
+    }
+    return spawns;
+  },
+});
+
+// Two opposite edges close in on the player at once
+//   { axis = random ('horizontal' | 'vertical'), count = 3 per side, spread = 0.25, stagger = 0 }
+registerFormation('pincer', {
+  validate(step) {
+    if (step.axis !== undefined && !['horizontal', 'vertical', 'random'].includes(step.axis)) {
+      return 'axis must be "horizontal", "vertical" or "random"';
+    }
+    return step.count === undefined ? null : checkCount(step.count);
+  },
+  build(step, { random, playerSprite, margin }) {
+    const axis = !step.axis || step.axis === 'random'
+      ? random.pick(['horizontal', 'vertical'])
+      : step.axis;
+    const count = step.count ?? 3;
+    const spread = step.spread ?? 0.25;
+    const stagger = step.stagger ?? 0;
+
+    const first = axis === 'horizontal' ? 'left' : 'top';
+    // Centre the pincer on the player's position along the edge
+    const along = axis === 'horizontal'
+      ? (playerSprite ? playerSprite.y / GAME.HEIGHT : 0.5)
+      : (playerSprite ? playerSprite.x / GAME.WIDTH : 0.5);
+
+    const spawns = [];
+    [first, OPPOSITE[first]].forEach((edge, side) => {
+      for (let i = 0; i < count; i++) {
+        const offset = count > 1 ? (i / (count - 1) - 0.5) * spread : 0;
+        const t = Math.min(Math.max(along + offset, 0), 1);
+        const { x, y } = pointOnEdge(edge, t, margin);
+        spawns.push({ delay: side * stagger, x, y, angle: 0, aim: 'player' });
+      }
+    });
+    return spawns;
+  },
+});
+
+// Fan of enemies from a single point on an edge
+//   { edge, position = random (0..1 along the edge), count, spread = 50 (degrees),
+//     aim = 'center' | 'player', interval = 0 }
+registerFormation('burst', {
+  validate(step) {
+    if (step.aim !== undefined && step.aim !== 'center' && step.aim !== 'player') {
+      return 'aim must be "center" or "player"';
+    }
+    return checkEdge(step.edge) || checkCount(step.count);
+  },
+  build(step, { random, margin }) {
+    const edge = resolveEdge(step.edge, random);
+    const t = typeof step.position === 'number' ? step.position : 0.2 + random.next() * 0.6;
+    const { x, y } = pointOnEdge(edge, t, margin);
+    const count = step.count;
+    const spread = (step.spread ?? 50) * DEG;
+    const interval = step.interval ?? 0;
+
+    const spawns = [];
+    for (let i = 0; i < count; i++) {
+      const offset = count > 1 ? (i / (count - 1) - 0.5) * spread : 0;
+      spawns.push({ delay: i * interval, x, y, angle: offset, aim: step.aim || 'center' });
+    }
+    return spawns;
+  },
+});
@@ -0,0 +1,108 @@
+import { BOSS, COLORS, GAME, PX, UI } from '../core/Constants.js';
+import { eventBus, Events } from '../core/EventBus.js';
+
+/**
+ * Boss health bar along the bottom of the screen (the top is reserved for
+ * the Play.fun score widget). Driven entirely by BOSS_* events.
+ */
+export class BossHud {
+  /**
+   * @param {Phaser.Scene} scene
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.maxHealth = 1;
+    this.health = 1;
+
+    this.barH = Math.max(8, Math.round(8 * PX));
+
+    this.container = scene.add.container(0, 0);
+    this.container.setDepth(200).setAlpha(0).setVisible(false);
+
+    const fontSize = Math.round(GAME.HEIGHT * UI.SMALL_RATIO);
+    this.nameText = scene.add.text(0, -this.barH - fontSize * 0.2, '', {
+      fontSize: fontSize + 'px',
+      fontFamily: UI.FONT,
+      color: COLORS.UI_TEXT,
+      fontStyle: 'bold',
+      letterSpacing: 2,
+      shadow: { offsetX: 0, offsetY: 1, color: '#000000', blur: 3, fill: true },
+    }).setOrigin(0.5, 1);
+
+    this.bar = scene.add.graphics();
+    this.container.add([this.bar, this.nameText]);
+    this.layout();
+
+    this._onSpawned = this._handleSpawned.bind(this);
+    this._onDamaged = this._handleDamaged.bind(this);
+    this._onGone = this._hide.bind(this);
+
+    eventBus.on(Events.BOSS_SPAWNED, this._onSpawned);
+    eventBus.on(Events.BOSS_DAMAGED, this._onDamaged);
+    eventBus.on(Events.BOSS_DEFEATED, this._onGone);
+    eventBus.on(Events.BOSS_RETREATED, this._onGone);
+  }
+
+  /**
+   * Fit the bar to the current world size (also after a resize).
+   */
+  layout() {
+    this.barW = GAME.WIDTH * 0.5;
+    this.container.setPosition(GAME.WIDTH / 2, GAME.HEIGHT * 0.9);
+    this._draw();
+  }
+
+  _handleSpawned({ name, health, maxHealth }) {
+    this.maxHealth = maxHealth;
+    this.health = health;
+    this.nameText.setText(name);
+    this._draw();
+
+    this.scene.tweens.killTweensOf(this.container);
+    this.container.setVisible(true);
+    this.scene.tweens.add({ targets: this.container, alpha: 1, duration: 300 });
+  }
+
+  _handleDamaged({ health }) {
+    this.health = health;
+    this._draw();
+  }
+
+  _hide() {
+    this.scene.tweens.killTweensOf(this.container);
+    this.scene.tweens.add({
+      targets: this.container,
+      alpha: 0,
+      duration: 400,
+      onComplete: () => this.container.setVisible(false),
+    });
+  }
+
+  /**
+   * One segment per point of health
+   */
+  _draw() {
+    const g = this.bar;
+    const w = this.barW;
+    const h = this.barH;
+    const gap = Math.max(2, Math.round(2 * PX));
+    const segW = (w - gap * (this.maxHealth - 1)) / this.maxHealth;
+
+    g.clear();
+    g.fillStyle(BOSS.HUD_BG_COLOR, 0.5);
+    g.fillRect(-w / 2 - gap, -h - gap, w + gap * 2, h + gap * 2);
+
+    for (let i = 0; i < this.maxHealth; i++) {
+      const alive = i < this.health;
+      g.fillStyle(BOSS.HUD_COLOR, alive ? 1 : 0.15);
+      g.fillRect(-w / 2 + i * (segW + gap), -h, segW, h);
+    }
+  }
+
+  destroy() {
+    eventBus.off(Events.BOSS_SPAWNED, this._onSpawned);
+    eventBus.off(Events.BOSS_DAMAGED, this._onDamaged);
+    eventBus.off(Events.BOSS_DEFEATED, this._onGone);
+    eventBus.off(Events.BOSS_RETREATED, this._onGone);
+  }
+}
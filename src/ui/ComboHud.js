@@ -0,0 +1,74 @@
+import { COMBO, GAME, UI } from '../core/Constants.js';
+
+/**
+ * Combo multiplier in the bottom-right corner with a bar showing how long
+ * the chain has left. Hidden while the multiplier is x1. Polled from
+ * ScoreSystem once per render frame.
+ */
+export class ComboHud {
+  /**
+   * @param {Phaser.Scene} scene
+   * @param {import('../systems/ScoreSystem.js').ScoreSystem} scoreSystem
+   */
+  constructor(scene, scoreSystem) {
+    this.scene = scene;
+    this.scoreSystem = scoreSystem;
+    this._shown = 1;
+
+    const fontSize = Math.round(GAME.HEIGHT * UI.BODY_RATIO);
+
+    this.container = scene.add.container(0, 0).setDepth(200).setVisible(false);
+
+    this.label = scene.add.text(0, -COMBO.HUD_MARGIN, '', {
+      fontSize: fontSize + 'px',
+      fontFamily: UI.FONT,
+      color: '#ffd700',
+      fontStyle: 'bold',
+      shadow: { offsetX: 0, offsetY: 1, color: '#000000', blur: 3, fill: true },
+    }).setOrigin(1, 1);
+
+    this.bar = scene.add.graphics();
+    this.container.add([this.bar, this.label]);
+    this.layout();
+  }
+
+  /** Pin to the bottom-right corner (also after a resize) */
+  layout() {
+    this.container.setPosition(GAME.WIDTH - COMBO.HUD_MARGIN, GAME.HEIGHT - COMBO.HUD_MARGIN);
+  }
+
+  update() {
+    const score = this.scoreSystem;
+    const multiplier = score.multiplier;
+
+    this.container.setVisible(multiplier > 1);
+    if (multiplier <= 1) {
+      this._shown = 1;
+      return;
+    }
+
+    if (multiplier !== this._shown) {
+      // Punch the label when the multiplier goes up
+      if (multiplier > this._shown) {
+        this.scene.tweens.killTweensOf(this.label);
+        this.label.setScale(1.4);
+        this.scene.tweens.add({ targets: this.label, scaleX: 1, scaleY: 1, duration: 200, ease: 'Back.easeOut' });
+      }
+      this._shown = multiplier;
+      this.label.setText(`COMBO x${multiplier}`);
+    }
+
+    const w = COMBO.HUD_WIDTH;
+    const h = Math.max(2, Math.round(COMBO.HUD_MARGIN * 0.35));
+    const g = this.bar;
+    g.clear();
+    g.fillStyle(0x000000, 0.5);
+    g.fillRect(-w, -h, w, h);
+    g.fillStyle(COMBO.HUD_COLOR, score.decaying ? 0.45 : 1);
+    g.fillRect(-w, -h, w * Math.min(score.timerFraction, 1), h);
+  }
+
+  destroy() {
+    this.container.destroy();
+  }
+}
@@ -0,0 +1,148 @@
+import { DEBUG, GAME, UI } from '../core/Constants.js';
+import { eventBus, Events } from '../core/EventBus.js';
+import { gameState } from '../core/GameState.js';
+
+// On/off for the whole session: starts from ?debug, then follows the toggle
+// key across runs
+let enabled = null;
+
+function isEnabled() {
+  if (enabled === null) {
+    enabled = new URLSearchParams(window.location.search).has(DEBUG.URL_PARAM);
+  }
+  return enabled;
+}
+
+/**
+ * Gameplay inspector for GameScene, toggled with the ` key (or on from the
+ * start with ?debug). Shows:
+ *   - every physics body as Arcade's debug view draws it (circle or box as
+ *     set up by the entity) with its velocity vector
+ *   - a line from each steering enemy to the target it is homing on
+ *   - where enemies spawned recently, pinned to the arena edge
+ *   - a panel with FPS, entity counts, spawn interval, speed multiplier and
+ *     the slowdown time left
+ * Drawn once per render frame.
+ */
+export class DebugOverlay {
+  /**
+   * @param {Phaser.Scene} scene - the GameScene (reads its systems)
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this._spawns = [];
+    this._panelTimer = 0;
+
+    this.graphics = scene.add.graphics().setDepth(150);
+
+    const fontSize = Math.round(GAME.HEIGHT * UI.SMALL_RATIO);
+    this.panel = scene.add.text(0, 0, '', {
+      fontSize: fontSize + 'px',
+      fontFamily: UI.FONT,
+      color: '#00ff88',
+      backgroundColor: 'rgba(0,0,0,0.6)',
+      padding: { x: fontSize * 0.5, y: fontSize * 0.3 },
+      lineSpacing: fontSize * 0.2,
+    }).setDepth(210);
+
+    this._onKey = (event) => {
+      if (event.code === DEBUG.TOGGLE_KEY && !event.repeat) this.setEnabled(!enabled);
+    };
+    scene.input.keyboard.on('keydown', this._onKey);
+
+    this._onEnemySpawned = this._handleEnemySpawned.bind(this);
+    eventBus.on(Events.ENEMY_SPAWNED, this._onEnemySpawned);
+
+    this.layout();
+    this.setEnabled(isEnabled());
+  }
+
+  /** Top-left corner (also after a resize) */
+  layout() {
+    this.panel.setPosition(UI.MIN_TOUCH * 0.4, UI.MIN_TOUCH * 0.4);
+  }
+
+  setEnabled(on) {
+    enabled = on;
+    // Arcade's body view is only built on first use; GameConfig keeps it off
+    const world = this.scene.physics.world;
+    if (on && !world.debugGraphic) world.createDebugGraphic();
+    world.drawDebug = on;
+    if (world.debugGraphic) world.debugGraphic.clear().setVisible(on);
+
+    this.graphics.clear().setVisible(on);
+    this.panel.setVisible(on);
+    this._spawns.length = 0;
+    this._panelTimer = 0;
+  }
+
+  _handleEnemySpawned({ x, y }) {
+    if (enabled) this._spawns.push({ x, y, time: this.scene.time.now });
+  }
+
+  /**
+   * @param {number} delta - ms since the last frame
+   */
+  update(delta) {
+    if (!enabled) return;
+    this._draw();
+
+    this._panelTimer -= delta;
+    if (this._panelTimer <= 0) {
+      this._panelTimer = DEBUG.PANEL_REFRESH;
+      this._updatePanel();
+    }
+  }
+
+  _draw() {
+    const g = this.graphics;
+    const spawnSystem = this.scene.spawnSystem;
+    g.clear();
+
+    // Steering enemies and what they are chasing
+    g.lineStyle(1, DEBUG.HOMING_COLOR, 0.7);
+    for (const enemy of spawnSystem.enemies) {
+      const target = enemy.playerSprite;
+      if (!enemy.movement.update || !target) continue;
+      const center = enemy.sprite.body.center;
+      g.lineBetween(center.x, center.y, target.x, target.y);
+      g.strokeCircle(target.x, target.y, DEBUG.SPAWN_MARKER_SIZE);
+    }
+
+    // Recent spawns, clamped onto the edge they came in from
+    const now = this.scene.time.now;
+    const size = DEBUG.SPAWN_MARKER_SIZE;
+    while (this._spawns.length > 0 && now - this._spawns[0].time > DEBUG.SPAWN_MARKER_TIME) {
+      this._spawns.shift();
+    }
+    for (const spawn of this._spawns) {
+      const x = Math.min(Math.max(spawn.x, size / 2), GAME.WIDTH - size / 2);
+      const y = Math.min(Math.max(spawn.y, size / 2), GAME.HEIGHT - size / 2);
+      g.fillStyle(DEBUG.SPAWN_COLOR, 1 - (now - spawn.time) / DEBUG.SPAWN_MARKER_TIME);
+      g.fillRect(x - size / 2, y - size / 2, size, size);
+    }
+  }
+
+  _updatePanel() {
+    const scene = this.scene;
+    const spawnSystem = scene.spawnSystem;
+    const boss = scene.bossSystem.boss;
+    const slowdown = spawnSystem.slowdownRemaining;
+
+    this.panel.setText([
+      `FPS ${Math.round(scene.game.loop.actualFps)}`,
+      `ENEMIES ${spawnSystem.enemies.length}   FRAGMENTS ${spawnSystem.fragments.length}`,
+      `PICKUPS ${scene.powerUpSystem.pickups.length}   BOSS ${boss ? `${boss.type} (${boss.state})` : '—'}`,
+      `SPAWN INTERVAL ${Math.round(spawnSystem.currentSpawnInterval)} ms`,
+      `SPEED x${gameState.currentSpeedMultiplier.toFixed(2)}`,
+      `SLOWDOWN ${slowdown > 0 ? (slowdown / 1000).toFixed(1) + ' s' : '—'}`,
+    ]);
+  }
+
+  destroy() {
+    this.scene.input.keyboard.off('keydown', this._onKey);
+    eventBus.off(Events.ENEMY_SPAWNED, this._onEnemySpawned);
+    this.graphics.destroy();
+    this.panel.destroy();
+  }
+}
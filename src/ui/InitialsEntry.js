@@ -0,0 +1,183 @@
+import { GAME, COLORS, UI, GAMEPAD } from '../core/Constants.js';
+import { readPads, menuDirection, DirectionRepeat, PadEdges, PadButton } from '../core/Gamepad.js';
+import { inputMap } from '../core/InputMap.js';
+import { createButton } from './helpers.js';
+
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const SLOTS = 3;
+
+/**
+ * Arcade-style initials entry shown over a scene. Blocks input to the scene
+ * underneath until confirmed.
+ *
+ *   A-Z          type into the current slot (advances)
+ *   Up/Down      cycle the current letter
+ *   Left/Right   move between slots
+ *   Backspace    step back
+ *   Enter        confirm
+ *
+ * Gamepad: D-pad/stick as the arrows, A next slot (confirms on the last),
+ * B step back, Start confirm. Tapping a slot cycles its letter; the OK
+ * button confirms.
+ */
+export class InitialsEntry {
+  /**
+   * @param {Phaser.Scene} scene
+   * @param {{ rank: number, initial?: string, index?: number,
+   *   onConfirm: (initials: string) => void }} opts - index: slot to start in
+   */
+  constructor(scene, opts) {
+    this.scene = scene;
+    this.onConfirm = opts.onConfirm;
+
+    const start = (opts.initial || 'AAA').toUpperCase().padEnd(SLOTS, 'A').slice(0, SLOTS);
+    this.letters = [...start].map(c => Math.max(0, LETTERS.indexOf(c)));
+    this.index = Math.min(Math.max(opts.index || 0, 0), SLOTS - 1);
+
+    const w = GAME.WIDTH;
+    const h = GAME.HEIGHT;
+    const cx = w / 2;
+
+    this.container = scene.add.container(0, 0).setDepth(500);
+
+    // Swallows pointer input meant for the buttons underneath
+    const dim = scene.add.rectangle(cx, h / 2, w, h, COLORS.BG, 0.85).setInteractive();
+    this.container.add(dim);
+
+    const heading = scene.add.text(cx, h * 0.3, `NEW HIGH SCORE  —  RANK #${opts.rank}`, {
+      fontSize: Math.round(h * UI.HEADING_RATIO) + 'px',
+      fontFamily: UI.FONT,
+      color: COLORS.SCORE_GOLD,
+      fontStyle: 'bold',
+    }).setOrigin(0.5);
+    const hint = scene.add.text(cx, h * 0.38, 'Enter your initials', {
+      fontSize: Math.round(h * UI.SMALL_RATIO) + 'px',
+      fontFamily: UI.FONT,
+      color: COLORS.MUTED_TEXT,
+    }).setOrigin(0.5);
+    this.container.add([heading, hint]);
+
+    const size = Math.round(h * UI.TITLE_RATIO);
+    const spacing = size * 1.3;
+    this.slots = this.letters.map((_, i) => {
+      const x = cx + (i - (SLOTS - 1) / 2) * spacing;
+      const text = scene.add.text(x, h * 0.5, '', {
+        fontSize: size + 'px',
+        fontFamily: UI.FONT,
+        color: COLORS.UI_TEXT,
+        fontStyle: 'bold',
+      }).setOrigin(0.5);
+      text.setInteractive({ useHandCursor: true });
+      text.on('pointerup', () => {
+        this.index = i;
+        this.cycle(1);
+      });
+      this.container.add(text);
+      return text;
+    });
+    this.cursor = scene.add.rectangle(0, h * 0.5 + size * 0.65, size * 0.8, Math.max(2, size * 0.08), 0x00ffff);
+    this.container.add(this.cursor);
+
+    this.okButton = createButton(scene, cx, h * 0.68, 'OK', () => this.confirm(), { widthRatio: 0.2 });
+    this.container.add(this.okButton);
+
+    this._onKey = this._handleKey.bind(this);
+    this._onUpdate = this._pollGamepad.bind(this);
+    this._repeat = new DirectionRepeat();
+    this._edges = new PadEdges();
+    scene.input.keyboard.on('keydown', this._onKey);
+    scene.events.on('update', this._onUpdate);
+    scene.events.once('shutdown', () => this.destroy());
+
+    // Letters are typed here, not actions (M must not mute)
+    inputMap.suspended = true;
+
+    this._refresh();
+  }
+
+  get initials() {
+    return this.letters.map(i => LETTERS[i]).join('');
+  }
+
+  cycle(dir) {
+    this.letters[this.index] = (this.letters[this.index] + dir + LETTERS.length) % LETTERS.length;
+    this._refresh();
+  }
+
+  move(dir) {
+    this.index = Math.min(Math.max(this.index + dir, 0), SLOTS - 1);
+    this._refresh();
+  }
+
+  confirm() {
+    if (!this.container) return;
+    const initials = this.initials;
+    this.destroy();
+    this.onConfirm(initials);
+  }
+
+  _handleKey(event) {
+    const key = event.key.length === 1 ? event.key.toUpperCase() : event.key;
+    if (LETTERS.includes(key) && key.length === 1) {
+      this.letters[this.index] = LETTERS.indexOf(key);
+      this.move(1);
+      return;
+    }
+    switch (event.code) {
+      case 'ArrowUp':
+        this.cycle(1);
+        break;
+      case 'ArrowDown':
+        this.cycle(-1);
+        break;
+      case 'ArrowLeft':
+        this.move(-1);
+        break;
+      case 'ArrowRight':
+        this.move(1);
+        break;
+      case 'Backspace':
+        this.move(-1);
+        break;
+      case 'Enter':
+        this.confirm();
+        break;
+    }
+  }
+
+  _pollGamepad(time) {
+    const state = readPads(this.scene, GAMEPAD.DEAD_ZONE);
+    const dir = this._repeat.update(menuDirection(state), time);
+    if (dir === 'up') this.cycle(1);
+    else if (dir === 'down') this.cycle(-1);
+    else if (dir === 'left') this.move(-1);
+    else if (dir === 'right') this.move(1);
+
+    const pressed = this._edges.update(state.buttons);
+    if (pressed([PadButton.START])) {
+      this.confirm();
+    } else if (pressed([PadButton.A])) {
+      if (this.index === SLOTS - 1) this.confirm();
+      else this.move(1);
+    } else if (pressed([PadButton.B])) {
+      this.move(-1);
+    }
+  }
+
+  _refresh() {
+    this.slots.forEach((text, i) => {
+      text.setText(LETTERS[this.letters[i]]);
+      text.setColor(i === this.index ? COLORS.SURVIVAL_TEXT : COLORS.UI_TEXT);
+    });
+    this.cursor.setX(this.slots[this.index].x);
+  }
+
+  destroy() {
+    if (!this.container) return;
+    this.scene.input.keyboard.off('keydown', this._onKey);
+    this.scene.events.off('update', this._onUpdate);
+    inputMap.suspended = false;
+    this.container.destroy();
+    this.container = null;
+  }
+}
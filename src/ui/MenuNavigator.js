@@ -0,0 +1,144 @@
+// MenuNavigator — keyboard, pointer and gamepad focus handling for a list of
+// menu items built with ui/helpers.js.
+//
+// Items must implement setFocused(bool) and activate(). Items may also
+// implement adjust(dir) to react to left/right (e.g. cycling a selector).
+//
+//   Up/Down, W/S, D-pad, left stick  move focus
+//   Left/Right, A/D                  adjust the focused item
+//   Enter/Space, gamepad A           activate
+//   Esc/Backspace, gamepad B         back (if onBack is given)
+//
+// Set `enabled` to false while the scene handles input itself (e.g. capturing
+// a key to rebind); gamepad edges keep tracking so nothing fires on re-enable.
+
+import { GAMEPAD } from '../core/Constants.js';
+import { readPads, menuDirection, DirectionRepeat, PadEdges, PadButton } from '../core/Gamepad.js';
+
+export class MenuNavigator {
+  /**
+   * @param {Phaser.Scene} scene
+   * @param {object[]} items
+   * @param {{ onBack?: Function }} [opts]
+   */
+  constructor(scene, items, opts = {}) {
+    this.scene = scene;
+    this.onBack = opts.onBack || null;
+    this.index = -1;
+    this.items = [];
+    this.enabled = true;
+
+    // Gamepad repeat/edge state (a button still held from the previous
+    // screen does not immediately activate something here)
+    this._repeat = new DirectionRepeat();
+    this._edges = new PadEdges();
+
+    this._onKey = this._handleKey.bind(this);
+    this._onUpdate = this._pollGamepad.bind(this);
+
+    scene.input.keyboard.on('keydown', this._onKey);
+    scene.events.on('update', this._onUpdate);
+    scene.events.once('shutdown', () => this.destroy());
+
+    this.setItems(items);
+  }
+
+  /**
+   * Replace the navigable items (e.g. after a page rebuild).
+   */
+  setItems(items) {
+    this.items = items.filter(Boolean);
+    this.index = -1;
+    this.items.forEach((item, i) => {
+      item.on('pointerover', () => this.focus(i));
+    });
+  }
+
+  focus(i) {
+    if (i === this.index || !this.items[i]) return;
+    if (this.items[this.index]) this.items[this.index].setFocused(false);
+    this.index = i;
+    this.items[i].setFocused(true);
+  }
+
+  move(dir) {
+    if (this.items.length === 0) return;
+    if (this.index < 0) {
+      this.focus(dir > 0 ? 0 : this.items.length - 1);
+      return;
+    }
+    this.focus((this.index + dir + this.items.length) % this.items.length);
+  }
+
+  adjust(dir) {
+    const item = this.items[this.index];
+    if (item && typeof item.adjust === 'function') item.adjust(dir);
+  }
+
+  activate() {
+    if (this.items.length === 0) return;
+    // Nothing focused yet: Enter/Space triggers the first (primary) item
+    const item = this.items[this.index] || this.items[0];
+    item.activate();
+  }
+
+  back() {
+    if (this.onBack) this.onBack();
+  }
+
+  _handleKey(event) {
+    if (!this.enabled) return;
+    switch (event.code) {
+      case 'ArrowUp':
+      case 'KeyW':
+        this.move(-1);
+        break;
+      case 'ArrowDown':
+      case 'KeyS':
+        this.move(1);
+        break;
+      case 'ArrowLeft':
+      case 'KeyA':
+        this.adjust(-1);
+        break;
+      case 'ArrowRight':
+      case 'KeyD':
+        this.adjust(1);
+        break;
+      case 'Enter':
+      case 'Space':
+        this.activate();
+        break;
+      case 'Escape':
+      case 'Backspace':
+        this.back();
+        break;
+    }
+  }
+
+  _pollGamepad(time) {
+    const state = readPads(this.scene, GAMEPAD.DEAD_ZONE);
+    const dir = this._repeat.update(menuDirection(state), time);
+    const pressed = this._edges.update(state.buttons);
+    if (!this.enabled) return;
+
+    if (dir) this._applyDir(dir);
+    if (pressed([PadButton.A])) this.activate();
+    else if (pressed([PadButton.B])) this.back();
+  }
+
+  _applyDir(dir) {
+    if (dir === 'up') this.move(-1);
+    else if (dir === 'down') this.move(1);
+    else if (dir === 'left') this.adjust(-1);
+    else this.adjust(1);
+  }
+
+  destroy() {
+    if (!this.scene) return;
+    this.scene.input.keyboard.off('keydown', this._onKey);
+    this.scene.events.off('update', this._onUpdate);
+    this.scene = null;
+    this.items = [];
+  }
+}
@@ -0,0 +1,118 @@
+import { GAME, POWERUP, SPRITE_SCALE, UI } from '../core/Constants.js';
+import { renderSpriteSheet } from '../core/PixelRenderer.js';
+import { CYBER } from '../sprites/palette.js';
+import { POWERUP_DEFS, PowerUpKind } from '../entities/powerUpDefinitions.js';
+
+// Kinds shown in the HUD, in slot order (EMP is instant and never active)
+const HUD_KINDS = [PowerUpKind.SHIELD, PowerUpKind.MAGNET, PowerUpKind.PHASE, PowerUpKind.DOUBLER];
+
+/**
+ * Active power-ups along the bottom-left: an icon per effect with a draining
+ * timer bar (or the shield's charge count), plus the shield bubble and phase
+ * tint on the player. Polled from PowerUpSystem once per render frame.
+ */
+export class PowerUpHud {
+  /**
+   * @param {Phaser.Scene} scene
+   * @param {import('../systems/PowerUpSystem.js').PowerUpSystem} powerUps
+   */
+  constructor(scene, powerUps) {
+    this.scene = scene;
+    this.powerUps = powerUps;
+
+    const size = POWERUP.HUD_ICON_SIZE;
+    const fontSize = Math.round(GAME.HEIGHT * UI.SMALL_RATIO);
+
+    this.slots = HUD_KINDS.map(kind => {
+      const def = POWERUP_DEFS[kind];
+      renderSpriteSheet(scene, def.frames, CYBER, def.texture, SPRITE_SCALE);
+
+      const icon = scene.add.image(0, 0, def.texture).setDisplaySize(size, size);
+      const bar = scene.add.graphics();
+      const label = scene.add.text(size / 2, -size / 2, '', {
+        fontSize: fontSize + 'px',
+        fontFamily: UI.FONT,
+        color: '#ffffff',
+        fontStyle: 'bold',
+        shadow: { offsetX: 0, offsetY: 1, color: '#000000', blur: 3, fill: true },
+      }).setOrigin(0.5);
+
+      const container = scene.add.container(0, 0, [icon, bar, label]);
+      container.setDepth(200).setVisible(false);
+      return { kind, def, container, bar, label };
+    });
+
+    // Drawn in world space around the player
+    this.bubble = scene.add.graphics().setDepth(6);
+    this.layout();
+  }
+
+  /** Keep the slots on the bottom edge (also after a resize) */
+  layout() {
+    const y = GAME.HEIGHT - POWERUP.HUD_MARGIN - POWERUP.HUD_ICON_SIZE / 2;
+    for (const slot of this.slots) slot.container.setY(y);
+  }
+
+  update() {
+    const size = POWERUP.HUD_ICON_SIZE;
+    const margin = POWERUP.HUD_MARGIN;
+    const powerUps = this.powerUps;
+
+    // Lay active slots out left to right without gaps
+    let x = margin + size / 2;
+    for (const slot of this.slots) {
+      const active = powerUps.isActive(slot.kind);
+      slot.container.setVisible(active);
+      if (!active) continue;
+
+      slot.container.setX(x);
+      x += size + margin;
+
+      slot.bar.clear();
+      if (slot.def.stacking === 'charges') {
+        slot.label.setText(`${powerUps.shieldCharges}`);
+        continue;
+      }
+      slot.label.setText('');
+      const full = slot.def.maxDuration || slot.def.duration;
+      const fraction = Math.min(powerUps.remaining(slot.kind) / full, 1);
+      const barH = Math.max(2, Math.round(size * 0.12));
+      slot.bar.fillStyle(0x000000, 0.5);
+      slot.bar.fillRect(-size / 2, size / 2 + barH, size, barH);
+      slot.bar.fillStyle(slot.def.color, 1);
+      slot.bar.fillRect(-size / 2, size / 2 + barH, size * fraction, barH);
+    }
+
+    this._drawPlayerEffects();
+  }
+
+  _drawPlayerEffects() {
+    const sprite = this.powerUps.player.sprite;
+    const g = this.bubble;
+    g.clear();
+
+    if (this.powerUps.isActive(PowerUpKind.SHIELD)) {
+      const color = POWERUP_DEFS[PowerUpKind.SHIELD].color;
+      const radius = sprite.displayWidth * 0.75;
+      g.lineStyle(Math.max(1, SPRITE_SCALE), color, 0.7);
+      g.strokeCircle(sprite.x, sprite.y, radius);
+      // A second ring for the spare charge
+      if (this.powerUps.shieldCharges > 1) {
+        g.lineStyle(Math.max(1, SPRITE_SCALE / 2), color, 0.35);
+        g.strokeCircle(sprite.x, sprite.y, radius + SPRITE_SCALE * 2);
+      }
+    }
+
+    if (this.powerUps.isActive(PowerUpKind.PHASE)) {
+      sprite.setTint(POWERUP_DEFS[PowerUpKind.PHASE].color);
+    } else {
+      sprite.clearTint();
+    }
+  }
+
+  destroy() {
+    for (const slot of this.slots) slot.container.destroy();
+    this.slots = [];
+    this.bubble.destroy();
+  }
+}
@@ -0,0 +1,57 @@
+import { COLORS, GAME, UI, TIMER_HUD } from '../core/Constants.js';
+
+/**
+ * Countdown for modes with a time limit, top centre. Turns red and pulses
+ * once a second for the last TIMER_HUD.WARNING_TIME. Polled from
+ * SpawnSystem's run clock once per render frame.
+ */
+export class TimerHud {
+  /**
+   * @param {Phaser.Scene} scene
+   * @param {import('../systems/SpawnSystem.js').SpawnSystem} spawnSystem
+   * @param {number} limit - ms
+   */
+  constructor(scene, spawnSystem, limit) {
+    this.scene = scene;
+    this.spawnSystem = spawnSystem;
+    this.limit = limit;
+    this._shown = null;
+
+    this.label = scene.add.text(0, 0, '', {
+      fontSize: Math.round(GAME.HEIGHT * UI.HEADING_RATIO) + 'px',
+      fontFamily: UI.FONT,
+      color: COLORS.SURVIVAL_TEXT,
+      fontStyle: 'bold',
+      shadow: { offsetX: 0, offsetY: 1, color: '#000000', blur: 3, fill: true },
+    }).setOrigin(0.5).setDepth(200);
+
+    this.layout();
+    this.update();
+  }
+
+  /** Top centre of the current world (also after a resize) */
+  layout() {
+    this.label.setPosition(GAME.WIDTH / 2, GAME.HEIGHT * TIMER_HUD.TOP_RATIO);
+  }
+
+  update() {
+    const remaining = Math.max(0, this.limit - this.spawnSystem.runTime);
+    const seconds = Math.ceil(remaining / 1000);
+    if (seconds === this._shown) return;
+    this._shown = seconds;
+
+    const m = Math.floor(seconds / 60);
+    this.label.setText(`${m}:${String(seconds % 60).padStart(2, '0')}`);
+
+    if (remaining <= TIMER_HUD.WARNING_TIME) {
+      this.label.setColor(TIMER_HUD.WARNING_COLOR);
+      this.scene.tweens.killTweensOf(this.label);
+      this.label.setScale(1.25);
+      this.scene.tweens.add({ targets: this.label, scaleX: 1, scaleY: 1, duration: 250, ease: 'Quad.easeOut' });
+    }
+  }
+
+  destroy() {
+    this.label.destroy();
+  }
+}
@@ -0,0 +1,229 @@
+import { GAME, COLORS, UI, PLAYER, TOUCH } from '../core/Constants.js';
+import { applyDeadZone } from '../core/Gamepad.js';
+
+export const TouchScheme = {
+  JOYSTICK: 'joystick',   // floating stick where the thumb lands
+  DRAG: 'drag',           // the orb moves by the finger's movement, like a trackpad
+  FOLLOW: 'follow',       // the orb moves toward the finger
+};
+
+export const TOUCH_SCHEME_LABELS = {
+  [TouchScheme.JOYSTICK]: 'JOYSTICK',
+  [TouchScheme.DRAG]: 'DRAG',
+  [TouchScheme.FOLLOW]: 'FOLLOW FINGER',
+};
+
+/**
+ * Pointer steering for GameScene. One pointer steers at a time; read() turns
+ * it into a movement vector once per tick.
+ *
+ * Joystick and drag steer from the half of the screen on the dominant hand's
+ * side, and the DASH button sits on the other side. Follow steers from
+ * anywhere (it is also what the mouse uses on desktop).
+ */
+export class TouchControls {
+  /**
+   * @param {Phaser.Scene} scene
+   * @param {import('../entities/Player.js').Player} player
+   * @param {{ scheme: string, sensitivity?: number, hand?: 'left'|'right',
+   *   onDash?: Function }} opts - onDash = show an on-screen DASH button
+   */
+  constructor(scene, player, opts) {
+    this.scene = scene;
+    this.player = player;
+    this.scheme = Object.values(TouchScheme).includes(opts.scheme) ? opts.scheme : TouchScheme.FOLLOW;
+    this.sensitivity = opts.sensitivity || TOUCH.SENSITIVITY;
+    this.hand = opts.hand || 'right';
+
+    this._pointerId = null;
+    this._x = 0;
+    this._y = 0;
+    // Joystick: where the thumb landed
+    this._baseX = 0;
+    this._baseY = 0;
+    // Drag: finger travel the orb has not caught up with yet
+    this._lagX = 0;
+    this._lagY = 0;
+
+    // Thumb travel for full speed
+    this.radius = TOUCH.JOYSTICK_RADIUS / this.sensitivity;
+
+    if (this.scheme === TouchScheme.JOYSTICK) {
+      this._gfx = scene.add.graphics().setDepth(150);
+    }
+    if (opts.onDash) {
+      this._createDashButton(opts.onDash);
+    }
+    this.layout();
+
+    // HUD presses (pause, dash) never steer
+    scene.input.on('pointerdown', (pointer, currentlyOver) => {
+      if (currentlyOver.length === 0) this._onDown(pointer);
+    });
+    scene.input.on('pointermove', (pointer) => this._onMove(pointer));
+    scene.input.on('pointerup', (pointer) => this._onUp(pointer));
+  }
+
+  /**
+   * Place the idle joystick and the DASH button for the current world size
+   * (also after a resize).
+   */
+  layout() {
+    const right = this.hand === 'right';
+    const margin = TOUCH.DASH_BUTTON_SIZE;
+    this._restX = right ? GAME.WIDTH - margin - this.radius : margin + this.radius;
+    this._restY = GAME.HEIGHT * TOUCH.DASH_BUTTON_Y;
+    if (this.dashButton) {
+      this.dashButton.setPosition(right ? margin : GAME.WIDTH - margin, this._restY);
+    }
+    this._draw();
+  }
+
+  /** Whether a pointer steers from where it landed */
+  _inZone(pointer) {
+    if (this.scheme === TouchScheme.FOLLOW) return true;
+    return this.hand === 'right' ? pointer.worldX >= GAME.WIDTH / 2 : pointer.worldX < GAME.WIDTH / 2;
+  }
+
+  _onDown(pointer) {
+    if (this._pointerId !== null || !this._inZone(pointer)) return;
+    this._pointerId = pointer.id;
+    this._x = pointer.worldX;
+    this._y = pointer.worldY;
+    this._baseX = pointer.worldX;
+    this._baseY = pointer.worldY;
+    this._draw();
+  }
+
+  _onMove(pointer) {
+    if (pointer.id !== this._pointerId) return;
+    if (this.scheme === TouchScheme.DRAG) {
+      this._lagX += (pointer.worldX - this._x) * this.sensitivity;
+      this._lagY += (pointer.worldY - this._y) * this.sensitivity;
+      const lag = Math.hypot(this._lagX, this._lagY);
+      if (lag > TOUCH.DRAG_MAX_LAG) {
+        this._lagX *= TOUCH.DRAG_MAX_LAG / lag;
+        this._lagY *= TOUCH.DRAG_MAX_LAG / lag;
+      }
+    }
+    this._x = pointer.worldX;
+    this._y = pointer.worldY;
+    this._draw();
+  }
+
+  _onUp(pointer) {
+    if (pointer.id !== this._pointerId) return;
+    this._pointerId = null;
+    this._draw();
+  }
+
+  /**
+   * Drop the steering pointer (e.g. on pause, when its release is missed).
+   */
+  release() {
+    this._pointerId = null;
+    this._lagX = 0;
+    this._lagY = 0;
+    this._draw();
+  }
+
+  /**
+   * Movement for one tick.
+   * @param {number} dt - tick length in ms
+   * @returns {{ x: number, y: number }|null} null when not steering
+   */
+  read(dt) {
+    if (this.scheme === TouchScheme.DRAG) return this._readDrag(dt);
+    if (this._pointerId === null) return null;
+
+    if (this.scheme === TouchScheme.JOYSTICK) {
+      const dx = (this._x - this._baseX) / this.radius;
+      const dy = (this._y - this._baseY) / this.radius;
+      return applyDeadZone(dx, dy, TOUCH.JOYSTICK_DEAD_ZONE, 0);
+    }
+
+    // Follow: full speed toward the finger, stopping just short of it
+    const dx = this._x - this.player.sprite.x;
+    const dy = this._y - this.player.sprite.y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    if (dist <= TOUCH.FOLLOW_DEAD_ZONE / this.sensitivity) return { x: 0, y: 0 };
+    return { x: dx / dist, y: dy / dist };
+  }
+
+  /**
+   * Drag: move by the finger travel since the last tick, at most PLAYER.SPEED
+   * (the rest carries over, so a fast swipe still lands where it should).
+   * Keeps steering after the finger lifts until the orb has caught up.
+   */
+  _readDrag(dt) {
+    const lag = Math.hypot(this._lagX, this._lagY);
+    if (lag === 0) return this._pointerId === null ? null : { x: 0, y: 0 };
+
+    const maxStep = PLAYER.SPEED * (dt / 1000);
+    const step = Math.min(lag, maxStep);
+    const x = (this._lagX / lag) * (step / maxStep);
+    const y = (this._lagY / lag) * (step / maxStep);
+    this._lagX -= (this._lagX / lag) * step;
+    this._lagY -= (this._lagY / lag) * step;
+    if (step === lag) {
+      this._lagX = 0;
+      this._lagY = 0;
+    }
+    return { x, y };
+  }
+
+  _draw() {
+    const g = this._gfx;
+    if (!g) return;
+    const active = this._pointerId !== null;
+    const baseX = active ? this._baseX : this._restX;
+    const baseY = active ? this._baseY : this._restY;
+
+    let knobX = 0;
+    let knobY = 0;
+    if (active) {
+      knobX = this._x - baseX;
+      knobY = this._y - baseY;
+      const len = Math.sqrt(knobX * knobX + knobY * knobY);
+      if (len > this.radius) {
+        knobX *= this.radius / len;
+        knobY *= this.radius / len;
+      }
+    }
+
+    g.clear();
+    g.setAlpha(active ? TOUCH.JOYSTICK_ALPHA_ACTIVE : TOUCH.JOYSTICK_ALPHA_IDLE);
+    g.lineStyle(Math.max(2, this.radius * 0.06), 0xffffff, 1);
+    g.strokeCircle(baseX, baseY, this.radius);
+    g.fillStyle(0xffffff, 1);
+    g.fillCircle(baseX + knobX, baseY + knobY, this.radius * 0.4);
+  }
+
+  _createDashButton(onDash) {
+    const size = TOUCH.DASH_BUTTON_SIZE;
+    const btn = this.scene.add.container(0, 0).setDepth(200);
+
+    const g = this.scene.add.graphics();
+    g.fillStyle(0x000000, 0.35);
+    g.fillCircle(0, 0, size / 2);
+    g.lineStyle(Math.max(2, size * 0.04), 0x00ffff, 0.8);
+    g.strokeCircle(0, 0, size / 2);
+    const label = this.scene.add.text(0, 0, 'DASH', {
+      fontSize: Math.round(size * 0.24) + 'px',
+      fontFamily: UI.FONT,
+      color: COLORS.SURVIVAL_TEXT,
+      fontStyle: 'bold',
+    }).setOrigin(0.5);
+    btn.add([g, label]);
+
+    btn.setSize(size, size);
+    btn.setInteractive();
+    btn.on('pointerdown', () => {
+      btn.setScale(0.9);
+      onDash();
+    });
+    btn.on('pointerup', () => btn.setScale(1));
+    btn.on('pointerout', () => btn.setScale(1));
+    this.dashButton = btn;
+  }
+}
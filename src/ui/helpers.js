@@ -0,0 +1,134 @@
+import Phaser from 'phaser';
+import { GAME, COLORS, UI } from '../core/Constants.js';
+
+// Shared menu UI building blocks (gradient backgrounds, buttons, text links).
+// Buttons and links expose setFocused()/activate() so MenuNavigator can
+// drive them from the keyboard and gamepad as well as the pointer.
+
+export function drawGradient(scene, w, h, topColor, bottomColor) {
+  const bg = scene.add.graphics();
+  const top = Phaser.Display.Color.IntegerToColor(topColor);
+  const bot = Phaser.Display.Color.IntegerToColor(bottomColor);
+  const steps = 64;
+  const bandH = Math.ceil(h / steps);
+
+  for (let i = 0; i < steps; i++) {
+    const t = i / (steps - 1);
+    const r = Math.round(top.red + (bot.red - top.red) * t);
+    const g = Math.round(top.green + (bot.green - top.green) * t);
+    const b = Math.round(top.blue + (bot.blue - top.blue) * t);
+    bg.fillStyle(Phaser.Display.Color.GetColor(r, g, b));
+    bg.fillRect(0, i * bandH, w, bandH + 1);
+  }
+  return bg;
+}
+
+export function fillBtn(gfx, w, h, radius, color) {
+  gfx.clear();
+  gfx.fillStyle(color, 1);
+  gfx.fillRoundedRect(-w / 2, -h / 2, w, h, radius);
+}
+
+/**
+ * Primary rounded button.
+ * @param {Phaser.Scene} scene
+ * @param {number} x
+ * @param {number} y
+ * @param {string} label
+ * @param {Function} callback
+ * @param {{ widthRatio?: number }} [opts]
+ * @returns {Phaser.GameObjects.Container}
+ */
+export function createButton(scene, x, y, label, callback, opts = {}) {
+  const btnW = Math.max(GAME.WIDTH * (opts.widthRatio || UI.BTN_W_RATIO), 160);
+  const btnH = Math.max(GAME.HEIGHT * UI.BTN_H_RATIO, UI.MIN_TOUCH);
+  const radius = UI.BTN_RADIUS;
+
+  const container = scene.add.container(x, y);
+
+  const bg = scene.add.graphics();
+  fillBtn(bg, btnW, btnH, radius, COLORS.BTN_PRIMARY);
+  container.add(bg);
+
+  const fontSize = Math.round(GAME.HEIGHT * UI.BODY_RATIO);
+  const text = scene.add.text(0, 0, label, {
+    fontSize: fontSize + 'px',
+    fontFamily: UI.FONT,
+    color: COLORS.BTN_TEXT,
+    fontStyle: 'bold',
+  }).setOrigin(0.5);
+
+  container.add(text);
+  container.label = text;
+
+  container.setSize(btnW, btnH);
+  container.setInteractive({ useHandCursor: true });
+
+  container.setFocused = (focused) => {
+    fillBtn(bg, btnW, btnH, radius, focused ? COLORS.BTN_PRIMARY_HOVER : COLORS.BTN_PRIMARY);
+    const s = focused ? 1.05 : 1;
+    scene.tweens.add({ targets: container, scaleX: s, scaleY: s, duration: 80 });
+  };
+  container.activate = () => callback();
+
+  container.on('pointerover', () => container.setFocused(true));
+  container.on('pointerout', () => container.setFocused(false));
+
+  container.on('pointerdown', () => {
+    fillBtn(bg, btnW, btnH, radius, COLORS.BTN_PRIMARY_PRESS);
+    container.setScale(0.95);
+  });
+
+  container.on('pointerup', () => {
+    container.setScale(1);
+    callback();
+  });
+
+  return container;
+}
+
+/**
+ * Small secondary text button.
+ * @returns {Phaser.GameObjects.Text}
+ */
+export function createTextLink(scene, x, y, label, callback) {
+  const fontSize = Math.round(GAME.HEIGHT * UI.SMALL_RATIO);
+  const link = scene.add.text(x, y, label, {
+    fontSize: fontSize + 'px',
+    fontFamily: UI.FONT,
+    color: COLORS.MUTED_TEXT,
+  }).setOrigin(0.5);
+
+  link.setInteractive({ useHandCursor: true });
+  link.setFocused = (focused) => link.setColor(focused ? COLORS.UI_TEXT : COLORS.MUTED_TEXT);
+  link.activate = () => callback();
+
+  link.on('pointerover', () => link.setFocused(true));
+  link.on('pointerout', () => link.setFocused(false));
+  link.on('pointerup', () => callback());
+
+  return link;
+}
+
+/**
+ * Scene title in the shared heading style.
+ */
+export function createTitle(scene, x, y, label, color = COLORS.UI_TEXT) {
+  const size = Math.round(GAME.HEIGHT * UI.HEADING_RATIO);
+  return scene.add.text(x, y, label, {
+    fontSize: size + 'px',
+    fontFamily: UI.FONT,
+    color,
+    fontStyle: 'bold',
+    letterSpacing: 4,
+  }).setOrigin(0.5);
+}
+
+/**
+ * Phones and tablets, where touch steering options apply.
+ * @param {Phaser.Scene} scene
+ */
+export function isMobile(scene) {
+  const os = scene.sys.game.device.os;
+  return os.android || os.iOS || os.iPad;
+}